@@ -10,8 +10,15 @@ Outputs:
 - Async message responses and tab-level apply/clear toggles.
 
 Side Effects:
-- Seeds and reads `chrome.storage.sync` defaults.
+- Seeds and reads `chrome.storage.sync` defaults, merging per-site profiles for apply paths.
+- Starts the bundled dictionary import on install/update.
+- Reads/writes the IndexedDB vocabulary store on behalf of content scripts.
+- Relays AnkiConnect requests and runs the Anki retry alarm.
+- Runs the hourly furigana cache maintenance alarm and answers cache stats/clear/export/import requests.
+- Prewarms the cache by loading listed URLs in background tabs (closed afterwards) or processing pasted text.
+- Requests per-site host permissions for auto-apply and badges auto-enabled tabs (and apply progress while it runs).
 - Creates context menus and injects content scripts/CSS when needed.
+- Opens Reader view (`reader.html`) next to a tab and switches back to the tab from it.
 
 Failure Modes:
 - Message delivery fails when tabs/content scripts are unavailable.
@@ -24,10 +31,22 @@ Security Notes:
 // Background service worker — Chrome message router and command handler.
 // All API/cache logic lives in ./js/bg-api.js and ./js/bg-cache.js.
 import {
-  handleFuriganaRequest, lookupDefinition, fetchExampleSentence, fetchKanjiBreakdown,
-  handlePlayAudio, handleFetchProxyAudio, handleExportAnkiAudio,
-  API_BASE_URL, DEFAULT_SETTINGS,
+  handleFuriganaRequest, lookupDefinition, lookupGlosses, fetchExampleSentence, fetchKanjiBreakdown,
+  lookupKanjiReadings, handlePlayAudio, handleFetchProxyAudio, maintainFuriganaCache, prewarmText,
+  API_BASE_URL, DEFAULT_SETTINGS, CACHE_MAINTENANCE_ALARM, CACHE_MAINTENANCE_MINUTES,
 } from './js/bg-api.js';
+import {
+  clearCache, ensureDictionaryImported, exportCacheEntries, getCacheStats, importCacheEntries,
+} from './js/bg-cache.js';
+import { getAllVocabulary, hasVocabularyWord, removeVocabularyWord, saveVocabularyEntry } from './js/vocab-store.js';
+import {
+  addEntryToAnki, flushAnkiQueue, getAnkiConnectInfo, getAnkiNoteTypeFields, getAnkiQueueSize,
+  syncEntriesToAnki, ANKI_RETRY_ALARM,
+} from './js/bg-anki.js';
+import {
+  addAutoApplySite, getOriginPattern, getSettingsForUrl, getSiteOrigin, isAutoApplySite,
+  removeAutoApplySitesForPatterns, AUTO_APPLY_SITES_KEY,
+} from './js/bg-sites.js';
 
 const runtimeApi = typeof browser !== 'undefined' ? browser : chrome;
 const i18nApi = runtimeApi?.i18n;
@@ -48,13 +67,100 @@ chrome.runtime.onInstalled.addListener(() => {
       highlightMode: stored.highlightMode || DEFAULT_SETTINGS.highlightMode,
     });
   });
+
+  // Import the bundled dictionary up front so the first tooltip doesn't wait on it
+  ensureDictionaryImported().catch(err => console.warn('Tsukeru: dictionary import failed', err));
+
+  ensureCacheMaintenanceAlarm().catch(err => console.warn('Tsukeru: could not schedule cache maintenance', err));
 });
 
+chrome.runtime.onStartup.addListener(() => {
+  // Retry words that were saved while Anki was closed
+  flushAnkiQueue().catch(err => console.warn('Tsukeru: Anki queue flush failed', err));
+  ensureCacheMaintenanceAlarm().catch(err => console.warn('Tsukeru: could not schedule cache maintenance', err));
+});
+
+// Expired and over-cap cache entries are removed hourly. Firefox clears alarms when the browser
+// restarts and Chrome does not promise to keep them, so install and startup both check for it.
+async function ensureCacheMaintenanceAlarm() {
+  if (!chrome.alarms) return;
+  if (await chrome.alarms.get(CACHE_MAINTENANCE_ALARM)) return;
+  await chrome.alarms.create(CACHE_MAINTENANCE_ALARM, { periodInMinutes: CACHE_MAINTENANCE_MINUTES });
+}
+
+if (chrome.alarms) {
+  chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === CACHE_MAINTENANCE_ALARM) {
+      maintainFuriganaCache().catch(err => console.warn('Tsukeru: cache maintenance failed', err));
+      return;
+    }
+    if (alarm.name !== ANKI_RETRY_ALARM) return;
+    flushAnkiQueue().catch(err => console.warn('Tsukeru: Anki queue flush failed', err));
+  });
+}
+
 // Handle extension icon click
 chrome.action.onClicked.addListener((tab) => {
   // Popup is set in manifest, so this won't trigger unless popup is removed
 });
 
+// ── Auto-apply badge ──────────────────────────────────────────────────────────
+// tab.url is only visible for hosts we hold a permission for, which is exactly the allow list.
+
+async function updateAutoApplyBadge(tabId, url) {
+  const enabled = await isAutoApplySite(url);
+  await chrome.action.setBadgeText({ tabId, text: enabled ? t('badgeAutoApply', 'AUTO') : '' });
+  if (enabled) await chrome.action.setBadgeBackgroundColor({ tabId, color: '#2563eb' });
+}
+
+async function refreshAllAutoApplyBadges() {
+  const tabs = await chrome.tabs.query({});
+  await Promise.all(tabs.map((tab) => updateAutoApplyBadge(tab.id, tab.url || '').catch(() => {})));
+}
+
+// While an apply runs the badge shows its progress; afterwards the auto-apply badge (or none) returns.
+async function updateProgressBadge(tab, progress) {
+  if (progress.state !== 'running') {
+    await updateAutoApplyBadge(tab.id, tab.url || '');
+    return;
+  }
+  const { done, total } = progress.blocks || progress.batches;
+  const percent = total ? Math.floor((done / total) * 100) : 0;
+  await chrome.action.setBadgeText({ tabId: tab.id, text: `${percent}%` });
+  await chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color: '#f59e0b' });
+}
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (!changeInfo.url && changeInfo.status !== 'loading') return;
+  updateAutoApplyBadge(tabId, changeInfo.url || tab.url || '').catch(() => {});
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'sync') return;
+  if (changes[AUTO_APPLY_SITES_KEY]) refreshAllAutoApplyBadges().catch(() => {});
+  // A lower cap takes effect right away rather than at the next alarm
+  if (changes.cacheMaxMB) {
+    maintainFuriganaCache().catch(err => console.warn('Tsukeru: cache maintenance failed', err));
+  }
+});
+
+// Revoking a site from the browser's extension settings also takes it off the allow list.
+chrome.permissions.onRemoved.addListener((permissions) => {
+  removeAutoApplySitesForPatterns(permissions.origins).catch(err =>
+    console.warn('Tsukeru: could not update auto-apply sites', err)
+  );
+});
+
+async function enableAutoApplyForTab(tab, origin) {
+  await addAutoApplySite(origin);
+  const settings = await getSettingsForUrl(DEFAULT_SETTINGS, origin);
+  await ensureContentScript(tab.id);
+  const state = await chrome.tabs.sendMessage(tab.id, { action: 'getFuriganaState' }).catch(() => null);
+  if (!state?.active) {
+    await chrome.tabs.sendMessage(tab.id, { action: 'applyFurigana', settings });
+  }
+}
+
 // Optional: Add context menu for quick actions
 if (chrome.contextMenus) {
   chrome.runtime.onInstalled.addListener(() => {
@@ -69,14 +175,58 @@ if (chrome.contextMenus) {
       title: t('contextMenuClearFurigana', 'Clear Furigana'),
       contexts: ['page'],
     });
+
+    chrome.contextMenus.create({
+      id: 'applySelectionFurigana',
+      title: t('contextMenuApplySelection', 'Apply Furigana to Selection'),
+      contexts: ['selection'],
+    });
+
+    chrome.contextMenus.create({
+      id: 'clearSelectionFurigana',
+      title: t('contextMenuClearSelection', 'Clear Furigana in Selection'),
+      contexts: ['selection'],
+    });
+
+    chrome.contextMenus.create({
+      id: 'openReaderView',
+      title: t('contextMenuReaderView', 'Open in Reader view'),
+      contexts: ['page'],
+      documentUrlPatterns: ['http://*/*', 'https://*/*'],
+    });
+
+    chrome.contextMenus.create({
+      id: 'autoApplySite',
+      title: t('contextMenuAlwaysApplySite', 'Always apply on this site'),
+      contexts: ['page'],
+      documentUrlPatterns: ['http://*/*', 'https://*/*'],
+    });
   });
 
   chrome.contextMenus.onClicked.addListener(async (info, tab) => {
-    if (info.menuItemId === 'applyFurigana') {
-      const settings = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+    if (info.menuItemId === 'autoApplySite') {
+      const origin = getSiteOrigin(info.pageUrl || tab?.url || '');
+      if (!origin || !tab?.id) return;
+      // permissions.request must run before any other await to keep the click's user gesture.
+      chrome.permissions.request({ origins: [getOriginPattern(origin)] })
+        .then((granted) => (granted ? enableAutoApplyForTab(tab, origin) : undefined))
+        .catch(err => console.warn('Tsukeru: could not enable auto-apply for this site', err));
+    } else if (info.menuItemId === 'openReaderView') {
+      toggleReaderView(tab).catch(err => console.warn('Tsukeru: could not open Reader view', err));
+    } else if (info.menuItemId === 'applyFurigana') {
+      const settings = await getSettingsForUrl(DEFAULT_SETTINGS, info.pageUrl || tab.url || '');
       chrome.tabs.sendMessage(tab.id, { action: 'applyFurigana', settings }).catch(err =>
         console.warn('Tsukeru: Target page cannot receive messages. Reload the page.', err)
       );
+    } else if (info.menuItemId === 'applySelectionFurigana') {
+      const settings = await getSettingsForUrl(DEFAULT_SETTINGS, info.pageUrl || tab.url || '');
+      chrome.tabs.sendMessage(tab.id, { action: 'applySelectionFurigana', settings }).catch(err =>
+        console.warn('Tsukeru: Target page cannot receive messages. Reload the page.', err)
+      );
+    } else if (info.menuItemId === 'clearSelectionFurigana') {
+      chrome.tabs.sendMessage(tab.id, { action: 'clearSelectionFurigana' }).catch(err =>
+        console.warn('Tsukeru: Target page cannot receive messages. Reload the page.', err)
+      );
     } else if (info.menuItemId === 'clearFurigana') {
       chrome.tabs.sendMessage(tab.id, { action: 'clearFurigana' }).catch(err =>
         console.warn('Tsukeru: Target page cannot receive messages. Reload the page.', err)
@@ -89,8 +239,13 @@ if (chrome.contextMenus) {
 
 // Process furigana requests coming from the content script so we can bypass site CORS
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === 'furiganaProgress') {
+    if (sender.tab?.id) updateProgressBadge(sender.tab, message).catch(() => {});
+    return;
+  }
+
   if (message.action === 'processFurigana') {
-    handleFuriganaRequest(message.payload)
+    handleFuriganaRequest(message.payload, sender.tab?.id, { pin: prewarmTabIds.has(sender.tab?.id) })
       .then((result) => sendResponse({ success: true, ...result }))
       .catch((error) => {
         console.error('Furigana request failed', error);
@@ -109,6 +264,26 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.action === 'lookupGlosses') {
+    lookupGlosses(message.words)
+      .then((glosses) => sendResponse({ success: true, glosses }))
+      .catch((error) => {
+        console.error('Gloss lookup failed', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.action === 'lookupKanjiReadings') {
+    lookupKanjiReadings(message.characters)
+      .then((readings) => sendResponse({ success: true, readings }))
+      .catch((error) => {
+        console.error('Kanji reading lookup failed', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
   if (message.action === 'fetchExampleSentence') {
     fetchExampleSentence(message.word)
       .then((data) => sendResponse({ success: true, data }))
@@ -143,16 +318,164 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
-  if (message.action === 'exportAnkiAudio') {
-    handleExportAnkiAudio(message.payload)
+  // Content scripts cannot reach the extension-origin IndexedDB, so vocabulary writes go through here.
+  if (message.action === 'saveVocabularyEntry') {
+    saveVocabularyEntry(message.entry)
+      .then((entry) => sendResponse({ success: true, entry }))
+      .catch((error) => {
+        console.error('Vocabulary save failed', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.action === 'removeVocabularyWord') {
+    removeVocabularyWord(message.word)
+      .then((removed) => sendResponse({ success: true, removed }))
+      .catch((error) => {
+        console.error('Vocabulary remove failed', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.action === 'isVocabularyWordSaved') {
+    hasVocabularyWord(message.word)
+      .then((saved) => sendResponse({ success: true, saved }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'ankiAddEntry') {
+    addEntryToAnki(message.entry)
       .then((result) => sendResponse({ success: true, ...result }))
       .catch((error) => {
-        console.error('Anki audio export failed', error);
+        console.error('Anki add failed', error);
         sendResponse({ success: false, error: error.message });
       });
     return true;
   }
 
+  if (message.action === 'ankiSyncVocabulary') {
+    getAllVocabulary()
+      .then(syncEntriesToAnki)
+      .then((result) => sendResponse({ success: true, ...result }))
+      .catch((error) => {
+        console.error('Anki sync failed', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.action === 'ankiConnectInfo') {
+    getAnkiConnectInfo()
+      .then((info) => sendResponse({ success: true, ...info }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'ankiNoteTypeFields') {
+    getAnkiNoteTypeFields(message.noteType)
+      .then((fields) => sendResponse({ success: true, fields }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'ankiQueueStatus') {
+    getAnkiQueueSize()
+      .then((queued) => sendResponse({ success: true, queued }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'getCacheStats') {
+    getCacheStats()
+      .then((stats) => sendResponse({ success: true, stats }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // `origin` limits the clear to entries that page origin used; without it the whole cache goes.
+  if (message.action === 'clearFuriganaCache') {
+    const origin = message.origin ? getSiteOrigin(message.origin) : null;
+    if (message.origin && !origin) {
+      sendResponse({ success: false, error: 'Not a website origin' });
+      return;
+    }
+    clearCache(origin)
+      .then((removed) => sendResponse({ success: true, removed }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'exportFuriganaCache') {
+    exportCacheEntries()
+      .then((entries) => sendResponse({ success: true, entries }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'importFuriganaCache') {
+    importCacheEntries(message.entries)
+      .then(async (result) => {
+        await maintainFuriganaCache().catch(() => {});
+        sendResponse({ success: true, ...result });
+      })
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'prewarmFuriganaCache') {
+    const task = Array.isArray(message.urls)
+      ? prewarmUrls(message.urls).then((results) => ({ results }))
+      : chrome.storage.sync.get(DEFAULT_SETTINGS).then((settings) => prewarmText(message.text, settings));
+    task
+      .then((result) => sendResponse({ success: true, ...result }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // The popup requests the host permission itself; only origins it actually holds are listed.
+  if (message.action === 'enableAutoApplySite') {
+    const origin = getSiteOrigin(message.origin || '');
+    (origin ? chrome.permissions.contains({ origins: [getOriginPattern(origin)] }) : Promise.resolve(false))
+      .then((granted) => {
+        if (!granted) throw new Error('Host permission for this site is missing');
+        return enableAutoApplyForTab({ id: message.tabId }, origin);
+      })
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // Shadow roots and frames get content.css through the content script, which cannot load it
+  // itself because the file is not web-accessible.
+  if (message.action === 'getContentStyles') {
+    fetch(chrome.runtime.getURL('content.css'))
+      .then((response) => response.text())
+      .then((cssText) => sendResponse({ success: true, cssText }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // Auto-apply on page load; `sender.url` is the frame that asked, like its own location check.
+  if (message.action === 'getAutoApplySettings') {
+    const url = sender.url || sender.tab?.url || '';
+    isAutoApplySite(url)
+      .then((allowed) => (allowed ? getSettingsForUrl(DEFAULT_SETTINGS, url) : null))
+      .then((settings) => sendResponse({ success: true, settings }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'openReaderView') {
+    chrome.tabs.get(message.tabId)
+      .then(toggleReaderView)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
   if (message.action === 'reportReadingError') {
     fetch(`${API_BASE_URL}/api/report-error`, {
       method: 'POST',
@@ -189,6 +512,16 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 });
 
 chrome.commands.onCommand.addListener(async (command) => {
+  if (command === 'toggle-selection-furigana') {
+    toggleSelectionFuriganaInActiveTab();
+    return;
+  }
+  if (command === 'toggle-reader-view') {
+    chrome.tabs.query({ active: true, currentWindow: true })
+      .then(([tab]) => toggleReaderView(tab))
+      .catch(err => console.error('Tsukeru: Reader view command failed', err));
+    return;
+  }
   if (command !== 'toggle-furigana') return;
 
   try {
@@ -202,7 +535,7 @@ chrome.commands.onCommand.addListener(async (command) => {
     if (state?.active) {
       await chrome.tabs.sendMessage(tab.id, { action: 'clearFurigana' });
     } else {
-      const settings = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+      const settings = await getSettingsForUrl(DEFAULT_SETTINGS, tab.url);
       await chrome.tabs.sendMessage(tab.id, { action: 'applyFurigana', settings });
     }
   } catch (err) {
@@ -210,6 +543,120 @@ chrome.commands.onCommand.addListener(async (command) => {
   }
 });
 
+// ── Reader view ───────────────────────────────────────────────────────────────
+// reader.html opens next to the article's tab and pulls the article from that tab's content
+// script. From a Reader view tab the same command goes back to the article and closes it;
+// the furigana cache makes reopening it instant.
+
+const READER_PAGE = 'reader.html';
+
+async function toggleReaderView(tab) {
+  if (!tab?.id) return;
+  const readerUrl = chrome.runtime.getURL(READER_PAGE);
+  if ((tab.url || '').startsWith(readerUrl)) {
+    const sourceTabId = Number(new URL(tab.url).searchParams.get('tabId'));
+    if (sourceTabId) await chrome.tabs.update(sourceTabId, { active: true }).catch(() => {});
+    await chrome.tabs.remove(tab.id);
+    return;
+  }
+  if (!/^https?:\/\//i.test(tab.url || '')) return;
+
+  await ensureContentScript(tab.id);
+  await chrome.tabs.create({ url: `${readerUrl}?tabId=${tab.id}`, index: tab.index + 1, openerTabId: tab.id });
+}
+
+// ── Cache prewarming ──────────────────────────────────────────────────────────
+// Each URL is opened in an inactive tab and annotated by the normal content-script pipeline,
+// so the cached units match what a later visit sends exactly.
+
+const PREWARM_MAX_URLS = 20;
+const PREWARM_PAGE_TIMEOUT_MS = 30_000;
+const PREWARM_POLL_MS = 500;
+// Furigana requests from these tabs pin what they cache (see handleFuriganaRequest).
+const prewarmTabIds = new Set();
+
+// The page may finish loading before the listener is attached, so the tab's current status is
+// checked once it is in place.
+function waitForTabComplete(tabId) {
+  return new Promise((resolve, reject) => {
+    const finish = (error) => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      if (error) reject(error);
+      else resolve();
+    };
+    const timer = setTimeout(() => finish(new Error('Page took too long to load')), PREWARM_PAGE_TIMEOUT_MS);
+    function onUpdated(updatedId, changeInfo) {
+      if (updatedId === tabId && changeInfo.status === 'complete') finish();
+    }
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.tabs.get(tabId)
+      .then((tab) => {
+        if (tab.status === 'complete') finish();
+      })
+      .catch(finish);
+  });
+}
+
+// An auto-apply may already be running in the tab, in which case applyFurigana returns early.
+async function waitForApplyToFinish(tabId) {
+  const deadline = Date.now() + PREWARM_PAGE_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const state = await chrome.tabs.sendMessage(tabId, { action: 'getFuriganaState' }).catch(() => null);
+    if (state?.progress?.state !== 'running') return state;
+    await new Promise(resolve => setTimeout(resolve, PREWARM_POLL_MS));
+  }
+  throw new Error('Annotating the page took too long');
+}
+
+async function prewarmUrl(url) {
+  let tab = null;
+  try {
+    tab = await chrome.tabs.create({ url, active: false });
+    prewarmTabIds.add(tab.id);
+    await waitForTabComplete(tab.id);
+    await ensureContentScript(tab.id);
+    const settings = await getSettingsForUrl(DEFAULT_SETTINGS, url);
+    const response = await chrome.tabs.sendMessage(tab.id, {
+      action: 'applyFurigana', settings, quiet: true, wholePage: true,
+    });
+    if (response && !response.ok) throw new Error(response.error || 'Page could not be annotated');
+    await waitForApplyToFinish(tab.id);
+    return { url, ok: true };
+  } catch (err) {
+    return { url, ok: false, error: err.message };
+  } finally {
+    if (tab?.id) {
+      prewarmTabIds.delete(tab.id);
+      chrome.tabs.remove(tab.id).catch(() => {});
+    }
+  }
+}
+
+// One page at a time so prewarming never competes with itself in the request scheduler.
+async function prewarmUrls(urls) {
+  const pages = urls.filter(url => /^https?:\/\//i.test(url)).slice(0, PREWARM_MAX_URLS);
+  if (!pages.length) throw new Error('No http(s) URLs to prewarm');
+  const results = [];
+  for (const url of pages) {
+    results.push(await prewarmUrl(url));
+  }
+  return results;
+}
+
+async function toggleSelectionFuriganaInActiveTab() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.id || !/^https?:\/\//i.test(tab.url || '')) return;
+
+    await ensureContentScript(tab.id);
+    const settings = await getSettingsForUrl(DEFAULT_SETTINGS, tab.url);
+    await chrome.tabs.sendMessage(tab.id, { action: 'toggleSelectionFurigana', settings });
+  } catch (err) {
+    console.error('Tsukeru: selection command failed', err);
+  }
+}
+
 async function ensureContentScript(tabId) {
   if (!chrome.scripting) return;
   try {
@@ -220,7 +667,7 @@ async function ensureContentScript(tabId) {
   // Inject the split content scripts in dependency order.
   // The guard in content-main.js (window.__TSUKERU_LOADED__) prevents
   // double-initialization if the manifest already auto-injected them.
-  for (const file of ['js/content-dom.js', 'js/content-tooltip.js', 'js/content-main.js']) {
+  for (const file of ['js/reading-overrides-store.js', 'js/content-dom.js', 'js/content-tooltip.js', 'js/content-main.js']) {
     try {
       await chrome.scripting.executeScript({ target: { tabId }, files: [file] });
     } catch (e) {
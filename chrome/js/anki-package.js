@@ -0,0 +1,253 @@
+/*
+Module: anki-package
+Purpose: Build an Anki `.apkg` deck (legacy schema 11 collection + media map) entirely in the extension.
+
+Inputs:
+- Note field values (already HTML-safe), per-note GUID seeds and tags, and media files.
+
+Outputs:
+- A `Uint8Array` `.apkg` archive with a Tsukeru note type, deck, notes, new cards, and media.
+
+Side Effects:
+- None (uses WebCrypto for SHA-1 checksums only).
+
+Failure Modes:
+- Throws when the collection or archive cannot be encoded (see `sqlite-writer` / `zip-writer` limits).
+
+Security Notes:
+- Nothing leaves the browser; callers are responsible for escaping field HTML.
+*/
+// Anki package builder — fixed note type/deck IDs so re-imports update the same notes.
+import { buildSqliteDatabase } from './sqlite-writer.js';
+import { createZip } from './zip-writer.js';
+
+// Stable IDs: Anki matches note types and decks by ID and notes by GUID on import.
+const ANKI_MODEL_ID = 1718208000000;
+const ANKI_DECK_ID = 1718208000001;
+const ANKI_SCHEMA_VERSION = 11;
+const FIELD_SEPARATOR = '\x1f';
+
+export const ANKI_FIELDS = ['Word', 'Reading', 'Sentence', 'Definition', 'Audio', 'JLPT', 'Source'];
+
+const CARD_FRONT = `<div class="word">{{Word}}</div>
+{{#Sentence}}<div class="sentence">{{kanji:Sentence}}</div>{{/Sentence}}`;
+
+const CARD_BACK = `<div class="word">{{Word}}</div>
+<div class="reading">{{Reading}}</div>
+{{Audio}}
+<hr id="answer">
+{{#Definition}}<div class="definition">{{Definition}}</div>{{/Definition}}
+{{#Sentence}}<div class="sentence">{{furigana:Sentence}}</div>{{/Sentence}}
+<div class="meta">{{#JLPT}}<span class="jlpt">{{JLPT}}</span>{{/JLPT}}{{#Source}}<a class="source" href="{{text:Source}}">{{text:Source}}</a>{{/Source}}</div>`;
+
+const CARD_CSS = `.card {
+  font-family: "Hiragino Sans", "Noto Sans JP", "Yu Gothic", sans-serif;
+  font-size: 20px;
+  text-align: center;
+  color: #1f2937;
+  background: #ffffff;
+}
+.word { font-size: 42px; font-weight: 600; }
+.reading { font-size: 22px; color: #2563eb; margin-top: 4px; }
+.definition { font-size: 18px; margin: 12px 0; }
+.sentence { font-size: 20px; margin: 12px 0; }
+.sentence rt { font-size: 0.55em; color: #6b7280; }
+.meta { font-size: 12px; color: #9ca3af; margin-top: 16px; }
+.jlpt { border: 1px solid #d1d5db; border-radius: 4px; padding: 0 4px; margin-right: 6px; }
+.source { color: #9ca3af; word-break: break-all; }
+.nightMode .card, .card.nightMode { color: #e5e7eb; background: #1f2937; }
+.nightMode .reading { color: #93c5fd; }`;
+
+const LATEX_PRE = '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n'
+  + '\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n';
+
+const COLLECTION_TABLES = {
+  col: 'CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null)',
+  notes: 'CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null)',
+  cards: 'CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null)',
+  revlog: 'CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null)',
+  graves: 'CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null)',
+};
+
+export async function sha1Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function stripHtml(html) {
+  return String(html || '').replace(/<[^>]*>/g, '').replace(/&nbsp;/g, ' ').trim();
+}
+
+function buildModel(nowSeconds) {
+  return {
+    id: ANKI_MODEL_ID,
+    name: 'Tsukeru Vocabulary',
+    type: 0,
+    mod: nowSeconds,
+    usn: -1,
+    sortf: 0,
+    did: ANKI_DECK_ID,
+    tmpls: [{ name: 'Recognition', ord: 0, qfmt: CARD_FRONT, afmt: CARD_BACK, did: null, bqfmt: '', bafmt: '' }],
+    flds: ANKI_FIELDS.map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+    css: CARD_CSS,
+    latexPre: LATEX_PRE,
+    latexPost: '\\end{document}',
+    tags: [],
+    vers: [],
+    req: [[0, 'any', [0]]],
+  };
+}
+
+function buildDeck(id, name, nowSeconds) {
+  return {
+    id,
+    name,
+    desc: '',
+    mod: nowSeconds,
+    usn: -1,
+    collapsed: false,
+    browserCollapsed: false,
+    dyn: 0,
+    conf: 1,
+    extendNew: 0,
+    extendRev: 0,
+    newToday: [0, 0],
+    revToday: [0, 0],
+    lrnToday: [0, 0],
+    timeToday: [0, 0],
+  };
+}
+
+const DEFAULT_DECK_CONFIG = {
+  id: 1,
+  name: 'Default',
+  mod: 0,
+  usn: 0,
+  maxTaken: 60,
+  autoplay: true,
+  timer: 0,
+  replayq: true,
+  dyn: false,
+  new: { bury: true, delays: [1, 10], initialFactor: 2500, ints: [1, 4, 7], order: 1, perDay: 20, separate: true },
+  lapse: { delays: [10], leechAction: 0, leechFails: 8, minInt: 1, mult: 0 },
+  rev: { bury: true, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, minSpace: 1, perDay: 200 },
+};
+
+function buildCollectionRow(deckName, now) {
+  const nowSeconds = Math.floor(now / 1000);
+  const dayStart = new Date(now);
+  dayStart.setHours(0, 0, 0, 0);
+  const conf = {
+    activeDecks: [ANKI_DECK_ID],
+    curDeck: ANKI_DECK_ID,
+    curModel: String(ANKI_MODEL_ID),
+    newSpread: 0,
+    collapseTime: 1200,
+    timeLim: 0,
+    estTimes: true,
+    dueCounts: true,
+    nextPos: 1,
+    sortType: 'noteFld',
+    sortBackwards: false,
+    addToCur: true,
+  };
+  const decks = {
+    1: buildDeck(1, 'Default', nowSeconds),
+    [ANKI_DECK_ID]: buildDeck(ANKI_DECK_ID, deckName, nowSeconds),
+  };
+  return {
+    rowid: 1,
+    values: [
+      null,
+      Math.floor(dayStart.getTime() / 1000),
+      now,
+      now,
+      ANKI_SCHEMA_VERSION,
+      0,
+      0,
+      0,
+      JSON.stringify(conf),
+      JSON.stringify({ [ANKI_MODEL_ID]: buildModel(nowSeconds) }),
+      JSON.stringify(decks),
+      JSON.stringify({ 1: DEFAULT_DECK_CONFIG }),
+      '{}',
+    ],
+  };
+}
+
+/**
+ * notes: [{ guidSeed, fields: { Word, Reading, ... } (HTML), tags: [] }]
+ * media: [{ name, data: Uint8Array }] — referenced from fields as `[sound:name]`.
+ */
+export async function buildAnkiPackage({ deckName = 'Tsukeru', notes = [], media = [], now = Date.now() } = {}) {
+  const nowSeconds = Math.floor(now / 1000);
+  const noteRows = [];
+  const cardRows = [];
+
+  for (let i = 0; i < notes.length; i++) {
+    const note = notes[i];
+    const fieldValues = ANKI_FIELDS.map((name) => note.fields?.[name] || '');
+    const sortField = stripHtml(fieldValues[0]);
+    const checksum = parseInt((await sha1Hex(sortField)).slice(0, 8), 16);
+    const guid = (await sha1Hex(`tsukeru:${note.guidSeed}`)).slice(0, 16);
+    const tags = (note.tags || []).map((tag) => String(tag).replace(/\s+/g, '_')).filter(Boolean);
+    const noteId = now + i;
+
+    noteRows.push({
+      rowid: noteId,
+      values: [null, guid, ANKI_MODEL_ID, nowSeconds, -1, tags.length ? ` ${tags.join(' ')} ` : '',
+        fieldValues.join(FIELD_SEPARATOR), sortField, checksum, 0, ''],
+    });
+    // New card: type/queue 0, due = position in the new queue.
+    cardRows.push({
+      rowid: noteId,
+      values: [null, noteId, ANKI_DECK_ID, 0, nowSeconds, -1, 0, 0, i + 1, 0, 0, 0, 0, 0, 0, 0, 0, ''],
+    });
+  }
+
+  const collection = buildSqliteDatabase([
+    { name: 'col', sql: COLLECTION_TABLES.col, rows: [buildCollectionRow(deckName, now)] },
+    {
+      name: 'notes',
+      sql: COLLECTION_TABLES.notes,
+      rows: noteRows,
+      indexes: [
+        { name: 'ix_notes_usn', sql: 'CREATE INDEX ix_notes_usn on notes (usn)', columns: [4] },
+        { name: 'ix_notes_csum', sql: 'CREATE INDEX ix_notes_csum on notes (csum)', columns: [8] },
+      ],
+    },
+    {
+      name: 'cards',
+      sql: COLLECTION_TABLES.cards,
+      rows: cardRows,
+      indexes: [
+        { name: 'ix_cards_usn', sql: 'CREATE INDEX ix_cards_usn on cards (usn)', columns: [5] },
+        { name: 'ix_cards_nid', sql: 'CREATE INDEX ix_cards_nid on cards (nid)', columns: [1] },
+        { name: 'ix_cards_sched', sql: 'CREATE INDEX ix_cards_sched on cards (did, queue, due)', columns: [2, 7, 8] },
+      ],
+    },
+    {
+      name: 'revlog',
+      sql: COLLECTION_TABLES.revlog,
+      rows: [],
+      indexes: [
+        { name: 'ix_revlog_usn', sql: 'CREATE INDEX ix_revlog_usn on revlog (usn)', columns: [2] },
+        { name: 'ix_revlog_cid', sql: 'CREATE INDEX ix_revlog_cid on revlog (cid)', columns: [1] },
+      ],
+    },
+    { name: 'graves', sql: COLLECTION_TABLES.graves, rows: [] },
+  ]);
+
+  // Media files are stored as "0", "1", … with a JSON map back to their real names.
+  const mediaMap = {};
+  const mediaFiles = media.map((file, i) => {
+    mediaMap[i] = file.name;
+    return { name: String(i), data: file.data };
+  });
+
+  return createZip([
+    { name: 'collection.anki2', data: collection },
+    { name: 'media', data: JSON.stringify(mediaMap) },
+    ...mediaFiles,
+  ]);
+}
@@ -0,0 +1,285 @@
+/*
+Module: bg-anki
+Purpose: Push saved vocabulary into a user-chosen Anki deck through the AnkiConnect add-on.
+
+Inputs:
+- Vocabulary entries and AnkiConnect settings (deck, note type, field mapping) from `chrome.storage.sync`.
+- AnkiConnect responses from the local Anki instance.
+
+Outputs:
+- Per-entry sync results (`added` / `duplicate` / `queued` / `disabled`) and bulk sync counts.
+
+Side Effects:
+- POSTs to AnkiConnect on 127.0.0.1; fetches word audio through `handlePlayAudio` when an audio field is mapped.
+- Keeps a retry queue in `chrome.storage.local.ankiSyncQueue` and a `chrome.alarms` retry alarm.
+
+Failure Modes:
+- Anki not running: entries are queued and retried by the alarm until AnkiConnect answers.
+- AnkiConnect errors (unknown deck/model, rejected origin) are returned to the caller and not retried.
+
+Security Notes:
+- Talks to the loopback AnkiConnect port only; the host permission is optional and requested from the popup.
+- Field values are HTML-escaped before they reach Anki.
+*/
+// AnkiConnect client — duplicate check via findNotes, addNote, and an alarm-driven retry queue.
+import { DEFAULT_SETTINGS, handlePlayAudio } from './bg-api.js';
+
+export const ANKI_CONNECT_URL = 'http://127.0.0.1:8765';
+export const ANKI_RETRY_ALARM = 'tsukeru-anki-retry';
+const ANKI_CONNECT_VERSION = 6;
+const ANKI_QUEUE_KEY = 'ankiSyncQueue';
+const ANKI_RETRY_MINUTES = 5;
+const ANKI_NOTE_TAG = 'tsukeru';
+
+let queueTask = Promise.resolve();
+
+// ── AnkiConnect transport ─────────────────────────────────────────────────────
+
+export async function ankiInvoke(action, params = {}) {
+  let response;
+  try {
+    response = await fetch(ANKI_CONNECT_URL, {
+      method: 'POST',
+      body: JSON.stringify({ action, version: ANKI_CONNECT_VERSION, params }),
+    });
+  } catch (err) {
+    // Connection refused: Anki (or the add-on) is not running.
+    const unavailable = new Error('AnkiConnect is not reachable. Is Anki running?');
+    unavailable.ankiUnavailable = true;
+    throw unavailable;
+  }
+  if (!response.ok) throw new Error(`AnkiConnect HTTP ${response.status}`);
+  const data = await response.json();
+  if (data?.error) throw new Error(data.error);
+  return data?.result;
+}
+
+// Deck/note-type lists for the popup. `requestPermission` lets Anki prompt the user to allow this extension.
+export async function getAnkiConnectInfo() {
+  const permission = await ankiInvoke('requestPermission');
+  if (permission?.permission === 'denied') throw new Error('Anki denied access for this extension');
+  const [decks, noteTypes] = await Promise.all([ankiInvoke('deckNames'), ankiInvoke('modelNames')]);
+  return { decks, noteTypes };
+}
+
+export async function getAnkiNoteTypeFields(noteType) {
+  return ankiInvoke('modelFieldNames', { modelName: noteType });
+}
+
+// ── Note building ─────────────────────────────────────────────────────────────
+
+function escapeText(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+function stripTags(html) {
+  return decodeEntities(String(html || '').replace(/<[^>]*>/g, ''));
+}
+
+// The service worker has no DOM, so saved sentence HTML is flattened with regexes.
+function sentenceToPlainText(html) {
+  return stripTags(String(html || '').replace(/<rt\b[^>]*>[\s\S]*?<\/rt>/gi, '')).trim();
+}
+
+function sentenceToAnkiFurigana(html) {
+  const withBrackets = String(html || '').replace(
+    /<ruby\b[^>]*>([\s\S]*?)<rt\b[^>]*>([\s\S]*?)<\/rt>[\s\S]*?<\/ruby>/gi,
+    (match, base, reading) => ` ${stripTags(base).trim()}[${stripTags(reading).trim()}]`
+  );
+  return stripTags(withBrackets).trim();
+}
+
+function getDefinitionText(entry) {
+  if (entry.definition) return entry.definition;
+  return (entry.definitions || []).map((sense) => (sense.glosses || []).join('; ')).filter(Boolean).join(' | ');
+}
+
+function getSourceValue(entry, source) {
+  switch (source) {
+    case 'word': return escapeText(entry.word);
+    case 'reading': return escapeText(entry.reading);
+    case 'sentence': return escapeText(sentenceToPlainText(entry.sentence));
+    case 'sentenceFurigana': return escapeText(sentenceToAnkiFurigana(entry.sentence));
+    case 'definition': return escapeText(getDefinitionText(entry));
+    case 'jlpt': return entry.jlpt ? `N${entry.jlpt}` : '';
+    case 'url': return escapeText(entry.url);
+    default: return '';
+  }
+}
+
+function escapeSearchTerm(text) {
+  return String(text || '').replace(/([\\"*_:])/g, '\\$1');
+}
+
+function getAnkiSettings(settings) {
+  const fieldMap = settings.ankiFieldMap || {};
+  const fields = Object.keys(fieldMap);
+  return {
+    deck: settings.ankiDeck || DEFAULT_SETTINGS.ankiDeck,
+    noteType: settings.ankiNoteType || DEFAULT_SETTINGS.ankiNoteType,
+    fieldMap,
+    // Duplicates are matched on whichever field receives the word (else the first mapped field).
+    keyField: fields.find((field) => fieldMap[field] === 'word') || fields[0],
+  };
+}
+
+async function buildAnkiAudio(entry, audioFields) {
+  if (!audioFields.length) return undefined;
+  try {
+    const { dataUrl } = await handlePlayAudio(entry.word, entry.reading);
+    const [, base64 = ''] = String(dataUrl).split(',');
+    if (!base64) return undefined;
+    const safeName = `${entry.word}_${entry.reading || ''}`.replace(/[\\/:*?"<>|\s]+/g, '_');
+    return [{ data: base64, filename: `tsukeru_${safeName}.mp3`, fields: audioFields }];
+  } catch (err) {
+    console.warn('Anki audio unavailable for entry', err);
+    return undefined;
+  }
+}
+
+async function pushEntry(entry, ankiSettings) {
+  const { deck, noteType, fieldMap, keyField } = ankiSettings;
+  if (!keyField) throw new Error('No Anki fields are mapped');
+
+  const fields = {};
+  const audioFields = [];
+  for (const [field, source] of Object.entries(fieldMap)) {
+    if (source === 'audio') audioFields.push(field);
+    else fields[field] = getSourceValue(entry, source);
+  }
+  if (!fields[keyField]) throw new Error(`Nothing to put in the "${keyField}" field`);
+
+  // Field searches match the stored (HTML-escaped) field content.
+  const query = `deck:"${escapeSearchTerm(deck)}" note:"${escapeSearchTerm(noteType)}" "${escapeSearchTerm(keyField)}:${escapeSearchTerm(fields[keyField])}"`;
+  const existing = await ankiInvoke('findNotes', { query });
+  if (existing?.length) return { status: 'duplicate', noteId: existing[0] };
+
+  try {
+    const noteId = await ankiInvoke('addNote', {
+      note: {
+        deckName: deck,
+        modelName: noteType,
+        fields,
+        tags: [ANKI_NOTE_TAG],
+        options: { allowDuplicate: false, duplicateScope: 'deck' },
+        audio: await buildAnkiAudio(entry, audioFields),
+      },
+    });
+    return { status: 'added', noteId };
+  } catch (err) {
+    // Anki's own first-field check can still catch a duplicate the field search missed.
+    if (/duplicate/i.test(err.message)) return { status: 'duplicate' };
+    throw err;
+  }
+}
+
+// ── Retry queue ───────────────────────────────────────────────────────────────
+
+// Queue reads/writes are chained so concurrent saves and alarm flushes never drop entries.
+function withQueue(task) {
+  const run = queueTask.then(task, task);
+  queueTask = run.catch(() => {});
+  return run;
+}
+
+function queueKey(entry) {
+  return `${entry.word}|${entry.reading || ''}`;
+}
+
+function enqueueEntry(entry) {
+  return withQueue(async () => {
+    const { [ANKI_QUEUE_KEY]: queue = [] } = await chrome.storage.local.get([ANKI_QUEUE_KEY]);
+    const next = queue.filter((item) => queueKey(item) !== queueKey(entry));
+    next.push(entry);
+    await chrome.storage.local.set({ [ANKI_QUEUE_KEY]: next });
+    await chrome.alarms.create(ANKI_RETRY_ALARM, { periodInMinutes: ANKI_RETRY_MINUTES });
+  });
+}
+
+export async function getAnkiQueueSize() {
+  const { [ANKI_QUEUE_KEY]: queue = [] } = await chrome.storage.local.get([ANKI_QUEUE_KEY]);
+  return queue.length;
+}
+
+// Retry queued entries in order; stops at the first "Anki unavailable" so the rest wait for the next alarm.
+export function flushAnkiQueue() {
+  return withQueue(async () => {
+    const { [ANKI_QUEUE_KEY]: queue = [] } = await chrome.storage.local.get([ANKI_QUEUE_KEY]);
+    const settings = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+    if (!queue.length || !settings.ankiConnectEnabled) {
+      if (!queue.length) await chrome.alarms.clear(ANKI_RETRY_ALARM);
+      return { remaining: queue.length };
+    }
+
+    const ankiSettings = getAnkiSettings(settings);
+    let remaining = [];
+    for (let i = 0; i < queue.length; i++) {
+      try {
+        await pushEntry(queue[i], ankiSettings);
+      } catch (err) {
+        if (err.ankiUnavailable) {
+          remaining = queue.slice(i);
+          break;
+        }
+        console.warn('Dropping queued Anki entry after AnkiConnect error', err);
+      }
+    }
+
+    await chrome.storage.local.set({ [ANKI_QUEUE_KEY]: remaining });
+    if (!remaining.length) await chrome.alarms.clear(ANKI_RETRY_ALARM);
+    return { remaining: remaining.length };
+  });
+}
+
+// ── Public entry points ───────────────────────────────────────────────────────
+
+export async function addEntryToAnki(entry) {
+  const settings = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+  if (!settings.ankiConnectEnabled) return { status: 'disabled' };
+  try {
+    return await pushEntry(entry, getAnkiSettings(settings));
+  } catch (err) {
+    if (!err.ankiUnavailable) throw err;
+    await enqueueEntry(entry);
+    return { status: 'queued' };
+  }
+}
+
+// Bulk sync for the Vocabulary tab. Fails fast when Anki is down instead of queueing the whole list.
+export async function syncEntriesToAnki(entries) {
+  const settings = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+  if (!settings.ankiConnectEnabled) return { status: 'disabled' };
+  await ankiInvoke('version');
+
+  const ankiSettings = getAnkiSettings(settings);
+  const counts = { added: 0, duplicate: 0, queued: 0, failed: 0 };
+  for (const entry of entries) {
+    try {
+      const { status } = await pushEntry(entry, ankiSettings);
+      counts[status] += 1;
+    } catch (err) {
+      if (err.ankiUnavailable) {
+        await enqueueEntry(entry);
+        counts.queued += 1;
+      } else {
+        console.warn('Anki sync failed for entry', err);
+        counts.failed += 1;
+      }
+    }
+  }
+  return { status: 'done', ...counts };
+}
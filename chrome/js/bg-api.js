@@ -1,20 +1,24 @@
 /*
 Module: bg-api
-Purpose: Execute backend workflows for furigana processing, dictionary data, audio proxying, and export.
+Purpose: Execute backend workflows for furigana processing, dictionary data, and audio proxying.
 
 Inputs:
 - Text chunk payloads, settings, tab URLs, and action parameters.
 - Network responses from EZFurigana API endpoints.
+- Bundled offline lexicon via `bg-offline` when the backend is disabled or unreachable.
+- Bundled dictionary records from `bg-cache`, consulted before definition/kanji endpoints and for per-kanji readings.
 
 Outputs:
-- Processed furigana HTML, lookup payloads, and base64 data URLs.
+- Processed furigana HTML (readings always in hiragana), lookup payloads tagged with their `source`, and base64 data URLs.
 
 Side Effects:
-- Performs network fetches and enforces in-memory rate limiting.
+- Performs network fetches through a shared scheduler (bounded concurrency, in-memory character budget, 429 backoff).
+- Records cache hit counts and trims the furigana cache to the `cacheMaxMB` cap.
 - Reads/writes cached furigana fragments through `bg-cache`.
 
 Failure Modes:
-- Network/API failures, malformed responses, and rate-limit rejections.
+- Network/API failures and malformed responses; requests over the character budget or answered with 429 wait in the queue instead of failing.
+- Furigana requests fall back to the offline engine when every backend endpoint fails.
 - Missing required payload fields produce thrown errors.
 
 Security Notes:
@@ -22,33 +26,149 @@ Security Notes:
 - Keep endpoint configuration centralized to avoid host sprawl.
 */
 // External network requests, furigana pipeline, and audio for the service worker.
-import { sha256Hash, cacheGet, cacheSet, definitionCache, DEFINITION_CACHE_TTL } from './bg-cache.js';
+import {
+  sha256Hash, cacheGet, cacheSet, definitionCache, DEFINITION_CACHE_TTL, dictLookupWord, dictLookupWords,
+  dictLookupKanji,
+  purgeExpiredCache, recordCacheLookups, trimCache,
+} from './bg-cache.js';
+import { annotateOffline } from './bg-offline.js';
+import { getSiteOrigin } from './bg-sites.js';
 import { kata2hira } from './utils.js';
 
 export const API_BASE_URL = 'https://www.ezfurigana.com';
+// Readings are always fetched and cached in hiragana; content scripts render the chosen furiganaType.
+const SOURCE_READING_SCRIPT = 'hiragana';
 
 export const DEFAULT_SETTINGS = {
   jlptLevel: 5,
   furiganaType: 'hiragana',
+  rubyAlignment: 'safe',
+  furiganaDisplay: 'show',
+  glossMode: 'off',
   firstOccurrenceOnly: false,
   highlightMode: 'off',
   watchDynamic: false,
   removeCustomStyling: false,
+  offlineEngine: false,
+  viewportFirst: false,
+  ankiConnectEnabled: false,
+  ankiDeck: 'Tsukeru',
+  ankiNoteType: 'Basic',
+  ankiFieldMap: { Front: 'word', Back: 'definition' },
+  cacheMaxMB: 25,
 };
 
+export const CACHE_MAINTENANCE_ALARM = 'tsukeru-cache-maintenance';
+export const CACHE_MAINTENANCE_MINUTES = 60;
+const CACHE_TRIM_DELAY_MS = 5_000;
+let cacheTrimTimer = null;
+
 const RATE_LIMIT_WINDOW_MS = 10_000;
 const RATE_LIMIT_MAX_CHARS = 50_000;
 const rateLimitBuckets = [];
 
-function checkCharRateLimit(nextLen) {
+// ── Request scheduler ─────────────────────────────────────────────────────────
+// Every backend fetch goes through one queue per tab. Queues are served round-robin so a
+// busy tab (e.g. YouTube captions) cannot starve the tab being read, at most
+// MAX_CONCURRENT_FETCHES run at once, and jobs wait for the character budget or a 429
+// Retry-After instead of failing.
+
+const MAX_CONCURRENT_FETCHES = 3;
+const MAX_RATE_LIMIT_RETRIES = 3;
+const DEFAULT_RETRY_AFTER_MS = 2_000;
+const MAX_RETRY_AFTER_MS = 60_000;
+const BACKGROUND_QUEUE_KEY = 'background';
+
+const fetchQueues = new Map();
+let activeFetches = 0;
+let fetchPausedUntil = 0;
+let fetchPumpTimer = null;
+
+// Milliseconds until `nextLen` more characters fit in the window (0 = send now).
+// A request larger than the whole budget is let through once the window is empty.
+function getCharBudgetWait(nextLen) {
   const now = Date.now();
   while (rateLimitBuckets.length && now - rateLimitBuckets[0].timestamp > RATE_LIMIT_WINDOW_MS) {
     rateLimitBuckets.shift();
   }
-  const used = rateLimitBuckets.reduce((sum, entry) => sum + entry.len, 0);
-  if (used + nextLen > RATE_LIMIT_MAX_CHARS) return false;
-  rateLimitBuckets.push({ timestamp: now, len: nextLen });
-  return true;
+  let used = rateLimitBuckets.reduce((sum, entry) => sum + entry.len, 0);
+  if (used === 0 || used + nextLen <= RATE_LIMIT_MAX_CHARS) return 0;
+  for (const entry of rateLimitBuckets) {
+    used -= entry.len;
+    if (used + nextLen <= RATE_LIMIT_MAX_CHARS) return entry.timestamp + RATE_LIMIT_WINDOW_MS - now + 1;
+  }
+  return rateLimitBuckets[rateLimitBuckets.length - 1].timestamp + RATE_LIMIT_WINDOW_MS - now + 1;
+}
+
+function enqueueFetchJob(job, { front = false } = {}) {
+  const jobs = fetchQueues.get(job.queueKey) || [];
+  if (front) jobs.unshift(job);
+  else jobs.push(job);
+  fetchQueues.set(job.queueKey, jobs);
+}
+
+// The first queue in Map order is next; it moves to the back after giving up a job.
+function takeNextFetchJob() {
+  const [queueKey, jobs] = fetchQueues.entries().next().value;
+  const job = jobs.shift();
+  fetchQueues.delete(queueKey);
+  if (jobs.length) fetchQueues.set(queueKey, jobs);
+  return job;
+}
+
+function pumpFetchQueue() {
+  clearTimeout(fetchPumpTimer);
+  fetchPumpTimer = null;
+  while (activeFetches < MAX_CONCURRENT_FETCHES && fetchQueues.size) {
+    const [nextJob] = fetchQueues.values().next().value;
+    const wait = Math.max(fetchPausedUntil - Date.now(), getCharBudgetWait(nextJob.chars));
+    if (wait > 0) {
+      fetchPumpTimer = setTimeout(pumpFetchQueue, wait);
+      return;
+    }
+    const job = takeNextFetchJob();
+    rateLimitBuckets.push({ timestamp: Date.now(), len: job.chars });
+    activeFetches += 1;
+    job.run()
+      .then(job.resolve, (err) => {
+        if (!err.rateLimited || job.attempts >= MAX_RATE_LIMIT_RETRIES) {
+          job.reject(err);
+          return;
+        }
+        job.attempts += 1;
+        const backoff = err.retryAfterMs ?? DEFAULT_RETRY_AFTER_MS * 2 ** (job.attempts - 1);
+        fetchPausedUntil = Math.max(fetchPausedUntil, Date.now() + backoff);
+        enqueueFetchJob(job, { front: true });
+      })
+      .finally(() => {
+        activeFetches -= 1;
+        pumpFetchQueue();
+      });
+  }
+}
+
+// Runs `task` once the scheduler has a free slot and budget for `chars` characters.
+export function scheduleFetch(queueKey, chars, task) {
+  return new Promise((resolve, reject) => {
+    enqueueFetchJob({
+      queueKey: queueKey ?? BACKGROUND_QUEUE_KEY,
+      chars,
+      run: task,
+      resolve,
+      reject,
+      attempts: 0,
+    });
+    pumpFetchQueue();
+  });
+}
+
+// Retry-After is either delta-seconds or an HTTP date.
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+  if (!Number.isFinite(delay)) return null;
+  return Math.min(Math.max(delay, 0), MAX_RETRY_AFTER_MS);
 }
 
 // Split a marker-embedded string into [{marker, text}] pairs.
@@ -78,25 +198,36 @@ export function dismantlePayload(text) {
   return chunks;
 }
 
-export async function handleFuriganaRequest(payload) {
+// `tabId` picks the scheduler queue; requests without a tab share the background queue.
+// `pin` keeps what the request caches past the normal expiry (prewarming).
+export async function handleFuriganaRequest(payload, tabId, { pin = false } = {}) {
   const { textContent = '', settings = {}, tabUrl } = payload;
 
   // Settings suffix shared by all chunks (JLPT excluded — filtered client-side via CSS)
-  const settingsSuffix = `|${settings.furiganaType || 'hiragana'}|${settings.firstOccurrenceOnly ? '1' : '0'}`;
+  const settingsSuffix = `|${SOURCE_READING_SCRIPT}|${settings.firstOccurrenceOnly ? '1' : '0'}`;
 
   // ── Step 1: Dismantle the payload into per-node chunks ────────────────────
   const chunks = dismantlePayload(textContent);
 
-  // No markers: unusual edge case — rate-check the whole payload and fetch raw.
+  // No markers: unusual edge case — schedule the whole payload and fetch raw.
   if (!chunks.length) {
-    if (!checkCharRateLimit(textContent.length)) {
-      throw new Error(`Rate limit exceeded: max ${RATE_LIMIT_MAX_CHARS} characters per ${RATE_LIMIT_WINDOW_MS / 1000}s`);
+    if (settings.offlineEngine) {
+      return { processedHTML: await annotateOffline(textContent, settings), engine: 'offline' };
+    }
+    try {
+      const result = await scheduleFetch(tabId, textContent.length, () => fetchFromAPI(textContent, settings, tabUrl));
+      return { ...result, engine: 'online' };
+    } catch (err) {
+      console.warn('Tsukeru: backend unreachable, using offline engine', err);
+      return { processedHTML: await annotateOffline(textContent, settings), engine: 'offline' };
     }
-    return fetchFromAPI(textContent, settings, tabUrl);
   }
 
+  const site = getSiteOrigin(tabUrl || '');
+
   // ── Step 2: Check cache per chunk (trim for key; re-inject whitespace on hit) ─
   const missingChunks = [];
+  let cacheHits = 0;
   for (const chunk of chunks) {
     const trimmed = chunk.text.trim();
 
@@ -108,43 +239,144 @@ export async function handleFuriganaRequest(payload) {
 
     const secureHash = await sha256Hash(trimmed);
     const key = secureHash + settingsSuffix;
-    const hit = await cacheGet(key);
+    const hit = await cacheGet(key, site, { pin });
     if (hit !== null) {
       chunk.processedHtml = chunk.text.replace(trimmed, () => hit);
+      cacheHits += 1;
     } else {
       missingChunks.push(chunk);
     }
   }
 
+  recordCacheLookups(cacheHits, missingChunks.length);
+
   // ── Step 3: Fetch only missing chunks from the backend ───────────────────
-  if (missingChunks.length > 0) {
+  let engine = 'online';
+  if (missingChunks.length > 0 && !settings.offlineEngine) {
     const missingChars = missingChunks.reduce((sum, c) => sum + c.text.length, 0);
-    if (!checkCharRateLimit(missingChars)) {
-      throw new Error(`Rate limit exceeded: max ${RATE_LIMIT_MAX_CHARS} characters per ${RATE_LIMIT_WINDOW_MS / 1000}s`);
-    }
-
     const missingPayload = missingChunks.map(c => c.marker + c.text).join('');
-    const result = await fetchFromAPI(missingPayload, settings, tabUrl);
+    let result = null;
+    try {
+      result = await scheduleFetch(tabId, missingChars, () => fetchFromAPI(missingPayload, settings, tabUrl));
+    } catch (err) {
+      console.warn('Tsukeru: backend unreachable, using offline engine', err);
+    }
 
-    const parsedChunks = dismantlePayload(result.processedHTML);
-    const parsedMap = new Map(parsedChunks.map(c => [c.marker, c.text]));
+    if (result) {
+      const parsedChunks = dismantlePayload(result.processedHTML);
+      const parsedMap = new Map(parsedChunks.map(c => [c.marker, c.text]));
+
+      for (const chunk of missingChunks) {
+        const rawHtml = parsedMap.get(chunk.marker) ?? chunk.text;
+        chunk.processedHtml = rawHtml;
+        const trimmed = chunk.text.trim();
+        if (trimmed) {
+          await cacheSet(await sha256Hash(trimmed) + settingsSuffix, rawHtml.trim(), site, { pin });
+        }
+      }
+      missingChunks.length = 0;
+      scheduleCacheTrim();
+    }
+  }
 
+  // ── Step 3b: Offline engine for anything the backend did not answer ──────
+  // Offline output is never cached so a later online run replaces it with the backend's reading.
+  if (missingChunks.length > 0) {
+    engine = 'offline';
     for (const chunk of missingChunks) {
-      const rawHtml = parsedMap.get(chunk.marker) ?? chunk.text;
-      chunk.processedHtml = rawHtml;
-      const trimmed = chunk.text.trim();
-      if (trimmed) {
-        await cacheSet(await sha256Hash(trimmed) + settingsSuffix, rawHtml.trim());
-      }
+      chunk.processedHtml = await annotateOffline(chunk.text, settings);
     }
   }
 
   // ── Step 4: Reassemble with the exact current markers ────────────────────
   const finalHTML = chunks.map(c => c.marker + (c.processedHtml ?? c.text)).join('');
-  return { processedHTML: finalHTML };
+  return { processedHTML: finalHTML, engine, cacheHits };
+}
+
+// ── Cache prewarming ──────────────────────────────────────────────────────────
+// Pasted text is cached the way content-dom splits a page: one unit per line (a block or
+// <br> run), over-long lines cut at the same sentence ends, at most 15000 characters a batch.
+// A later page whose paragraph text matches a line then hits the cache, even offline.
+
+const PREWARM_BATCH_CHARS = 15000;
+const PREWARM_SENTENCE_END_PATTERN = /[。！？][」』）〕】]*/g;
+const PREWARM_QUEUE_KEY = 'prewarm';
+
+function splitPrewarmLine(line) {
+  const pieces = [];
+  let rest = line;
+  while (rest.length > PREWARM_BATCH_CHARS) {
+    let cut = -1;
+    for (const match of rest.matchAll(PREWARM_SENTENCE_END_PATTERN)) {
+      const end = match.index + match[0].length;
+      if (end > PREWARM_BATCH_CHARS) {
+        if (cut <= 0) cut = end;
+        break;
+      }
+      cut = end;
+    }
+    if (cut <= 0 || cut >= rest.length) break;
+    pieces.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+  pieces.push(rest);
+  return pieces;
+}
+
+export async function prewarmText(text, settings) {
+  const units = String(text || '')
+    .split(/\r?\n/)
+    .filter(line => /[\u3040-\u309F\u30A0-\u30FF\u4E00-\u9FAF]/.test(line))
+    .flatMap(splitPrewarmLine);
+
+  const batches = [];
+  let current = [];
+  let charCount = 0;
+  units.forEach((unit) => {
+    current.push(unit);
+    charCount += unit.length;
+    if (charCount >= PREWARM_BATCH_CHARS) {
+      batches.push(current);
+      current = [];
+      charCount = 0;
+    }
+  });
+  if (current.length) batches.push(current);
+
+  // The offline engine's readings are never cached, so prewarming always asks the backend.
+  const onlineSettings = { ...settings, offlineEngine: false };
+  let cached = 0;
+  let alreadyCached = 0;
+  for (const [batchIndex, batch] of batches.entries()) {
+    const textContent = batch.map((unit, i) => `__TSUKERU_SPLIT__${batchIndex}_${i}__${unit}`).join('');
+    const result = await handleFuriganaRequest({ textContent, settings: onlineSettings }, PREWARM_QUEUE_KEY, { pin: true });
+    if (result.engine === 'offline') throw new Error('The furigana backend could not be reached');
+    alreadyCached += result.cacheHits || 0;
+    cached += batch.length - (result.cacheHits || 0);
+  }
+  return { units: units.length, cached, alreadyCached };
+}
+
+// ── Cache maintenance ─────────────────────────────────────────────────────────
+
+// Drops expired entries, then least-recently-used ones until the cache fits `cacheMaxMB`.
+export async function maintainFuriganaCache() {
+  const { cacheMaxMB } = await chrome.storage.sync.get({ cacheMaxMB: DEFAULT_SETTINGS.cacheMaxMB });
+  const expired = await purgeExpiredCache();
+  const evicted = await trimCache(Number(cacheMaxMB) * 1024 * 1024);
+  return { expired, evicted };
+}
+
+// New entries can push the cache over its cap; trim once writes have settled.
+function scheduleCacheTrim() {
+  clearTimeout(cacheTrimTimer);
+  cacheTrimTimer = setTimeout(() => {
+    maintainFuriganaCache().catch(err => console.warn('Tsukeru: cache maintenance failed', err));
+  }, CACHE_TRIM_DELAY_MS);
 }
 
 // Low-level API fetch — sends raw textContent and returns { processedHTML }.
+// A 429 throws at once (flagged `rateLimited`) so the scheduler can back off; the fallback endpoint is on the same host.
 export async function fetchFromAPI(textContent, settings, tabUrl) {
   const apiUrl = API_BASE_URL;
   const endpoints = [`${apiUrl}/api/extension/furigana`, `${apiUrl}/furigana/html`];
@@ -157,7 +389,7 @@ export async function fetchFromAPI(textContent, settings, tabUrl) {
       formData.append('engine', 'sudachi');
       // Always request jlpt_level=5 (max-render: backend annotates all words); JLPT filtering is CSS-driven client-side
       formData.append('jlpt_level', '5');
-      formData.append('furigana_type', settings.furiganaType || DEFAULT_SETTINGS.furiganaType);
+      formData.append('furigana_type', SOURCE_READING_SCRIPT);
       formData.append('first_occurrence_only', settings.firstOccurrenceOnly ? 'on' : '');
       formData.append('raw_text', textContent);
       formData.append('website_url', tabUrl || '');
@@ -169,6 +401,12 @@ export async function fetchFromAPI(textContent, settings, tabUrl) {
         credentials: 'omit',
         mode: 'cors',
       });
+      if (response.status === 429) {
+        const limited = new Error('API rate limit reached (HTTP 429)');
+        limited.rateLimited = true;
+        limited.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+        throw limited;
+      }
       if (!response.ok) {
         lastError = new Error(`API request failed: ${response.status} ${response.statusText}`);
         console.error('Tsukeru backend error', endpoint, response.status, response.statusText);
@@ -190,6 +428,7 @@ export async function fetchFromAPI(textContent, settings, tabUrl) {
 
       return { processedHTML };
     } catch (err) {
+      if (err.rateLimited) throw err;
       lastError = err;
       console.error('Tsukeru fetch exception', endpoint, err);
       continue;
@@ -235,6 +474,14 @@ export async function lookupDefinition(word) {
     return cached.data;
   }
 
+  // Bundled dictionary first; the network is only consulted on a miss.
+  const localEntries = await dictLookupWord(term);
+  if (localEntries.length) {
+    const data = { entries: localEntries, source: 'local' };
+    definitionCache.set(term, { data, timestamp: now });
+    return data;
+  }
+
   const endpoints = [
     `${API_BASE_URL}/api/extension/word-definition?word=${encodeURIComponent(term)}`,
     `${API_BASE_URL}/api/word-definition/${encodeURIComponent(term)}`
@@ -252,7 +499,7 @@ export async function lookupDefinition(word) {
         lastError = new Error(`API request failed: ${response.status} ${response.statusText}`);
         continue;
       }
-      const data = await response.json();
+      const data = { ...(await response.json()), source: 'network' };
       definitionCache.set(term, { data, timestamp: now });
       return data;
     } catch (err) {
@@ -265,6 +512,51 @@ export async function lookupDefinition(word) {
   throw lastError || new Error('Definition lookup failed');
 }
 
+// ── Inline glosses ────────────────────────────────────────────────────────────
+// One short English gloss per word for the content gloss layer. Answered from cached
+// definitions and the bundled dictionary only, so a page of words costs no network requests.
+
+const MAX_GLOSS_WORDS = 200;
+const MAX_GLOSS_LENGTH = 24;
+
+// First gloss of the entry whose kana matches the reading, without parenthetical notes.
+function getShortGloss(entries, reading) {
+  const entry = entries.find((candidate) => (candidate.kana || []).includes(reading)) || entries[0];
+  const gloss = entry?.senses?.find((sense) => sense.glosses?.length)?.glosses[0] || '';
+  const short = gloss.replace(/\s*\([^)]*\)/g, '').trim();
+  return short.length > MAX_GLOSS_LENGTH ? `${short.slice(0, MAX_GLOSS_LENGTH - 1)}…` : short;
+}
+
+// words: [{ word, reading }]. Returns { 'word|reading': gloss }, '' where nothing was found.
+export async function lookupGlosses(words = []) {
+  const requested = words
+    .filter((item) => typeof item?.word === 'string' && item.word.trim())
+    .slice(0, MAX_GLOSS_WORDS)
+    .map((item) => ({ word: item.word.trim(), reading: typeof item.reading === 'string' ? item.reading : '' }));
+  const now = Date.now();
+  const entriesByWord = new Map();
+  requested.forEach(({ word }) => {
+    const cached = definitionCache.get(word);
+    if (cached && now - cached.timestamp < DEFINITION_CACHE_TTL && Array.isArray(cached.data?.entries)) {
+      entriesByWord.set(word, cached.data.entries);
+    }
+  });
+
+  const misses = [...new Set(requested.map(({ word }) => word).filter((word) => !entriesByWord.has(word)))];
+  const localEntries = misses.length ? await dictLookupWords(misses) : new Map();
+  localEntries.forEach((entries, word) => {
+    entriesByWord.set(word, entries);
+    // Warm the tooltip's cache the same way lookupDefinition would.
+    if (entries.length) definitionCache.set(word, { data: { entries, source: 'local' }, timestamp: now });
+  });
+
+  const glosses = {};
+  requested.forEach(({ word, reading }) => {
+    glosses[`${word}|${reading}`] = getShortGloss(entriesByWord.get(word) || [], kata2hira(reading));
+  });
+  return glosses;
+}
+
 export async function fetchExampleSentence(word) {
   const term = (word || '').trim();
   if (!term) throw new Error('No word provided');
@@ -282,13 +574,36 @@ export async function fetchKanjiBreakdown(word) {
   const term = (word || '').trim();
   if (!term) throw new Error('No word provided');
 
+  // Answer locally only when the bundled subset covers every kanji in the word.
+  const kanjiChars = [...new Set(Array.from(term).filter(ch => /[\u4E00-\u9FAF\u3005]/.test(ch)))];
+  if (kanjiChars.length) {
+    const localChars = await dictLookupKanji(kanjiChars);
+    if (localChars.every(Boolean)) return { characters: localChars, source: 'local' };
+  }
+
   const response = await fetch(`${API_BASE_URL}/api/kanji-breakdown/${encodeURIComponent(term)}`, {
     method: 'GET',
     credentials: 'omit',
     mode: 'cors',
   });
   if (!response.ok) throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-  return await response.json();
+  return { ...(await response.json()), source: 'network' };
+}
+
+// characters: single kanji. Returns { kanji: [hiragana readings] } from the bundled KANJIDIC subset,
+// with kun'yomi cut to their stem (た.べる → た); [] where the subset has no entry.
+export async function lookupKanjiReadings(characters = []) {
+  const unique = [...new Set(characters.filter((ch) => typeof ch === 'string' && ch))];
+  const records = await dictLookupKanji(unique);
+  const readings = {};
+  unique.forEach((character, i) => {
+    const record = records[i];
+    const all = [...(record?.on_readings || []), ...(record?.kun_readings || [])]
+      .map((reading) => kata2hira(reading.replace(/-/g, '').split('.')[0]))
+      .filter(Boolean);
+    readings[character] = [...new Set(all)];
+  });
+  return readings;
 }
 
 export async function handlePlayAudio(word, reading) {
@@ -337,21 +652,3 @@ export async function handleFetchProxyAudio(url) {
     reader.readAsDataURL(blob);
   });
 }
-
-export async function handleExportAnkiAudio(payload) {
-  const response = await fetch(`${API_BASE_URL}/api/export-anki-zip`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ words: payload }),
-    credentials: 'omit',
-    mode: 'cors',
-  });
-  if (!response.ok) throw new Error(`Export failed: ${response.status} ${response.statusText}`);
-  const blob = await response.blob();
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onloadend = () => resolve({ dataUrl: reader.result });
-    reader.onerror = () => reject(new Error('Failed to convert ZIP to Base64'));
-    reader.readAsDataURL(blob);
-  });
-}
@@ -1,30 +1,47 @@
 /*
 Module: bg-cache
-Purpose: Provide hashing plus IndexedDB/memory caching primitives for background workflows.
+Purpose: Provide hashing plus IndexedDB/memory caching primitives and the bundled dictionary store for background workflows.
 
 Inputs:
-- Cache keys, source text, processed HTML, and timestamps.
+- Cache keys, source text, processed HTML, page origins, and timestamps.
+- Bundled JMdict/KANJIDIC subsets under `data/`.
 
 Outputs:
 - SHA-256 hashes and cache hit/miss values.
+- Cache statistics (entries, bytes, lifetime hit rate) and `{key, html}` lists for cache export.
+- Local dictionary entries and kanji records shaped like the backend API responses.
 
 Side Effects:
-- Opens IndexedDB and reads/writes cache entries.
+- Opens IndexedDB and reads/writes cache entries; deletes expired and least-recently-used entries.
+- Imports the bundled dictionary into the `tsukeru-dict` database once per extension version.
 - Mutates in-memory definition cache map.
 
 Failure Modes:
 - IndexedDB transaction/open failures return safe null/no-op behavior.
+- Dictionary import failures leave lookups empty so callers fall back to the network.
 - Crypto API failures propagate from hash operations.
 
 Security Notes:
 - Cache contains locally stored derived page text fragments.
-- TTL limits retention of cached data.
+- TTL and the size cap limit retention of cached data; entries record the origins that used them so a site can be cleared.
 */
-// IndexedDB page-cache and in-memory definition cache for the service worker.
+// IndexedDB page-cache, bundled dictionary, and in-memory definition cache for the service worker.
 
 const IDB_NAME = 'tsukeru-cache';
+const IDB_VERSION = 2;
 const IDB_STORE = 'furigana';
+const IDB_META_STORE = 'meta';
 const IDB_CACHE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+// Cache hits refresh lastUsed at most this often per entry (plenty for LRU eviction) and are
+// written back together, one transaction per flush instead of one per hit.
+const CACHE_TOUCH_INTERVAL_MS = 60 * 60 * 1000;
+const CACHE_TOUCH_FLUSH_DELAY_MS = 2_000;
+const pendingCacheTouches = new Map(); // key -> { lastUsed, sites: Set, pin }
+let cacheTouchTimer = null;
+
+// sha256Hash(trimmed text) + settings suffix (`|hiragana|firstOccurrenceOnly`), as built by bg-api.
+const CACHE_KEY_PATTERN = /^[0-9a-f]{64}\|[a-z]+\|[01]$/;
+const MAX_IMPORTED_HTML_LENGTH = 200_000;
 
 export async function sha256Hash(message) {
   const msgBuffer = new TextEncoder().encode(message);
@@ -33,23 +50,49 @@ export async function sha256Hash(message) {
   return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
 }
 
+// v2 adds last-use/size/site bookkeeping; v1 rows lack it, so the store is recreated empty.
 function openCacheDB() {
   return new Promise((resolve, reject) => {
-    const req = indexedDB.open(IDB_NAME, 1);
-    req.onupgradeneeded = (e) => { e.target.result.createObjectStore(IDB_STORE); };
+    const req = indexedDB.open(IDB_NAME, IDB_VERSION);
+    req.onupgradeneeded = (e) => {
+      const db = e.target.result;
+      if (db.objectStoreNames.contains(IDB_STORE)) db.deleteObjectStore(IDB_STORE);
+      const store = db.createObjectStore(IDB_STORE);
+      store.createIndex('timestamp', 'timestamp');
+      store.createIndex('lastUsed', 'lastUsed');
+      store.createIndex('sites', 'sites', { multiEntry: true });
+      if (!db.objectStoreNames.contains(IDB_META_STORE)) db.createObjectStore(IDB_META_STORE);
+    };
     req.onsuccess = (e) => resolve(e.target.result);
     req.onerror = (e) => reject(e.target.error);
   });
 }
 
-export async function cacheGet(key) {
+function getEntrySize(key, html) {
+  return new TextEncoder().encode(key + html).length;
+}
+
+// Pinned entries (imported or prewarmed) are kept for offline use and never expire; the size
+// cap and clearing the cache still remove them.
+function isExpired(entry, now = Date.now()) {
+  return !entry.pinned && now - entry.timestamp > IDB_CACHE_TTL;
+}
+
+// `site` is the page origin asking; it is added to the entry so "clear this site" can find it.
+// `pin` marks a hit from prewarming, which keeps an entry that was already cached.
+export async function cacheGet(key, site, { pin = false } = {}) {
   try {
     const db = await openCacheDB();
     return new Promise((resolve) => {
       const req = db.transaction(IDB_STORE, 'readonly').objectStore(IDB_STORE).get(key);
       req.onsuccess = () => {
         const entry = req.result;
-        if (!entry || Date.now() - entry.timestamp > IDB_CACHE_TTL) return resolve(null);
+        if (!entry || isExpired(entry)) return resolve(null);
+        const newSite = site && !entry.sites.includes(site) ? site : null;
+        const newPin = pin && !entry.pinned;
+        if (newSite || newPin || Date.now() - entry.lastUsed > CACHE_TOUCH_INTERVAL_MS) {
+          queueCacheTouch(key, newSite, newPin);
+        }
         resolve(entry.html);
       };
       req.onerror = () => resolve(null);
@@ -57,17 +100,354 @@ export async function cacheGet(key) {
   } catch { return null; }
 }
 
-export async function cacheSet(key, html) {
+function queueCacheTouch(key, site, pin) {
+  const touch = pendingCacheTouches.get(key) || { lastUsed: 0, sites: new Set(), pin: false };
+  touch.lastUsed = Date.now();
+  if (site) touch.sites.add(site);
+  touch.pin = touch.pin || pin;
+  pendingCacheTouches.set(key, touch);
+  if (!cacheTouchTimer) cacheTouchTimer = setTimeout(flushCacheTouches, CACHE_TOUCH_FLUSH_DELAY_MS);
+}
+
+async function flushCacheTouches() {
+  clearTimeout(cacheTouchTimer);
+  cacheTouchTimer = null;
+  if (!pendingCacheTouches.size) return;
+  const touches = new Map(pendingCacheTouches);
+  pendingCacheTouches.clear();
+  try {
+    const db = await openCacheDB();
+    const tx = db.transaction(IDB_STORE, 'readwrite');
+    const store = tx.objectStore(IDB_STORE);
+    touches.forEach((touch, key) => {
+      const req = store.get(key);
+      req.onsuccess = () => {
+        const entry = req.result;
+        if (!entry) return;
+        entry.lastUsed = Math.max(entry.lastUsed, touch.lastUsed);
+        if (touch.pin) entry.pinned = true;
+        touch.sites.forEach((site) => {
+          if (!entry.sites.includes(site)) entry.sites.push(site);
+        });
+        store.put(entry, key);
+      };
+    });
+    await completeTransaction(tx);
+  } catch { /* ignore */ }
+}
+
+export async function cacheSet(key, html, site, { pin = false } = {}) {
   try {
     const db = await openCacheDB();
     return new Promise((resolve) => {
       const tx = db.transaction(IDB_STORE, 'readwrite');
-      tx.objectStore(IDB_STORE).put({ html, timestamp: Date.now() }, key);
+      const now = Date.now();
+      tx.objectStore(IDB_STORE).put({
+        html,
+        timestamp: now,
+        lastUsed: now,
+        size: getEntrySize(key, html),
+        sites: site ? [site] : [],
+        pinned: pin,
+      }, key);
       tx.oncomplete = () => resolve();
       tx.onerror = () => resolve();
     });
   } catch { /* ignore */ }
 }
 
+// ── Cache maintenance ─────────────────────────────────────────────────────────
+
+// Runs `visit(cursor)` over every record the request's cursor yields; resolves with the visit count.
+function walkCursor(request, visit) {
+  return new Promise((resolve, reject) => {
+    let count = 0;
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve(count);
+      count += 1;
+      visit(cursor);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function completeTransaction(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+export async function purgeExpiredCache() {
+  const db = await openCacheDB();
+  const tx = db.transaction(IDB_STORE, 'readwrite');
+  const done = completeTransaction(tx);
+  const expired = IDBKeyRange.upperBound(Date.now() - IDB_CACHE_TTL);
+  let removed = 0;
+  await walkCursor(tx.objectStore(IDB_STORE).index('timestamp').openCursor(expired), (cursor) => {
+    if (cursor.value.pinned) return;
+    cursor.delete();
+    removed += 1;
+  });
+  await done;
+  return removed;
+}
+
+// LRU eviction: keep the most recently used entries that fit in `maxBytes`, delete the rest.
+export async function trimCache(maxBytes) {
+  const db = await openCacheDB();
+  const tx = db.transaction(IDB_STORE, 'readwrite');
+  const done = completeTransaction(tx);
+  let kept = 0;
+  let removed = 0;
+  await walkCursor(tx.objectStore(IDB_STORE).index('lastUsed').openCursor(null, 'prev'), (cursor) => {
+    kept += cursor.value.size || 0;
+    if (kept > maxBytes) {
+      cursor.delete();
+      removed += 1;
+    }
+  });
+  await done;
+  return removed;
+}
+
+// Clears the entries used by one origin, or the whole cache (and its hit counters) when `site` is omitted.
+export async function clearCache(site) {
+  const db = await openCacheDB();
+  if (!site) {
+    const tx = db.transaction([IDB_STORE, IDB_META_STORE], 'readwrite');
+    const countReq = tx.objectStore(IDB_STORE).count();
+    tx.objectStore(IDB_STORE).clear();
+    tx.objectStore(IDB_META_STORE).delete('stats');
+    await completeTransaction(tx);
+    return countReq.result;
+  }
+  // Sites recorded by recent hits must be on disk for the index to find them.
+  await flushCacheTouches();
+  const tx = db.transaction(IDB_STORE, 'readwrite');
+  const done = completeTransaction(tx);
+  const removed = await walkCursor(
+    tx.objectStore(IDB_STORE).index('sites').openCursor(IDBKeyRange.only(site)),
+    (cursor) => cursor.delete()
+  );
+  await done;
+  return removed;
+}
+
+// Lifetime chunk lookups, kept in the meta store so the hit rate survives service-worker restarts.
+export async function recordCacheLookups(hits, misses) {
+  if (!hits && !misses) return;
+  try {
+    const db = await openCacheDB();
+    const tx = db.transaction(IDB_META_STORE, 'readwrite');
+    const store = tx.objectStore(IDB_META_STORE);
+    const req = store.get('stats');
+    req.onsuccess = () => {
+      const stats = req.result || { hits: 0, misses: 0 };
+      store.put({ hits: stats.hits + hits, misses: stats.misses + misses }, 'stats');
+    };
+    await completeTransaction(tx);
+  } catch { /* ignore */ }
+}
+
+// ── Export / import ───────────────────────────────────────────────────────────
+
+// Every unexpired entry, keyed exactly as stored, for a shareable export file.
+export async function exportCacheEntries() {
+  const db = await openCacheDB();
+  const tx = db.transaction(IDB_STORE, 'readonly');
+  const done = completeTransaction(tx);
+  const now = Date.now();
+  const entries = [];
+  await walkCursor(tx.objectStore(IDB_STORE).openCursor(), (cursor) => {
+    if (!isExpired(cursor.value, now)) entries.push({ key: cursor.key, html: cursor.value.html });
+  });
+  await done;
+  return entries;
+}
+
+// Imported entries are pinned, count as freshly cached and belong to no site. Keys already
+// present keep their readings and are only pinned; malformed rows are skipped.
+export async function importCacheEntries(entries) {
+  const valid = (Array.isArray(entries) ? entries : []).filter((entry) => (
+    CACHE_KEY_PATTERN.test(entry?.key)
+    && typeof entry.html === 'string'
+    && entry.html.length <= MAX_IMPORTED_HTML_LENGTH
+  ));
+  const db = await openCacheDB();
+  const tx = db.transaction(IDB_STORE, 'readwrite');
+  const done = completeTransaction(tx);
+  const store = tx.objectStore(IDB_STORE);
+  const now = Date.now();
+  let added = 0;
+  valid.forEach(({ key, html }) => {
+    const req = store.get(key);
+    req.onsuccess = () => {
+      const existing = req.result;
+      if (!existing) {
+        store.put({ html, timestamp: now, lastUsed: now, size: getEntrySize(key, html), sites: [], pinned: true }, key);
+        added += 1;
+      } else if (!existing.pinned) {
+        store.put({ ...existing, pinned: true }, key);
+      }
+    };
+  });
+  await done;
+  return { added, skipped: (Array.isArray(entries) ? entries.length : 0) - added };
+}
+
+export async function getCacheStats() {
+  const db = await openCacheDB();
+  const tx = db.transaction([IDB_STORE, IDB_META_STORE], 'readonly');
+  const done = completeTransaction(tx);
+  const statsReq = tx.objectStore(IDB_META_STORE).get('stats');
+  let bytes = 0;
+  const entries = await walkCursor(tx.objectStore(IDB_STORE).openCursor(), (cursor) => {
+    bytes += cursor.value.size || 0;
+  });
+  await done;
+  const { hits = 0, misses = 0 } = statsReq.result || {};
+  const lookups = hits + misses;
+  return { entries, bytes, hits, misses, hitRate: lookups ? hits / lookups : null };
+}
+
 export const definitionCache = new Map();
 export const DEFINITION_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+// ── Bundled dictionary (JMdict / KANJIDIC subsets) ───────────────────────────
+
+const DICT_DB_NAME = 'tsukeru-dict';
+const DICT_WORDS_STORE = 'words';
+const DICT_KANJI_STORE = 'kanji';
+const DICT_META_STORE = 'meta';
+const DICT_WORDS_PATH = 'data/jmdict-subset.json';
+const DICT_KANJI_PATH = 'data/kanjidic-subset.json';
+
+let dictImportPromise = null;
+let dictDbPromise = null;
+
+// One shared connection for every lookup; it is reopened after the browser closes it or
+// another context needs a version change.
+function openDictDB() {
+  if (!dictDbPromise) {
+    dictDbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DICT_DB_NAME, 1);
+      req.onupgradeneeded = (e) => {
+        const db = e.target.result;
+        const words = db.createObjectStore(DICT_WORDS_STORE, { autoIncrement: true });
+        words.createIndex('kanji', 'kanji', { multiEntry: true });
+        words.createIndex('kana', 'kana', { multiEntry: true });
+        db.createObjectStore(DICT_KANJI_STORE, { keyPath: 'character' });
+        db.createObjectStore(DICT_META_STORE);
+      };
+      req.onsuccess = (e) => {
+        const db = e.target.result;
+        db.onversionchange = () => {
+          db.close();
+          dictDbPromise = null;
+        };
+        db.onclose = () => {
+          dictDbPromise = null;
+        };
+        resolve(db);
+      };
+      req.onerror = (e) => {
+        dictDbPromise = null;
+        reject(e.target.error);
+      };
+    });
+  }
+  return dictDbPromise;
+}
+
+async function fetchBundledJson(path) {
+  const response = await fetch(chrome.runtime.getURL(path));
+  if (!response.ok) throw new Error(`Bundled dictionary unavailable: ${path} (${response.status})`);
+  return response.json();
+}
+
+// Re-import whenever the extension version changes so dictionary updates ship with releases.
+async function importBundledDictionary() {
+  const db = await openDictDB();
+  const version = chrome.runtime.getManifest().version;
+  const imported = await new Promise((resolve) => {
+    const req = db.transaction(DICT_META_STORE, 'readonly').objectStore(DICT_META_STORE).get('version');
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => resolve(null);
+  });
+  if (imported === version) return;
+
+  const [words, kanji] = await Promise.all([
+    fetchBundledJson(DICT_WORDS_PATH),
+    fetchBundledJson(DICT_KANJI_PATH),
+  ]);
+
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction([DICT_WORDS_STORE, DICT_KANJI_STORE, DICT_META_STORE], 'readwrite');
+    const wordStore = tx.objectStore(DICT_WORDS_STORE);
+    const kanjiStore = tx.objectStore(DICT_KANJI_STORE);
+    wordStore.clear();
+    kanjiStore.clear();
+    (words.entries || []).forEach(entry => wordStore.put(entry));
+    (kanji.characters || []).forEach(record => kanjiStore.put(record));
+    tx.objectStore(DICT_META_STORE).put(version, 'version');
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+export function ensureDictionaryImported() {
+  if (!dictImportPromise) {
+    dictImportPromise = importBundledDictionary().catch((err) => {
+      dictImportPromise = null;
+      throw err;
+    });
+  }
+  return dictImportPromise;
+}
+
+// Returns JMdict-shaped entries ({ kanji, kana, senses }) matching a written form, then a kana form.
+export async function dictLookupWord(term) {
+  return (await dictLookupWords([term])).get(term) || [];
+}
+
+// Same kanji-then-kana matching as dictLookupWord for many terms in one read transaction.
+export async function dictLookupWords(terms) {
+  const results = new Map();
+  try {
+    await ensureDictionaryImported();
+    const db = await openDictDB();
+    const store = db.transaction(DICT_WORDS_STORE, 'readonly').objectStore(DICT_WORDS_STORE);
+    const getAll = (indexName, term) => new Promise((resolve) => {
+      const req = store.index(indexName).getAll(term);
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror = () => resolve([]);
+    });
+    await Promise.all(terms.map(async (term) => {
+      const [byKanji, byKana] = await Promise.all([getAll('kanji', term), getAll('kana', term)]);
+      results.set(term, byKanji.length ? byKanji : byKana);
+    }));
+  } catch (err) {
+    console.warn('Tsukeru: local dictionary lookup failed', err);
+  }
+  return results;
+}
+
+// Returns one KANJIDIC-shaped record per character, or null where the subset has no entry.
+export async function dictLookupKanji(characters) {
+  try {
+    await ensureDictionaryImported();
+    const db = await openDictDB();
+    const store = db.transaction(DICT_KANJI_STORE, 'readonly').objectStore(DICT_KANJI_STORE);
+    return await Promise.all(characters.map(character => new Promise((resolve) => {
+      const req = store.get(character);
+      req.onsuccess = () => resolve(req.result || null);
+      req.onerror = () => resolve(null);
+    })));
+  } catch (err) {
+    console.warn('Tsukeru: local kanji lookup failed', err);
+    return characters.map(() => null);
+  }
+}
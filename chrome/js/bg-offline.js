@@ -0,0 +1,175 @@
+/*
+Module: bg-offline
+Purpose: Annotate Japanese text locally from a bundled lexicon when the EZFurigana backend is disabled or unreachable.
+
+Inputs:
+- Per-node chunk text (markers already stripped by `dismantlePayload`) and furigana settings.
+- Bundled lexicon at `data/offline-lexicon.json`.
+
+Outputs:
+- Ruby HTML using the same `data-*` attribute contract as backend responses.
+
+Side Effects:
+- Fetches the bundled lexicon once per service-worker lifetime and keeps an in-memory index.
+
+Failure Modes:
+- Lexicon load failures are thrown to the caller; the next call retries the load.
+- Longest-match segmentation is dictionary-bound: unknown words fall back to per-kanji readings or stay unannotated.
+
+Security Notes:
+- Source text is escaped before being embedded; output is still sanitized by content scripts like backend HTML.
+*/
+// Offline furigana engine — longest dictionary match with simple verb/adjective stems.
+
+const LEXICON_PATH = 'data/offline-lexicon.json';
+const KANJI_REGEX = /[\u4E00-\u9FAF\u3005]/;
+
+// Kana that may follow a godan stem, keyed by the dictionary-form ending.
+// Covers the negative/polite/conditional/volitional rows plus the te/ta sound changes.
+const GODAN_FOLLOWERS = {
+  'う': 'わいうえおっ',
+  'く': 'かきくけこい',
+  'ぐ': 'がぎぐげごい',
+  'す': 'さしすせそ',
+  'つ': 'たちつてとっ',
+  'ぬ': 'なにぬねのん',
+  'ぶ': 'ばびぶべぼん',
+  'む': 'まみむめもん',
+  'る': 'らりるれろっ',
+};
+const I_ADJECTIVE_FOLLOWERS = 'いくかけさそ';
+
+let lexiconPromise = null;
+
+function loadLexicon() {
+  if (!lexiconPromise) {
+    lexiconPromise = fetch(chrome.runtime.getURL(LEXICON_PATH))
+      .then((response) => {
+        if (!response.ok) throw new Error(`Offline lexicon unavailable: ${response.status}`);
+        return response.json();
+      })
+      .then(buildLexiconIndex)
+      .catch((err) => {
+        lexiconPromise = null;
+        throw err;
+      });
+  }
+  return lexiconPromise;
+}
+
+// Index entries by the first character of their matchable stem.
+// Word rows are [dictForm, dictReading, jlpt, pos, conjugation?].
+function buildLexiconIndex(data) {
+  const byFirstChar = new Map();
+
+  for (const [dictForm, dictReading, jlpt, pos, conjugation = ''] of data?.words || []) {
+    if (!dictForm || !dictReading) continue;
+    const inflects = conjugation === 'ichidan' || conjugation === 'godan' || conjugation === 'i-adj';
+    const stem = inflects ? dictForm.slice(0, -1) : dictForm;
+    const stemReading = inflects ? dictReading.slice(0, -1) : dictReading;
+    let followers = '';
+    if (conjugation === 'godan') {
+      followers = GODAN_FOLLOWERS[dictForm.slice(-1)] || '';
+      if (dictForm === '行く') followers += 'っ'; // irregular te/ta form: 行って
+    } else if (conjugation === 'i-adj') {
+      followers = I_ADJECTIVE_FOLLOWERS;
+    }
+    if (!stem) continue;
+
+    const entry = { stem, stemReading, followers, conjugation, dictForm, dictReading, jlpt, pos };
+    const bucket = byFirstChar.get(stem[0]) || [];
+    bucket.push(entry);
+    byFirstChar.set(stem[0], bucket);
+  }
+
+  // Longest stem wins; ties go to the more basic word (higher JLPT number).
+  for (const bucket of byFirstChar.values()) {
+    bucket.sort((a, b) => b.stem.length - a.stem.length || (b.jlpt || 0) - (a.jlpt || 0));
+  }
+
+  return { byFirstChar, kanji: data?.kanji || {} };
+}
+
+function matchAt(text, index, lexicon) {
+  const bucket = lexicon.byFirstChar.get(text[index]);
+  if (!bucket) return null;
+
+  for (const entry of bucket) {
+    if (!text.startsWith(entry.stem, index)) continue;
+    const next = text[index + entry.stem.length] || '';
+
+    if (entry.followers) {
+      if (!next || !entry.followers.includes(next)) continue;
+      return { ...entry, surface: entry.stem + next, reading: entry.stemReading + next };
+    }
+    // Single-kanji ichidan stems (見, 出, 寝…) only count when okurigana follows.
+    if (entry.conjugation === 'ichidan' && KANJI_REGEX.test(next)) continue;
+    return { ...entry, surface: entry.stem, reading: entry.stemReading };
+  }
+  return null;
+}
+
+function escapeText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function buildRuby(token) {
+  const attributes = [
+    ['data-surface', token.surface],
+    ['data-reading', token.reading],
+    ['data-dict-form', token.dictForm],
+    ['data-dict-reading', token.dictReading],
+    ['data-jlpt', token.jlpt ? String(token.jlpt) : ''],
+    ['data-pos', token.pos || ''],
+  ]
+    .filter(([, value]) => value)
+    .map(([name, value]) => `${name}="${escapeText(value)}"`)
+    .join(' ');
+  return `<ruby ${attributes}>${escapeText(token.surface)}<rt>${escapeText(token.reading)}</rt></ruby>`;
+}
+
+// Annotate one chunk of plain text in hiragana, like the backend; content scripts convert the script.
+export async function annotateOffline(text, settings = {}) {
+  const lexicon = await loadLexicon();
+  const source = text || '';
+  const seenWords = new Set();
+  let html = '';
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+    if (!KANJI_REGEX.test(char)) {
+      html += escapeText(char);
+      index++;
+      continue;
+    }
+
+    const kanjiReading = lexicon.kanji[char];
+    const token = matchAt(source, index, lexicon) || (kanjiReading ? {
+      surface: char,
+      reading: kanjiReading,
+      dictForm: char,
+      dictReading: kanjiReading,
+    } : null);
+
+    if (!token) {
+      html += escapeText(char);
+      index++;
+      continue;
+    }
+
+    if (settings.firstOccurrenceOnly && seenWords.has(token.dictForm)) {
+      html += escapeText(token.surface);
+    } else {
+      seenWords.add(token.dictForm);
+      html += buildRuby(token);
+    }
+    index += token.surface.length;
+  }
+
+  return html;
+}
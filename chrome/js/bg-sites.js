@@ -0,0 +1,74 @@
+/*
+Module: bg-sites
+Purpose: Keep the per-origin auto-apply allow list in sync with its host permissions and resolve per-site settings profiles.
+
+Inputs:
+- Page URLs from tabs/context menus and the `autoApplySites`/`siteProfiles` keys in `chrome.storage.sync`.
+
+Outputs:
+- Normalized origins, host-permission match patterns, allow-list membership checks, and profile-merged settings.
+
+Side Effects:
+- Reads/writes `chrome.storage.sync.autoApplySites`.
+
+Failure Modes:
+- Non-http(s) URLs have no origin and are never auto-applied.
+
+Security Notes:
+- An origin is only listed while its host permission is granted; revoking the permission drops it.
+*/
+// Auto-apply allow list and site profile helpers shared by the background router and the popup.
+
+export const AUTO_APPLY_SITES_KEY = 'autoApplySites';
+export const SITE_PROFILES_KEY = 'siteProfiles';
+
+export function getSiteOrigin(url) {
+  try {
+    const parsed = new URL(url);
+    return /^https?:$/.test(parsed.protocol) ? parsed.origin : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Match patterns cannot carry a port, so one grant covers every port on the host.
+export function getOriginPattern(origin) {
+  const parsed = new URL(origin);
+  return `${parsed.protocol}//${parsed.hostname}/*`;
+}
+
+export async function getAutoApplySites() {
+  const { [AUTO_APPLY_SITES_KEY]: sites = [] } = await chrome.storage.sync.get({ [AUTO_APPLY_SITES_KEY]: [] });
+  return Array.isArray(sites) ? sites : [];
+}
+
+export async function isAutoApplySite(url) {
+  const origin = getSiteOrigin(url);
+  if (!origin) return false;
+  return (await getAutoApplySites()).includes(origin);
+}
+
+export async function addAutoApplySite(origin) {
+  const sites = await getAutoApplySites();
+  if (!sites.includes(origin)) {
+    await chrome.storage.sync.set({ [AUTO_APPLY_SITES_KEY]: [...sites, origin].sort() });
+  }
+}
+
+// Called when host permissions are revoked outside the popup (e.g. from the browser's extension page).
+export async function removeAutoApplySitesForPatterns(patterns = []) {
+  const revoked = new Set(patterns);
+  const sites = await getAutoApplySites();
+  const remaining = sites.filter((origin) => !revoked.has(getOriginPattern(origin)));
+  if (remaining.length !== sites.length) {
+    await chrome.storage.sync.set({ [AUTO_APPLY_SITES_KEY]: remaining });
+  }
+}
+
+// Defaults, global settings and the page origin's profile (if any), merged in that order.
+// Every apply path gets its settings from here so the layers are merged exactly once.
+export async function getSettingsForUrl(defaults, url) {
+  const { [SITE_PROFILES_KEY]: profiles, ...settings } = await chrome.storage.sync.get({ ...defaults, [SITE_PROFILES_KEY]: {} });
+  const origin = getSiteOrigin(url);
+  return { ...settings, ...(origin && profiles?.[origin]) };
+}
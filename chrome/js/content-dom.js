@@ -6,13 +6,18 @@ Inputs:
 - Current document nodes, site-specific selectors, settings, and processed HTML batches.
 
 Outputs:
-- Batched marker payloads, injected ruby wrappers, and extracted vocab/context data.
+- Batched marker payloads (whole page, including open shadow roots and same-origin frames, or a selection Range), injected ruby wrappers, and extracted vocab/context data.
 
 Side Effects:
 - Mutates page DOM, attributes, classes, and inline CSS variables.
+- Re-renders managed `<rt>` text in the chosen reading script (kana kept in `data-tsukeru-kana`).
+- Splits group ruby into kanji/okurigana pairs for the chosen ruby alignment (per-kanji readings via background `lookupKanjiReadings`); the ruby's own `data-*` attributes are left untouched.
+- Rewrites the `<rt>`/`data-reading` of ruby matched by the user's reading overrides or given an alternative reading from the tooltip.
 - Starts/stops mutation, intersection, and caption observers.
+- Adds content styles, mirrored root state and dictionary listeners to open shadow roots and same-origin frames.
 
 Failure Modes:
+- Closed shadow roots and cross-origin frames cannot be reached and keep their text unannotated.
 - Invalid selectors, DOM race conditions, and batch marker mismatches.
 - Partial dynamic processing failures are logged and skipped.
 
@@ -31,8 +36,39 @@ Security Notes:
 
 const TOKEN_PREFIX = '__TSUKERU_SPLIT__';
 const MAX_BATCH_CHARS = 15000;
-const REQUEST_DELAY_MS = 200;
+// Batches kept in flight per run; the background scheduler enforces the real limits across tabs.
+const BATCH_CONCURRENCY = 3;
 const DICTIONARY_MAX_SENSES = 3;
+const PAGE_BANNER_TIMEOUT_MS = 8000;
+
+// <html>/<body> state that content.css keys off; mirrored onto shadow hosts and frame documents.
+const ROOT_STATE_ATTRIBUTES = ['data-tsukeru-custom-style', 'data-tsukeru-highlight', 'data-tsukeru-jlpt', 'data-tsukeru-display', 'data-tsukeru-gloss'];
+const DISPLAY_MODES = ['show', 'hover', 'quiz'];
+const GLOSS_MODES = ['off', 'above', 'below'];
+const GLOSS_BATCH_SIZE = 100;
+const GLOSS_FLUSH_DELAY_MS = 150;
+const KANJI_READINGS_FLUSH_DELAY_MS = 150;
+const DISABLED_CLASS = 'tsukeru-furigana-disabled';
+
+// Nearest ancestor matching this is the unit viewport-first processing schedules, and
+// text nodes in the same one are analysed together.
+const BLOCK_SELECTOR = [
+  'p', 'li', 'dt', 'dd', 'td', 'th', 'caption', 'figcaption', 'blockquote',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'article', 'section', 'div'
+].join(', ');
+
+// A unit longer than MAX_BATCH_CHARS is cut after one of these (closing brackets stay with their sentence).
+const SENTENCE_END_PATTERN = /[。！？][」』）〕】]*/g;
+
+// Off-screen blocks start processing this far before they scroll into view.
+const VIEWPORT_PRELOAD_MARGIN = '600px 0px';
+
+const MUTATION_OBSERVER_OPTIONS = {
+  childList: true,
+  subtree: true,
+  characterData: true,
+  characterDataOldValue: false
+};
 
 const EXCLUDED_TEXT_PARENT_TAGS = [
   'script', 'style', 'noscript', 'iframe', 'object', 'embed',
@@ -98,12 +134,23 @@ function detectSite() {
   return 'default';
 }
 
-// ── Utility helpers ───────────────────────────────────────────────────────────
+// Reader view runs these scripts on an extension page; there the article's own URL stands in
+// for the page's in furigana requests, vocabulary entries, reports and site-scoped overrides.
+function getPageUrl() {
+  // readerArticleUrl is a var declared in content-main.js
+  return readerArticleUrl || window.location.href;
+}
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function getPageOrigin() {
+  try {
+    return new URL(getPageUrl()).origin;
+  } catch (_) {
+    return window.location.origin;
+  }
 }
 
+// ── Utility helpers ───────────────────────────────────────────────────────────
+
 function generateEntryId() {
   return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 }
@@ -188,6 +235,99 @@ function setHighlightMode(mode = 'off') {
   document.documentElement.setAttribute('data-tsukeru-highlight', currentHighlightMode);
 }
 
+// ── Study display modes ───────────────────────────────────────────────────────
+// 'show' renders readings as usual, 'hover' blurs every <rt> until the word is hovered or
+// tapped, and 'quiz' hides them until the word is clicked (see handleDictionaryClick).
+
+function setDisplayMode(mode = 'show') {
+  // displayMode is a var declared in content-main.js
+  displayMode = DISPLAY_MODES.includes(mode) ? mode : 'show';
+  document.documentElement.setAttribute('data-tsukeru-display', displayMode);
+  // Every switch starts over with all readings covered again.
+  querySelectorAllDeep('ruby.tsukeru-revealed').forEach((ruby) => ruby.classList.remove('tsukeru-revealed'));
+}
+
+// ── Inline glosses ────────────────────────────────────────────────────────────
+// 'above' puts a short English gloss over the reading, 'below' under the word. Glosses are
+// stored in data-tsukeru-gloss and drawn by content.css, which also applies the JLPT filter.
+// Rubies are queued as they are inserted and looked up in batches of GLOSS_BATCH_SIZE.
+
+function setGlossMode(mode = 'off') {
+  // glossMode is a var declared in content-main.js
+  glossMode = GLOSS_MODES.includes(mode) ? mode : 'off';
+  document.documentElement.setAttribute('data-tsukeru-gloss', glossMode);
+  // styledRoots is a var global from content-main.js
+  [document, ...styledRoots].forEach((root) => queueGlosses(root));
+}
+
+function queueGlosses(root) {
+  if (glossMode === 'off') return;
+  // pendingGlossRubies / glossFlushTimer are vars declared in content-main.js
+  root.querySelectorAll('[data-tsukeru-wrapper="1"] ruby:not([data-tsukeru-gloss])').forEach((ruby) => {
+    pendingGlossRubies.add(ruby);
+  });
+  if (!pendingGlossRubies.size) return;
+  clearTimeout(glossFlushTimer);
+  glossFlushTimer = setTimeout(() => {
+    flushGlosses().catch((err) => console.warn('Tsukeru: gloss lookup failed', err));
+  }, GLOSS_FLUSH_DELAY_MS);
+}
+
+async function flushGlosses() {
+  const rubies = Array.from(pendingGlossRubies).filter((ruby) => ruby.isConnected);
+  pendingGlossRubies.clear();
+
+  // glossCache is a var declared in content-main.js
+  const missing = new Map();
+  rubies.forEach((ruby) => {
+    const { word, reading } = extractWordInfo(ruby);
+    if (!word) return;
+    const key = `${word}|${reading}`;
+    if (glossCache.has(key)) {
+      ruby.setAttribute('data-tsukeru-gloss', glossCache.get(key));
+    } else if (missing.has(key)) {
+      missing.get(key).rubies.push(ruby);
+    } else {
+      missing.set(key, { word, reading, rubies: [ruby] });
+    }
+  });
+
+  const pending = Array.from(missing.entries());
+  for (let i = 0; i < pending.length; i += GLOSS_BATCH_SIZE) {
+    const batch = pending.slice(i, i + GLOSS_BATCH_SIZE);
+    const response = await chrome.runtime.sendMessage({
+      action: 'lookupGlosses',
+      words: batch.map(([, { word, reading }]) => ({ word, reading })),
+    });
+    if (!response?.success) throw new Error(response?.error || 'Gloss lookup failed');
+    batch.forEach(([key, { rubies: targets }]) => {
+      const gloss = typeof response.glosses?.[key] === 'string' ? response.glosses[key] : '';
+      glossCache.set(key, gloss);
+      targets.forEach((ruby) => ruby.setAttribute('data-tsukeru-gloss', gloss));
+    });
+  }
+}
+
+// ── Vertical writing ──────────────────────────────────────────────────────────
+// Wrappers inside vertical text (tategaki) carry data-tsukeru-vertical="rl" or "lr" from their
+// block's computed writing mode, so content.css and positionTooltip can lay out per column.
+// The mode is read once per text block (getTextBlock) and cached; applyBatchResult reads every
+// block of a batch before inserting any ruby, so no style recalculation is forced between writes.
+
+function getVerticalDirection(element) {
+  const view = element?.ownerDocument?.defaultView;
+  const mode = view ? view.getComputedStyle(element).writingMode : '';
+  if (/^(vertical|sideways)-rl$/.test(mode)) return 'rl';
+  if (/^(vertical|sideways)-lr$/.test(mode)) return 'lr';
+  return '';
+}
+
+function getBlockVerticalDirection(block) {
+  // blockVerticalDirections is a var global from content-main.js
+  if (!blockVerticalDirections.has(block)) blockVerticalDirections.set(block, getVerticalDirection(block));
+  return blockVerticalDirections.get(block);
+}
+
 // ── Node visibility and filtering ─────────────────────────────────────────────
 
 function isNodeVisible(node) {
@@ -198,13 +338,14 @@ function isNodeVisible(node) {
     return false;
   }
 
+  const view = element.ownerDocument.defaultView || window;
   let current = element;
-  while (current && current !== document.documentElement) {
+  while (current && current !== current.ownerDocument.documentElement) {
     if (current.hasAttribute('hidden') || current.getAttribute('aria-hidden') === 'true') {
       return false;
     }
 
-    const style = window.getComputedStyle(current);
+    const style = view.getComputedStyle(current);
     if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') {
       return false;
     }
@@ -214,7 +355,8 @@ function isNodeVisible(node) {
       return false;
     }
 
-    current = current.parentElement;
+    // Step out of shadow trees through their host so hidden components are skipped too.
+    current = current.parentElement || current.getRootNode().host || null;
   }
 
   return true;
@@ -223,7 +365,8 @@ function isNodeVisible(node) {
 function isProcessableTextNode(node) {
   // processedNodes and currentSite are var globals from content-main.js
   const parent = node?.parentNode;
-  if (!parent) return false;
+  // Text directly under a ShadowRoot has no element parent to style or mark.
+  if (!parent || parent.nodeType !== Node.ELEMENT_NODE) return false;
   if (processedNodes.has(node)) return false;
 
   const tag = parent.nodeName.toLowerCase();
@@ -254,10 +397,195 @@ function isProcessableTextNode(node) {
   return true;
 }
 
+// ── Shadow roots and frames ───────────────────────────────────────────────────
+
+function getFrameDocument(frame) {
+  try {
+    return frame.contentDocument || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Open shadow roots and same-origin frame documents below `root`, nested ones included.
+// Closed shadow roots and cross-origin frames are not reachable and are skipped.
+function getNestedRoots(root) {
+  const found = [];
+  const visit = (element) => {
+    if (element.shadowRoot) {
+      found.push(element.shadowRoot, ...getNestedRoots(element.shadowRoot));
+    }
+    if (element.localName === 'iframe' || element.localName === 'frame') {
+      const frameDocument = getFrameDocument(element);
+      if (frameDocument?.body) {
+        found.push(frameDocument, ...getNestedRoots(frameDocument.body));
+      }
+    }
+  };
+
+  if (root.nodeType === Node.ELEMENT_NODE) visit(root);
+  const walker = (root.ownerDocument || root).createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+  let current;
+  while ((current = walker.nextNode())) {
+    visit(current);
+  }
+  return found;
+}
+
+function getRootContainer(root) {
+  return root.nodeType === Node.DOCUMENT_NODE ? root.body : root;
+}
+
+// querySelectorAll across the page and the shadow roots and frames a pass has already reached.
+// Only those roots can hold furigana markup, so this never has to walk the tree again.
+function querySelectorAllDeep(selector) {
+  // styledRoots is a var global from content-main.js
+  return [document, ...styledRoots]
+    .flatMap((root) => Array.from(root.querySelectorAll(selector)));
+}
+
+// Target inside shadow trees (events are retargeted to the host at document level).
+function getEventTarget(event) {
+  const target = event.composedPath?.()[0] || event.target;
+  return target?.nodeType === Node.TEXT_NODE ? target.parentElement : target;
+}
+
+// Element rect in top-level viewport coordinates, adding the offsets of any frames it sits in.
+function getTopLevelRect(element) {
+  const rect = element.getBoundingClientRect();
+  let left = rect.left;
+  let top = rect.top;
+  let frame = element.ownerDocument.defaultView?.frameElement;
+  while (frame) {
+    const frameRect = frame.getBoundingClientRect();
+    left += frameRect.left + frame.clientLeft;
+    top += frameRect.top + frame.clientTop;
+    frame = frame.ownerDocument.defaultView?.frameElement;
+  }
+  return { left, top, width: rect.width, height: rect.height, right: left + rect.width, bottom: top + rect.height };
+}
+
+// content.css comes from the background rather than a web-accessible URL, so pages cannot
+// probe for the extension by loading it.
+function loadContentStyles() {
+  // contentStylesText is a var global from content-main.js
+  if (!contentStylesText) {
+    contentStylesText = chrome.runtime.sendMessage({ action: 'getContentStyles' })
+      .then((response) => {
+        if (!response?.success) throw new Error(response?.error || 'No content styles');
+        return response.cssText;
+      })
+      .catch((err) => {
+        contentStylesText = null;
+        throw err;
+      });
+  }
+  return contentStylesText;
+}
+
+// Constructed sheets are adopted rather than added as <style> elements, and can only be adopted
+// in the document that created them: one sheet per frame document, and one per document shared
+// by all of its shadow roots.
+function getContentStyleSheet(root, cssText) {
+  const isDocument = root.nodeType === Node.DOCUMENT_NODE;
+  const ownerDocument = isDocument ? root : root.ownerDocument;
+  // contentStyleSheets is a var global from content-main.js
+  const sheets = contentStyleSheets.get(ownerDocument) || {};
+  const key = isDocument ? 'document' : 'shadow';
+  if (!sheets[key]) {
+    sheets[key] = new ownerDocument.defaultView.CSSStyleSheet();
+    sheets[key].replaceSync(isDocument ? cssText : toShadowStyles(cssText));
+    contentStyleSheets.set(ownerDocument, sheets);
+  }
+  return sheets[key];
+}
+
+// Inside a shadow tree `:root` and `body` never match, so those selectors move onto the host.
+function toShadowStyles(cssText) {
+  return cssText
+    .replace(/:root((?:\[[^\]]*\])*)/g, (match, attributes) => (attributes ? `:host(${attributes})` : ':host'))
+    .replace(new RegExp(`body\\.${DISABLED_CLASS}`, 'g'), `:host(.${DISABLED_CLASS})`);
+}
+
+// Copies the page-level furigana state onto a shadow host or frame document.
+function syncRootState(root) {
+  const isDocument = root.nodeType === Node.DOCUMENT_NODE;
+  const target = isDocument ? root.documentElement : root.host;
+  if (!target) return;
+
+  ROOT_STATE_ATTRIBUTES.forEach((name) => {
+    const value = document.documentElement.getAttribute(name);
+    if (value === null) target.removeAttribute(name);
+    else target.setAttribute(name, value);
+  });
+
+  const disabled = document.body.classList.contains(DISABLED_CLASS);
+  (isDocument ? root.body : target)?.classList.toggle(DISABLED_CLASS, disabled);
+
+  // Custom properties inherit into shadow trees but not into frames.
+  if (isDocument) {
+    Array.from(document.documentElement.style)
+      .filter((name) => name.startsWith('--tsukeru-'))
+      .forEach((name) => target.style.setProperty(name, document.documentElement.style.getPropertyValue(name)));
+  }
+}
+
+function syncAllRootStates() {
+  // styledRoots is a var global from content-main.js
+  styledRoots.forEach((root) => {
+    const alive = root.nodeType === Node.DOCUMENT_NODE ? root.defaultView : root.isConnected;
+    if (alive) syncRootState(root);
+    else styledRoots.delete(root);
+  });
+}
+
+// Gives a shadow root or frame document the content styles, the page state and (for frames)
+// the dictionary click handlers, which otherwise only exist on the top-level document.
+function attachContentRoot(root) {
+  if (!root || root === document || styledRoots.has(root)) return;
+  styledRoots.add(root);
+
+  const isDocument = root.nodeType === Node.DOCUMENT_NODE;
+  loadContentStyles()
+    .then((cssText) => {
+      const sheet = getContentStyleSheet(root, cssText);
+      if (!root.adoptedStyleSheets.includes(sheet)) root.adoptedStyleSheets = [...root.adoptedStyleSheets, sheet];
+    })
+    .catch((err) => console.warn('Tsukeru: could not load content styles', err));
+
+  if (isDocument) {
+    root.addEventListener('click', handleDictionaryClick, true);
+    root.addEventListener('dblclick', handleRubyDoubleClick, true);
+  }
+
+  syncRootState(root);
+  if (!rootStateObserver) {
+    rootStateObserver = new MutationObserver(syncAllRootStates);
+    rootStateObserver.observe(document.documentElement, {
+      attributes: true,
+      attributeFilter: [...ROOT_STATE_ATTRIBUTES, 'style'],
+    });
+    rootStateObserver.observe(document.body, { attributes: true, attributeFilter: ['class'] });
+  }
+}
+
 // ── Text node collection ──────────────────────────────────────────────────────
 
+// Walks `rootNode` plus every open shadow root and same-origin frame inside it.
 function collectTextNodes(rootNode = document.body) {
-  const walker = document.createTreeWalker(
+  const scope = rootNode.getRootNode();
+  if (scope !== document) attachContentRoot(scope);
+
+  const nodes = walkTextNodes(rootNode);
+  getNestedRoots(rootNode).forEach((root) => {
+    attachContentRoot(root);
+    nodes.push(...walkTextNodes(getRootContainer(root)));
+  });
+  return nodes;
+}
+
+function walkTextNodes(rootNode) {
+  const walker = (rootNode.ownerDocument || document).createTreeWalker(
     rootNode,
     NodeFilter.SHOW_TEXT,
     {
@@ -281,6 +609,53 @@ function collectTextNodes(rootNode = document.body) {
   return nodes;
 }
 
+function getTextBlock(node) {
+  return node.parentElement.closest(BLOCK_SELECTOR) || node.parentElement;
+}
+
+// Groups text nodes by their nearest block element, in document order.
+function groupTextNodesByBlock(nodes) {
+  const blocks = new Map();
+  nodes.forEach((node) => {
+    const block = getTextBlock(node);
+    if (!blocks.has(block)) blocks.set(block, []);
+    blocks.get(block).push(node);
+  });
+  return Array.from(blocks, ([element, blockNodes]) => ({ element, nodes: blockNodes }));
+}
+
+function isInViewport(element) {
+  const rect = getTopLevelRect(element);
+  return rect.bottom >= 0 && rect.top <= window.innerHeight && rect.right >= 0 && rect.left <= window.innerWidth;
+}
+
+// Same filtering as collectTextNodes, limited to a selection Range. Text nodes cut by the
+// range boundaries are split first so only the selected characters are annotated.
+function collectTextNodesInRange(range) {
+  if (!range || range.collapsed) return [];
+  const scoped = range.cloneRange();
+  const { startContainer, startOffset, endContainer, endOffset } = range;
+
+  let first = null;
+  let last = null;
+  if (endContainer.nodeType === Node.TEXT_NODE) {
+    if (endOffset > 0 && endOffset < endContainer.length) endContainer.splitText(endOffset);
+    last = endContainer;
+  }
+  if (startContainer.nodeType === Node.TEXT_NODE) {
+    first = startOffset > 0 && startOffset < startContainer.length
+      ? startContainer.splitText(startOffset)
+      : startContainer;
+    if (last === startContainer) last = first;
+  }
+  if (first) scoped.setStart(first, 0);
+  if (last) scoped.setEnd(last, last.length);
+
+  let root = scoped.commonAncestorContainer;
+  if (root.nodeType === Node.TEXT_NODE) root = root.parentNode;
+  return collectTextNodes(root).filter((node) => scoped.intersectsNode(node));
+}
+
 function getYoutubeCaptionContainer() {
   return document.querySelector('.ytp-caption-window-container') ||
     document.querySelector('.caption-window') ||
@@ -319,50 +694,186 @@ function collectCaptionTextNodes(rootNode) {
   return nodes;
 }
 
+// ── Analysis units ────────────────────────────────────────────────────────────
+// Text split across inline elements (<b>勉</b>強, link boundaries) is sent as one unit so
+// the backend reads it in context; applyBatchResult maps the ruby back onto each node.
+
+// True when `node` directly continues `prev`'s text: same block, nothing but markup in between.
+function continuesTextRun(prev, node) {
+  if (getTextBlock(prev) !== getTextBlock(node)) return false;
+  if (!(prev.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_FOLLOWING)) return false;
+  const range = node.ownerDocument.createRange();
+  range.setStartAfter(prev);
+  range.setEndBefore(node);
+  const between = range.cloneContents();
+  return !between.textContent.trim() && !between.querySelector('br');
+}
+
+function buildAnalysisUnits(nodes) {
+  const units = [];
+  nodes.forEach((node, i) => {
+    if (i > 0 && continuesTextRun(nodes[i - 1], node)) units[units.length - 1].push(node);
+    else units.push([node]);
+  });
+  return units.flatMap(splitUnitAtSentences);
+}
+
+// Offset just past the last sentence end within MAX_BATCH_CHARS. Text with no sentence end in
+// reach is hard-cut at the limit (never inside a surrogate pair) so no unit outgrows a batch.
+function findSentenceCut(text) {
+  let cut = -1;
+  for (const match of text.matchAll(SENTENCE_END_PATTERN)) {
+    const end = match.index + match[0].length;
+    if (end > MAX_BATCH_CHARS) break;
+    cut = end;
+  }
+  if (cut > 0) return cut;
+  const code = text.charCodeAt(MAX_BATCH_CHARS - 1);
+  return code >= 0xD800 && code <= 0xDBFF ? MAX_BATCH_CHARS - 1 : MAX_BATCH_CHARS;
+}
+
+// Splits an over-long unit at sentence ends, splitting the text node that holds each cut.
+function splitUnitAtSentences(unit) {
+  const pieces = [];
+  let rest = unit;
+  let text = rest.map(node => node.textContent || '').join('');
+  while (text.length > MAX_BATCH_CHARS) {
+    const cut = findSentenceCut(text);
+
+    let index = 0;
+    let offset = cut;
+    while (offset > rest[index].length) {
+      offset -= rest[index].length;
+      index += 1;
+    }
+    if (offset < rest[index].length) {
+      const tail = rest[index].splitText(offset);
+      pieces.push(rest.slice(0, index + 1));
+      rest = [tail, ...rest.slice(index + 1)];
+    } else {
+      pieces.push(rest.slice(0, index + 1));
+      rest = rest.slice(index + 1);
+    }
+    text = text.slice(cut);
+  }
+  pieces.push(rest);
+  return pieces;
+}
+
+// Page characters under `node`; ruby readings add none.
+function getBaseTextLength(node) {
+  if (node.nodeType === Node.TEXT_NODE) return node.length;
+  if (node.nodeName === 'RT' || node.nodeName === 'RP') return 0;
+  return Array.from(node.childNodes).reduce((sum, child) => sum + getBaseTextLength(child), 0);
+}
+
+// Moves the first `length` page characters out of `source`, splitting text and elements at
+// the cut. An <rt> goes with the base text before it, so a word-level ruby cut in two keeps
+// its reading on the last part.
+function takeBaseText(source, length) {
+  const taken = document.createDocumentFragment();
+  let remaining = length;
+  while (source.firstChild && remaining > 0) {
+    const child = source.firstChild;
+    const size = getBaseTextLength(child);
+    if (size <= remaining) {
+      taken.appendChild(child);
+      remaining -= size;
+    } else if (child.nodeType === Node.TEXT_NODE) {
+      child.splitText(remaining);
+      taken.appendChild(child);
+      remaining = 0;
+    } else {
+      const part = child.cloneNode(false);
+      part.appendChild(takeBaseText(child, remaining));
+      taken.appendChild(part);
+      remaining = 0;
+    }
+  }
+  while (source.firstChild?.nodeType === Node.ELEMENT_NODE && !getBaseTextLength(source.firstChild)) {
+    taken.appendChild(source.firstChild);
+  }
+  return taken;
+}
+
+// One HTML string per node of a unit; the last node takes whatever the backend added or dropped.
+function splitUnitHtml(unit, html) {
+  const template = document.createElement('template');
+  template.innerHTML = sanitizeHtmlFragment(html);
+  return unit.map((node, i) => {
+    const container = document.createElement('div');
+    container.appendChild(i === unit.length - 1 ? template.content : takeBaseText(template.content, node.length));
+    return container.innerHTML;
+  });
+}
+
 // ── Batch building ────────────────────────────────────────────────────────────
 
+// Batches are cut between analysis units only, never inside one, and a unit that would push a
+// batch past MAX_BATCH_CHARS starts the next one. Units end at a block or line break, or at a
+// sentence end (see splitUnitAtSentences), so no batch boundary falls mid-sentence.
 function buildBatches(nodes) {
   const batches = [];
   let currentNodes = [];
+  let currentUnits = [];
   let currentMarkers = [];
   let parts = [];
   let charCount = 0;
   let batchIndex = 0;
 
   const flush = () => {
-    if (!currentNodes.length) return;
+    if (!currentUnits.length) return;
     batches.push({
       nodes: currentNodes,
+      units: currentUnits,
       markers: currentMarkers,
       payload: parts.join(''),
     });
     currentNodes = [];
+    currentUnits = [];
     currentMarkers = [];
     parts = [];
     charCount = 0;
     batchIndex += 1;
   };
 
-  for (let i = 0; i < nodes.length; i++) {
-    const node = nodes[i];
-    const text = node.textContent || '';
-    const marker = `${TOKEN_PREFIX}${batchIndex}_${currentNodes.length}__`;
+  for (const unit of buildAnalysisUnits(nodes)) {
+    const text = unit.map(node => node.textContent || '').join('');
+    if (charCount + text.length > MAX_BATCH_CHARS) flush();
+    const marker = `${TOKEN_PREFIX}${batchIndex}_${currentUnits.length}__`;
 
     parts.push(marker);
     parts.push(text);
 
-    currentNodes.push(node);
+    currentNodes.push(...unit);
+    currentUnits.push(unit);
     currentMarkers.push(marker);
     charCount += text.length;
-
-    if (charCount >= MAX_BATCH_CHARS) {
-      flush();
-    }
   }
   flush();
   return batches;
 }
 
+// Runs `task` for every batch with up to BATCH_CONCURRENCY in flight. The first failure
+// stops further batches from starting and is rethrown once the in-flight ones settle.
+async function forEachBatch(batches, task) {
+  let nextIndex = 0;
+  let failure = null;
+  const worker = async () => {
+    while (!failure && nextIndex < batches.length) {
+      const batch = batches[nextIndex++];
+      try {
+        await task(batch);
+      } catch (err) {
+        failure = failure || err;
+      }
+    }
+  };
+  const workers = Array.from({ length: Math.min(BATCH_CONCURRENCY, batches.length) }, worker);
+  await Promise.all(workers);
+  if (failure) throw failure;
+}
+
 // ── Batch application ─────────────────────────────────────────────────────────
 
 function applyBatchResult(batch, processedHTML, markProcessed = true, markCaption = false) {
@@ -374,18 +885,25 @@ function applyBatchResult(batch, processedHTML, markProcessed = true, markCaptio
   const markerToIndex = new Map(batch.markers.map((m, idx) => [m, idx]));
   let currentIndex = -1;
 
+  batch.units.forEach((unit) => unit.forEach((node) => {
+    if (node.parentElement) getBlockVerticalDirection(getTextBlock(node));
+  }));
+
   for (const chunk of chunks) {
     if (markerToIndex.has(chunk)) {
       currentIndex = markerToIndex.get(chunk);
       continue;
     }
     if (currentIndex === -1) continue;
-    const targetNode = batch.nodes[currentIndex];
-    replaceTextNodeWithHtml(targetNode, chunk, { markCaption });
-    if (markProcessed) {
-      // processedNodes is a var global from content-main.js
-      processedNodes.add(targetNode);
-    }
+    const unit = batch.units[currentIndex];
+    const unitHtml = unit.length > 1 ? splitUnitHtml(unit, chunk) : [chunk];
+    unit.forEach((targetNode, i) => {
+      replaceTextNodeWithHtml(targetNode, unitHtml[i], { markCaption });
+      if (markProcessed) {
+        // processedNodes is a var global from content-main.js
+        processedNodes.add(targetNode);
+      }
+    });
     currentIndex = -1;
   }
 }
@@ -410,7 +928,12 @@ function replaceTextNodeWithHtml(node, html, { markCaption = false } = {}) {
   wrapper.setAttribute('data-tsukeru-original', originalText);
   // originalTextMap is a var global from content-main.js
   originalTextMap.set(wrapper, originalText);
+  const verticalDirection = node.parentElement ? getBlockVerticalDirection(getTextBlock(node)) : '';
+  if (verticalDirection) wrapper.setAttribute('data-tsukeru-vertical', verticalDirection);
   wrapper.appendChild(fragment);
+  wrapper.querySelectorAll('ruby').forEach((ruby) => alignRuby(ruby));
+  applyReadingScript(wrapper);
+  markKnownWords(wrapper);
 
   if (markCaption) {
     parent.setAttribute('data-tsukeru-caption-processed', 'true');
@@ -419,6 +942,425 @@ function replaceTextNodeWithHtml(node, html, { markCaption = false } = {}) {
   }
 
   parent.replaceChild(wrapper, node);
+  // After insertion, so context patterns can see the surrounding block.
+  applyReadingOverrides(wrapper);
+  queueGlosses(wrapper);
+}
+
+// ── Known words ───────────────────────────────────────────────────────────────
+
+// Same dictForm|dictReading key that extractAllPageWords groups by, so the
+// tooltip, Vocab Mode and the page all agree on what a "word" is.
+function getKnownWordKey(ruby) {
+  const dictForm = ruby.dataset.dictForm || ruby.dataset.surface || '';
+  const dictReading = ruby.dataset.dictReading || ruby.dataset.reading || '';
+  return dictForm ? `${dictForm}|${dictReading}` : '';
+}
+
+// Toggle data-tsukeru-known on managed ruby; content.css hides their <rt>.
+function markKnownWords(root = document) {
+  // knownWordKeys is a var global from content-main.js
+  root.querySelectorAll('ruby[data-surface], ruby[data-dict-form]').forEach((ruby) => {
+    if (knownWordKeys.has(getKnownWordKey(ruby))) {
+      ruby.setAttribute('data-tsukeru-known', '1');
+    } else {
+      ruby.removeAttribute('data-tsukeru-known');
+    }
+  });
+}
+
+// ── Reading scripts ───────────────────────────────────────────────────────────
+// Readings arrive in hiragana; each managed <rt> keeps its kana in data-tsukeru-kana
+// (which survives cloning) so readingScript can change without a network round trip.
+// The converter is utils.js's convertReading. Content scripts cannot import modules
+// statically, so loadReadingConverter fetches utils.js once with import(); until it has
+// loaded (or if it fails to) readings are shown in kana.
+
+function loadReadingConverter() {
+  // readingConverter / readingConverterPromise are vars declared in content-main.js
+  if (!readingConverterPromise) {
+    readingConverterPromise = import(chrome.runtime.getURL('js/utils.js'))
+      .then((utils) => {
+        readingConverter = utils.convertReading;
+      })
+      .catch((err) => {
+        readingConverterPromise = null;
+        console.warn('Tsukeru: could not load the reading converter', err);
+      });
+  }
+  return readingConverterPromise;
+}
+
+function getRubyTextKana(rt) {
+  return rt.dataset.tsukeruKana ?? rt.textContent;
+}
+
+// Verbs are told apart by data-pos, or by a dictionary form ending in okurigana on the u-row.
+const VERB_POS_REGEX = /verb|動詞/i;
+const VERB_DICT_FORM_REGEX = /[\u4e00-\u9fff々][うくぐすずつぬぶむる]$/;
+
+// Length of the part of a verb's reading shared with its dictionary form minus the final kana
+// (思う おもう → 2, 通った かよった → 2), or -1 for other words. kanaToRomaji keeps a long
+// vowel from spanning it, so 思う is omou and 通う kayou while 東京 stays tōkyō.
+function getVerbStemLength(ruby, kana) {
+  const dictReading = kata2hira(ruby?.dataset.dictReading || '');
+  if (!dictReading) return -1;
+  const isVerb = ruby.dataset.pos ? VERB_POS_REGEX.test(ruby.dataset.pos) : VERB_DICT_FORM_REGEX.test(ruby.dataset.dictForm || '');
+  if (!isVerb) return -1;
+  const reading = kata2hira(kana);
+  let shared = 0;
+  while (shared < dictReading.length - 1 && reading[shared] === dictReading[shared]) shared++;
+  return shared;
+}
+
+// `ruby` is the token the <rt> carries the whole reading of; aligned segments pass none.
+function setRubyTextKana(rt, kana, ruby = rt.closest('ruby')) {
+  rt.dataset.tsukeruKana = kana;
+  const token = ruby && !('tsukeruKana' in ruby.dataset) ? ruby : null;
+  rt.textContent = readingConverter
+    ? readingConverter(kana, readingScript, getVerbStemLength(token, kana))
+    : kana;
+}
+
+// Records the kana of newly inserted <rt> elements and renders every managed <rt> in readingScript.
+function applyReadingScript(root = document) {
+  root.querySelectorAll('[data-tsukeru-wrapper="1"] rt').forEach((rt) => {
+    setRubyTextKana(rt, getRubyTextKana(rt));
+  });
+}
+
+function renderReadingScript() {
+  // styledRoots is a var global from content-main.js
+  [document, ...styledRoots].forEach((root) => applyReadingScript(root));
+}
+
+function setReadingScript(script = 'hiragana') {
+  if (script === readingScript) return;
+  readingScript = script;
+  if (readingConverter) renderReadingScript();
+  else loadReadingConverter().then(renderReadingScript);
+}
+
+// ── Ruby alignment ────────────────────────────────────────────────────────────
+// The backend returns group ruby (食べる<rt>たべる</rt>). rubyAlignment (var global
+// from content-main.js) picks how it is shown: 'group' as returned, 'safe' moves the
+// reading off the okurigana (食<rt>た</rt>べる<rt></rt>) but keeps kanji compounds grouped
+// so jukujikun like 今日 stay intact, and 'mono' also splits a compound per kanji when the
+// KANJIDIC readings of its kanji spell the reading exactly one way (日本語 → 日=に 本=ほん 語=ご).
+// An aligned ruby keeps its whole reading in data-tsukeru-kana.
+
+const RUBY_KANA_REGEX = /[\u3041-\u3096\u309d\u309e\u30a1-\u30f4\u30fc-\u30fe]/;
+const MAX_ALIGNED_SURFACE_LENGTH = 16;
+
+const RUBY_KANJI_REGEX = /[\u4E00-\u9FAF]/;
+const RENDAKU_KANA = {
+  か: ['が'], き: ['ぎ'], く: ['ぐ'], け: ['げ'], こ: ['ご'],
+  さ: ['ざ'], し: ['じ'], す: ['ず'], せ: ['ぜ'], そ: ['ぞ'],
+  た: ['だ'], ち: ['ぢ'], つ: ['づ'], て: ['で'], と: ['ど'],
+  は: ['ば', 'ぱ'], ひ: ['び', 'ぴ'], ふ: ['ぶ', 'ぷ'], へ: ['べ', 'ぺ'], ほ: ['ぼ', 'ぽ'],
+};
+
+// Readings a kanji can take inside a compound: its KANJIDIC readings (kanjiReadings, a var
+// global from content-main.js), voiced after the first kanji (人々 → ひとびと), and with a
+// final き/く/ち/つ doubled into っ (学校 がっこう) or dropped (日本 にほん).
+function getCompoundReadings(kanji, first) {
+  const variants = new Set();
+  (kanjiReadings.get(kanji) || []).forEach((reading) => {
+    const forms = [reading];
+    if (reading.length > 1 && /[きくちつ]$/.test(reading)) forms.push(`${reading.slice(0, -1)}っ`, reading.slice(0, -1));
+    forms.forEach((form) => {
+      variants.add(form);
+      if (!first) (RENDAKU_KANA[form[0]] || []).forEach((voiced) => variants.add(voiced + form.slice(1)));
+    });
+  });
+  return variants;
+}
+
+// Per-kanji split of a kanji run; the run stays one group when no split or several splits fit.
+function splitKanjiRun(segment) {
+  const chars = Array.from(segment.text);
+  if (!segment.reading || chars.length < 2) return [segment];
+  const candidates = chars.map((ch, i) => getCompoundReadings(ch === '々' && i > 0 ? chars[i - 1] : ch, i === 0));
+
+  const splits = [];
+  const walk = (index, pos, readings) => {
+    if (splits.length > 1) return;
+    if (index === chars.length) {
+      if (pos === segment.reading.length) splits.push(readings);
+      return;
+    }
+    candidates[index].forEach((reading) => {
+      if (segment.reading.startsWith(reading, pos)) walk(index + 1, pos + reading.length, [...readings, reading]);
+    });
+  };
+  walk(0, 0, []);
+
+  if (splits.length !== 1) return [segment];
+  return chars.map((text, i) => ({ text, reading: splits[0][i] }));
+}
+
+// Matches the kana in `surface` against `reading`; every kanji run must take at least one
+// kana. Returns [{ text, reading }] pairs (okurigana get an empty reading), or null when the
+// reading cannot be split (or, outside 'mono', when more than one split fits).
+function alignRubyReading(surface, reading, mode) {
+  const runs = [];
+  Array.from(surface).forEach((ch) => {
+    const kana = RUBY_KANA_REGEX.test(ch);
+    const last = runs[runs.length - 1];
+    if (last && last.kana === kana) last.text += ch;
+    else runs.push({ kana, text: ch });
+  });
+  if (!runs.some((run) => !run.kana) || surface.length > MAX_ALIGNED_SURFACE_LENGTH) return null;
+
+  const alignments = [];
+  const walk = (index, pos, segments) => {
+    if (alignments.length > 1) return;
+    if (index === runs.length) {
+      if (pos === reading.length) alignments.push(segments);
+      return;
+    }
+    const run = runs[index];
+    if (run.kana) {
+      const kana = kata2hira(run.text);
+      if (reading.startsWith(kana, pos)) walk(index + 1, pos + kana.length, [...segments, { text: run.text, reading: '' }]);
+      return;
+    }
+    for (let end = pos + 1; end <= reading.length; end++) {
+      walk(index + 1, end, [...segments, { text: run.text, reading: reading.slice(pos, end) }]);
+    }
+  };
+  walk(0, 0, []);
+
+  if (!alignments.length || (alignments.length > 1 && mode !== 'mono')) return null;
+  const segments = mode === 'mono' ? alignments[0].flatMap(splitKanjiRun) : alignments[0];
+  return segments.length > 1 ? segments : null;
+}
+
+function getRubyKana(ruby) {
+  if ('tsukeruKana' in ruby.dataset) return ruby.dataset.tsukeruKana;
+  const rt = ruby.querySelector('rt');
+  return rt ? getRubyTextKana(rt) : '';
+}
+
+// Splits a single-<rt> ruby in place for the current rubyAlignment.
+function alignRuby(ruby) {
+  if (rubyAlignment === 'group' || 'tsukeruKana' in ruby.dataset) return;
+  const rts = ruby.querySelectorAll('rt');
+  if (rts.length !== 1 || ruby.querySelector('rb, rtc')) return;
+  if (rubyAlignment === 'mono') queueKanjiReadings(ruby);
+  const kana = getRubyTextKana(rts[0]);
+  const segments = alignRubyReading(getRubyBaseText(ruby), kata2hira(kana.trim()), rubyAlignment);
+  if (!segments) return;
+
+  ruby.dataset.tsukeruKana = kana;
+  ruby.replaceChildren(...segments.flatMap(({ text, reading }) => {
+    const rt = document.createElement('rt');
+    setRubyTextKana(rt, reading, null);
+    return [document.createTextNode(text), rt];
+  }));
+}
+
+// Back to one base text and one <rt>.
+function collapseRuby(ruby) {
+  if (!('tsukeruKana' in ruby.dataset)) return;
+  const kana = ruby.dataset.tsukeruKana;
+  delete ruby.dataset.tsukeruKana;
+  const rt = document.createElement('rt');
+  setRubyTextKana(rt, kana, ruby);
+  ruby.replaceChildren(document.createTextNode(getRubyBaseText(ruby)), rt);
+}
+
+// Replaces the whole reading of a ruby, aligned or not.
+function setRubyKana(ruby, kana) {
+  collapseRuby(ruby);
+  const rt = ruby.querySelector('rt');
+  if (!rt) return;
+  setRubyTextKana(rt, kana);
+  alignRuby(ruby);
+}
+
+// Rubies whose kanji have no KANJIDIC readings loaded yet are aligned again once they arrive.
+function queueKanjiReadings(ruby) {
+  const missing = Array.from(getRubyBaseText(ruby)).filter((ch) => RUBY_KANJI_REGEX.test(ch) && !kanjiReadings.has(ch));
+  if (!missing.length) return;
+  // pendingKanjiRubies / kanjiReadingsFlushTimer are vars declared in content-main.js
+  pendingKanjiRubies.add(ruby);
+  clearTimeout(kanjiReadingsFlushTimer);
+  kanjiReadingsFlushTimer = setTimeout(() => {
+    flushKanjiReadings().catch((err) => console.warn('Tsukeru: kanji reading lookup failed', err));
+  }, KANJI_READINGS_FLUSH_DELAY_MS);
+}
+
+async function flushKanjiReadings() {
+  const rubies = Array.from(pendingKanjiRubies).filter((ruby) => ruby.isConnected);
+  pendingKanjiRubies.clear();
+  const characters = [...new Set(rubies.flatMap((ruby) => Array.from(getRubyBaseText(ruby))))]
+    .filter((ch) => RUBY_KANJI_REGEX.test(ch) && !kanjiReadings.has(ch));
+  if (!characters.length) return;
+
+  const response = await chrome.runtime.sendMessage({ action: 'lookupKanjiReadings', characters });
+  if (!response?.success) throw new Error(response?.error || 'Kanji reading lookup failed');
+  characters.forEach((ch) => {
+    kanjiReadings.set(ch, Array.isArray(response.readings?.[ch]) ? response.readings[ch] : []);
+  });
+  if (rubyAlignment !== 'mono') return;
+  rubies.forEach((ruby) => {
+    collapseRuby(ruby);
+    alignRuby(ruby);
+  });
+}
+
+function setRubyAlignment(mode = 'safe') {
+  if (mode === rubyAlignment) return;
+  rubyAlignment = mode;
+  // styledRoots is a var global from content-main.js
+  [document, ...styledRoots].forEach((root) => {
+    root.querySelectorAll('[data-tsukeru-wrapper="1"] ruby').forEach((ruby) => {
+      collapseRuby(ruby);
+      alignRuby(ruby);
+    });
+  });
+}
+
+// ── Reading overrides ─────────────────────────────────────────────────────────
+// readingOverrides (var global from content-main.js) holds the compiled user
+// dictionary: { surface, reading, site, context, pattern }, most specific first.
+
+function getRubyBaseText(ruby) {
+  return Array.from(ruby.childNodes)
+    .filter((child) => child.nodeName !== 'RT' && child.nodeName !== 'RP')
+    .map((child) => child.textContent)
+    .join('')
+    .trim();
+}
+
+// Text as the reader sees it, without ruby annotations.
+function getTextWithoutRuby(root) {
+  const walker = (root.ownerDocument || document).createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => (node.parentElement?.closest('rt, rp') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT),
+  });
+  let text = '';
+  while (walker.nextNode()) text += walker.currentNode.nodeValue;
+  return text;
+}
+
+function getPlainBlockText(ruby) {
+  return getTextWithoutRuby(getTextBlock(ruby));
+}
+
+// Site-scoped entries win over global ones, and entries with a context pattern over those without.
+function compileReadingOverrides(entries) {
+  const origin = getPageOrigin();
+  return (Array.isArray(entries) ? entries : [])
+    .filter((entry) => entry?.surface && entry.reading && (!entry.site || entry.site === origin))
+    .map((entry) => {
+      let pattern = null;
+      if (entry.context) {
+        try {
+          pattern = new RegExp(entry.context);
+        } catch (err) {
+          console.warn('Tsukeru: ignoring reading override with an invalid context pattern', entry.context);
+          return null;
+        }
+      }
+      return { ...entry, pattern };
+    })
+    .filter(Boolean)
+    .sort((a, b) => (Number(!!b.site) * 2 + Number(!!b.pattern)) - (Number(!!a.site) * 2 + Number(!!a.pattern)));
+}
+
+// `dictReading` (when known) keeps Vocab Mode and known-word keys in line with the new reading.
+function setRubyReading(ruby, reading, dictReading) {
+  setRubyKana(ruby, reading);
+  ruby.dataset.reading = reading;
+  if (dictReading) ruby.dataset.dictReading = dictReading;
+}
+
+// Saves the reading a ruby had before its first override so undoing the override restores it.
+function markRubyOverridden(ruby) {
+  if (ruby.dataset.tsukeruOverride) return;
+  ruby.dataset.tsukeruOverride = '1';
+  ruby.dataset.tsukeruOriginalRt = getRubyKana(ruby);
+  if (ruby.dataset.reading) ruby.dataset.tsukeruOriginalReading = ruby.dataset.reading;
+  if (ruby.dataset.dictReading) ruby.dataset.tsukeruOriginalDictReading = ruby.dataset.dictReading;
+}
+
+// Undo earlier overrides first so edits and removals in the dictionary take effect on a re-run.
+function applyReadingOverrides(root = document) {
+  root.querySelectorAll('ruby[data-tsukeru-override]').forEach((ruby) => {
+    setRubyKana(ruby, ruby.dataset.tsukeruOriginalRt || '');
+    ['reading', 'dictReading'].forEach((key) => {
+      const savedKey = `tsukeruOriginal${key[0].toUpperCase()}${key.slice(1)}`;
+      if (savedKey in ruby.dataset) ruby.dataset[key] = ruby.dataset[savedKey];
+      else delete ruby.dataset[key];
+      delete ruby.dataset[savedKey];
+    });
+    delete ruby.dataset.tsukeruOverride;
+    delete ruby.dataset.tsukeruOriginalRt;
+  });
+  if (!readingOverrides.length) return;
+
+  const blockTexts = new Map();
+  root.querySelectorAll('[data-tsukeru-wrapper="1"] ruby').forEach((ruby) => {
+    const surface = ruby.dataset.surface || getRubyBaseText(ruby);
+    const override = readingOverrides.find((entry) => {
+      if (entry.surface !== surface) return false;
+      if (!entry.pattern) return true;
+      const block = getTextBlock(ruby);
+      if (!blockTexts.has(block)) blockTexts.set(block, getPlainBlockText(ruby));
+      return entry.pattern.test(blockTexts.get(block));
+    });
+    if (!override) return;
+    markRubyOverridden(ruby);
+    setRubyReading(ruby, override.reading, override.dictReading);
+  });
+}
+
+// ── Alternative readings ──────────────────────────────────────────────────────
+
+function getRubyDictForm(ruby) {
+  return ruby.dataset.dictForm || ruby.dataset.surface || getRubyBaseText(ruby);
+}
+
+// Alternative readings belong to the dictionary form. An inflected surface keeps its own
+// ending: the part it shares with the dictionary reading is swapped (行く いく→ゆく turns
+// 行った いった into ゆった).
+function getAltSurfaceReading(ruby, altReading) {
+  const dictReading = ruby.dataset.dictReading || ruby.dataset.reading || '';
+  const surfaceReading = ruby.dataset.reading || kata2hira(getRubyKana(ruby));
+  if (!dictReading || surfaceReading === dictReading) return altReading;
+  let shared = 0;
+  while (shared < dictReading.length && dictReading[shared] === surfaceReading[shared]) shared++;
+  const dictEnding = dictReading.slice(shared);
+  if (!altReading.endsWith(dictEnding)) return altReading;
+  return altReading.slice(0, altReading.length - dictEnding.length) + surfaceReading.slice(shared);
+}
+
+// Swaps `altReading` into the ruby, or with `everywhere` into every ruby of the same
+// dictionary form; the reading it replaces becomes an alternative. With `remember` the
+// rubies are marked as overridden first, so removing the saved override later brings back
+// the backend reading rather than this one. Returns the changed rubies.
+function applyAltReading(ruby, altReading, { everywhere = false, remember = false } = {}) {
+  const dictForm = getRubyDictForm(ruby);
+  // styledRoots is a var global from content-main.js
+  const targets = everywhere
+    ? [document, ...styledRoots]
+      .flatMap((root) => Array.from(root.querySelectorAll('[data-tsukeru-wrapper="1"] ruby')))
+      .filter((candidate) => getRubyDictForm(candidate) === dictForm)
+    : [ruby];
+
+  targets.forEach((target) => {
+    const previous = target.dataset.dictReading || target.dataset.reading
+      || kata2hira(getRubyKana(target).trim());
+    const alternatives = (target.dataset.altReadings || '').split(',')
+      .map((reading) => reading.trim())
+      .filter((reading) => reading && reading !== altReading && reading !== previous);
+    if (previous && previous !== altReading) alternatives.unshift(previous);
+    target.dataset.altReadings = alternatives.join(',');
+    if (remember) markRubyOverridden(target);
+    setRubyReading(target, getAltSurfaceReading(target, altReading), altReading);
+  });
+  return targets;
 }
 
 // ── HTML cleaning and snippet extraction ──────────────────────────────────────
@@ -459,18 +1401,26 @@ function cleanHTML(node) {
           const ruby = document.createElement('ruby');
 
           for (let attr of child.attributes) {
-            if (attr.name.startsWith('data-')) {
+            // Glosses are a page-only layer and stay out of saved sentences.
+            if (attr.name.startsWith('data-') && attr.name !== 'data-tsukeru-gloss') {
               ruby.setAttribute(attr.name, attr.value);
             }
           }
 
-          for (let rubyChild of child.childNodes) {
-            if (rubyChild.nodeType === Node.TEXT_NODE) {
-              ruby.appendChild(document.createTextNode(rubyChild.textContent));
-            } else if (rubyChild.nodeName.toLowerCase() === 'rt') {
-              const rt = document.createElement('rt');
-              rt.textContent = rubyChild.textContent;
-              ruby.appendChild(rt);
+          if ('tsukeruKana' in child.dataset) {
+            // Saved sentences keep group ruby whatever the page alignment is.
+            const rt = document.createElement('rt');
+            rt.textContent = child.dataset.tsukeruKana;
+            ruby.append(getRubyBaseText(child), rt);
+          } else {
+            for (let rubyChild of child.childNodes) {
+              if (rubyChild.nodeType === Node.TEXT_NODE) {
+                ruby.appendChild(document.createTextNode(rubyChild.textContent));
+              } else if (rubyChild.nodeName.toLowerCase() === 'rt') {
+                const rt = document.createElement('rt');
+                rt.textContent = getRubyTextKana(rubyChild);
+                ruby.appendChild(rt);
+              }
             }
           }
 
@@ -640,11 +1590,33 @@ function startWatchingDynamicContent(settings) {
     }, siteConfig.debounceDelay);
   });
 
-  mutationObserver.observe(container, {
-    childList: true,
-    subtree: true,
-    characterData: true,
-    characterDataOldValue: false
+  mutationObserver.observe(container, MUTATION_OBSERVER_OPTIONS);
+  watchNestedRoots(container);
+}
+
+// Mutations inside shadow roots and frames are not reported to an observer on the page,
+// so each reachable root is observed on its own. Frames still loading are picked up on load.
+function watchNestedRoots(rootNode) {
+  // mutationObserver and observedRoots are var globals from content-main.js
+  if (!mutationObserver) return;
+
+  const scopes = [rootNode, ...getNestedRoots(rootNode)];
+  scopes.forEach((scope, index) => {
+    if (index > 0 && !observedRoots.has(scope)) {
+      observedRoots.add(scope);
+      mutationObserver.observe(getRootContainer(scope), MUTATION_OBSERVER_OPTIONS);
+    }
+    getRootContainer(scope)?.querySelectorAll('iframe, frame').forEach((frame) => {
+      if (observedRoots.has(frame)) return;
+      observedRoots.add(frame);
+      frame.addEventListener('load', () => {
+        const body = getFrameDocument(frame)?.body;
+        if (!mutationObserver || !lastAppliedSettings || !body) return;
+        mutationObserver.observe(body, MUTATION_OBSERVER_OPTIONS);
+        watchNestedRoots(body);
+        processVisibleElements([body], lastAppliedSettings);
+      });
+    });
   });
 }
 
@@ -653,6 +1625,7 @@ function stopWatchingDynamicContent() {
     mutationObserver.disconnect();
     mutationObserver = null;
   }
+  observedRoots = new WeakSet();
   if (debounceTimer) {
     clearTimeout(debounceTimer);
   }
@@ -676,26 +1649,20 @@ function startYoutubeCaptionsObserver(settings) {
       const nodes = collectCaptionTextNodes(container);
       if (!nodes.length) return;
 
-      const batches = buildBatches(nodes);
-      for (let i = 0; i < batches.length; i++) {
-        const batch = batches[i];
+      await forEachBatch(buildBatches(nodes), async (batch) => {
         const response = await chrome.runtime.sendMessage({
           action: 'processFurigana',
           payload: {
             textContent: batch.payload,
             settings,
-            tabUrl: window.location.href,
+            tabUrl: getPageUrl(),
           },
         });
 
         if (response?.success && response.processedHTML) {
           applyBatchResult(batch, response.processedHTML, false, true);
         }
-
-        if (i < batches.length - 1) {
-          await sleep(REQUEST_DELAY_MS);
-        }
-      }
+      });
     } catch (err) {
       console.error('Tsukeru: YouTube captions processing failed', err);
     }
@@ -793,26 +1760,20 @@ async function processVisibleElements(elements, settings) {
   if (newNodes.length === 0) return;
 
   try {
-    const batches = buildBatches(newNodes);
-    for (let i = 0; i < batches.length; i++) {
-      const batch = batches[i];
+    await forEachBatch(buildBatches(newNodes), async (batch) => {
       const response = await chrome.runtime.sendMessage({
         action: 'processFurigana',
         payload: {
           textContent: batch.payload,
           settings,
-          tabUrl: window.location.href,
+          tabUrl: getPageUrl(),
         },
       });
 
       if (response?.success && response.processedHTML) {
         applyBatchResult(batch, response.processedHTML);
       }
-
-      if (i < batches.length - 1) {
-        await sleep(REQUEST_DELAY_MS);
-      }
-    }
+    });
   } catch (err) {
     console.error('Tsukeru: failed to process visible elements', err);
   }
@@ -833,6 +1794,7 @@ async function processMutations(mutations, settings) {
     for (const node of mutation.addedNodes) {
       if (node.nodeType === Node.ELEMENT_NODE) {
         if (node.hasAttribute('data-tsukeru-processed')) continue;
+        watchNestedRoots(node);
 
         if (siteConfig.selectors.length > 0) {
           const matchedElements = [];
@@ -875,26 +1837,20 @@ async function processMutations(mutations, settings) {
   if (uniqueNodes.length === 0) return;
 
   try {
-    const batches = buildBatches(uniqueNodes);
-    for (let i = 0; i < batches.length; i++) {
-      const batch = batches[i];
+    await forEachBatch(buildBatches(uniqueNodes), async (batch) => {
       const response = await chrome.runtime.sendMessage({
         action: 'processFurigana',
         payload: {
           textContent: batch.payload,
           settings,
-          tabUrl: window.location.href,
+          tabUrl: getPageUrl(),
         },
       });
 
       if (response?.success && response.processedHTML) {
         applyBatchResult(batch, response.processedHTML);
       }
-
-      if (i < batches.length - 1) {
-        await sleep(REQUEST_DELAY_MS);
-      }
-    }
+    });
   } catch (err) {
     console.error('Tsukeru: failed to process dynamic content', err);
   } finally {
@@ -904,6 +1860,118 @@ async function processMutations(mutations, settings) {
   }
 }
 
+// ── Reader view extraction ────────────────────────────────────────────────────
+// Readability-style: every paragraph-like block scores its parent (and, halved, its
+// grandparent) by length and Japanese punctuation; boilerplate-named and link-heavy
+// containers lose. The winner's blocks become the article Reader view renders. Paragraph
+// lines keep the page's own text, so Reader view builds the same analysis units and hits the
+// same cache entries; only `text` (for filtering and translation) is whitespace-normalized.
+
+const READER_BLOCK_SELECTOR = 'p, h2, h3, h4, li, blockquote, dd';
+const READER_SCORED_SELECTOR = 'p, td, blockquote, dd, div';
+const READER_SKIP_SELECTOR = 'nav, aside, footer, header, form, figure, [role="navigation"], [role="complementary"], [aria-hidden="true"], [hidden]';
+const READER_POSITIVE_PATTERN = /article|body|content|entry|honbun|kiji|main|news|post|story|text/i;
+const READER_NEGATIVE_PATTERN = /\bads?\b|banner|breadcrumb|comment|footer|menu|nav|pickup|promo|ranking|recommend|related|share|sidebar|social|sponsor|widget/i;
+const READER_MIN_BLOCK_CHARS = 20;
+const READER_MAX_PARAGRAPHS = 500;
+
+function normalizeReaderText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function getReaderClassWeight(element) {
+  const hint = `${element.getAttribute('class') || ''} ${element.id || ''}`;
+  let weight = 0;
+  if (READER_POSITIVE_PATTERN.test(hint)) weight += 25;
+  if (READER_NEGATIVE_PATTERN.test(hint)) weight -= 25;
+  if (element.matches('article, main, [role="main"]')) weight += 25;
+  return weight;
+}
+
+function getLinkDensity(element) {
+  const textLength = element.textContent.length;
+  if (!textLength) return 0;
+  const linkLength = Array.from(element.querySelectorAll('a'))
+    .reduce((sum, link) => sum + link.textContent.length, 0);
+  return linkLength / textLength;
+}
+
+// Lines split at <br> and block boundaries, without ruby annotations or script text.
+function getReaderLines(root) {
+  const lines = [''];
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => (node.nodeType === Node.ELEMENT_NODE && node.matches('rt, rp, script, style, noscript')
+      ? NodeFilter.FILTER_REJECT
+      : NodeFilter.FILTER_ACCEPT),
+  });
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (node.nodeType === Node.TEXT_NODE) lines[lines.length - 1] += node.nodeValue;
+    else if (node.nodeName === 'BR' || node.matches(BLOCK_SELECTOR)) lines.push('');
+  }
+  return lines;
+}
+
+function findArticleRoot() {
+  const scores = new Map();
+  document.body.querySelectorAll(READER_SCORED_SELECTOR).forEach((block) => {
+    // Only leaf <div>s count as paragraphs; wrapper <div>s are scored through their children.
+    if (block.nodeName === 'DIV' && block.querySelector(`${READER_SCORED_SELECTOR}, br + br`)) return;
+    if (block.closest(READER_SKIP_SELECTOR)) return;
+    const text = normalizeReaderText(block.textContent);
+    if (text.length < READER_MIN_BLOCK_CHARS) return;
+
+    const score = 1 + (text.match(/[、。，,]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    [block.parentElement, block.parentElement?.parentElement].forEach((ancestor, depth) => {
+      if (!ancestor || ancestor === document.documentElement) return;
+      if (!scores.has(ancestor)) scores.set(ancestor, getReaderClassWeight(ancestor));
+      scores.set(ancestor, scores.get(ancestor) + score / (depth + 1));
+    });
+  });
+
+  let best = null;
+  let bestScore = 0;
+  scores.forEach((score, element) => {
+    const adjusted = score * (1 - getLinkDensity(element));
+    if (adjusted > bestScore) {
+      best = element;
+      bestScore = adjusted;
+    }
+  });
+  return best || document.body;
+}
+
+function extractArticle() {
+  const root = findArticleRoot();
+  const paragraphs = [];
+  const addParagraph = (type, lines) => {
+    const kept = lines.filter((line) => line.trim());
+    const text = normalizeReaderText(kept.join(' '));
+    if (text && paragraphs.length < READER_MAX_PARAGRAPHS) paragraphs.push({ type, text, lines: kept });
+  };
+
+  root.querySelectorAll(READER_BLOCK_SELECTOR).forEach((block) => {
+    // Nested blocks (a <p> inside an <li>) are taken on their own, not twice.
+    if (block.querySelector(READER_BLOCK_SELECTOR)) return;
+    if (block.closest(READER_SKIP_SELECTOR) || getReaderClassWeight(block) < 0) return;
+    if (getLinkDensity(block) > 0.5) return;
+    addParagraph(/^H[2-4]$/.test(block.nodeName) ? 'heading' : 'paragraph', getReaderLines(block));
+  });
+
+  // <div>/<br> layouts have no paragraph elements; fall back to the root's lines.
+  if (!paragraphs.length) {
+    getReaderLines(root).forEach((line) => addParagraph('paragraph', [line]));
+  }
+
+  const heading = document.querySelector('article h1, main h1, h1');
+  return {
+    title: (heading ? getTextWithoutRuby(heading) : document.title).trim(),
+    siteName: document.querySelector('meta[property="og:site_name"]')?.content || window.location.hostname,
+    url: window.location.href,
+    paragraphs: paragraphs.filter((paragraph) => /[\u3040-\u309F\u30A0-\u30FF\u4E00-\u9FAF]/.test(paragraph.text)),
+  };
+}
+
 // ── Page word extraction (for Vocab Mode) ─────────────────────────────────────
 
 function extractAllPageWords() {
@@ -913,7 +1981,7 @@ function extractAllPageWords() {
 
   rubyElements.forEach(ruby => {
     const surface = ruby.dataset.surface || '';
-    const reading = ruby.dataset.reading || ruby.querySelector('rt')?.textContent || '';
+    const reading = ruby.dataset.reading || getRubyKana(ruby);
     const jlpt = ruby.dataset.jlpt || '';
     const pos = ruby.dataset.pos || '';
     const dictForm = ruby.dataset.dictForm || surface;
@@ -944,6 +2012,8 @@ function extractAllPageWords() {
           occurrenceIndex: occurrenceCounter++,
           snippet: snippet,
           altReadings: ruby.dataset.altReadings || '',
+          // helpCounts is a var global from content-main.js (quiz-mode reveals)
+          helpCount: helpCounts.get(key) || 0,
         });
       } else {
         const existing = wordMap.get(key);
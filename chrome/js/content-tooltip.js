@@ -7,10 +7,14 @@ Inputs:
 
 Outputs:
 - Tooltip rendering updates, saved vocabulary entries, and report payload messages.
+- Alternative readings picked in the tooltip, applied to one ruby or the whole page and optionally remembered per site.
 
 Side Effects:
-- Creates/removes tooltip DOM and listeners.
-- Reads/writes `chrome.storage.local` vocabulary data.
+- Creates/removes tooltip DOM, toasts, the non-modal error banner, and listeners.
+- Reads/writes `chrome.storage.local` known-word data and the sharded `chrome.storage.sync` reading overrides ("Fix locally").
+- Logs quiz-mode reveals to `chrome.storage.local.helpLog`.
+- Saves/removes vocabulary through background `saveVocabularyEntry`/`removeVocabularyWord` messages.
+- Pushes fresh saves to Anki via `ankiAddEntry` when AnkiConnect is enabled.
 
 Failure Modes:
 - Lookup/audio/report requests can fail and trigger fallback/no-op paths.
@@ -70,17 +74,19 @@ function handleDictionaryClick(event) {
     return;
   }
 
-  if (event.target.closest('#tsukeru-word-tooltip')) {
+  const target = getEventTarget(event);
+  if (!target?.closest) return;
+  if (target.closest('#tsukeru-word-tooltip')) {
     return;
   }
 
-  const targetEl = event.target.closest('ruby, span[data-jlpt]');
+  const targetEl = target.closest('ruby, span[data-jlpt]');
   if (!targetEl) {
     hideDefinitionTooltip();
     return;
   }
 
-  if (event.target.closest('.alt-indicator')) return;
+  if (target.closest('.alt-indicator')) return;
 
   const wordInfo = extractWordInfo(targetEl);
   if (!wordInfo.word) return;
@@ -88,6 +94,21 @@ function handleDictionaryClick(event) {
   event.preventDefault();
   event.stopPropagation();
 
+  // displayMode is a var global from content-main.js. In quiz mode the first click only
+  // reveals the reading; the next one opens the tooltip.
+  const isCovered = targetEl.matches('ruby') && !targetEl.classList.contains('tsukeru-revealed')
+    && !targetEl.hasAttribute('data-tsukeru-known');
+  if (isCovered && displayMode === 'quiz') {
+    hideDefinitionTooltip();
+    targetEl.classList.add('tsukeru-revealed');
+    recordNeededHelp(getKnownWordKey(targetEl), wordInfo).catch((err) => {
+      console.warn('Tsukeru: could not log quiz reveal', err);
+    });
+    return;
+  }
+  // A tap counts as hovering on touch screens.
+  if (isCovered && displayMode === 'hover') targetEl.classList.add('tsukeru-revealed');
+
   showDefinitionTooltip(targetEl, wordInfo);
 }
 
@@ -95,9 +116,9 @@ function handleDictionaryClick(event) {
 
 function extractWordInfo(ruby) {
   const readingFromAttrs = ruby.dataset.dictReading || ruby.dataset.reading || '';
-  const readingFromRt = ruby.querySelector('rt')?.textContent || '';
+  const readingFromRt = getRubyKana(ruby);
   const surfaceReading = ruby.dataset.reading || readingFromRt;
-  const surface = ruby.dataset.surface || ruby.querySelector('rb')?.textContent || ruby.textContent.replace(readingFromRt, '');
+  const surface = ruby.dataset.surface || ruby.querySelector('rb')?.textContent || getRubyBaseText(ruby);
   const word = ruby.dataset.dictForm || ruby.dataset.surface || surface || '';
   const reading = readingFromAttrs || readingFromRt;
 
@@ -170,7 +191,12 @@ function hideDefinitionTooltip() {
 }
 
 function positionTooltip(ruby, tooltip) {
-  const rect = ruby.getBoundingClientRect();
+  const rect = getTopLevelRect(ruby);
+  const verticalDirection = ruby.closest('[data-tsukeru-vertical]')?.getAttribute('data-tsukeru-vertical');
+  if (verticalDirection) {
+    positionTooltipBesideColumn(rect, tooltip, verticalDirection);
+    return;
+  }
   const tooltipWidth = 320;
   const tooltipHeight = 380;
   const padding = 10;
@@ -199,6 +225,28 @@ function positionTooltip(ruby, tooltip) {
   tooltip.style.transform = transform;
 }
 
+// Vertical text reads in columns, so the tooltip goes beside the column rather than below it:
+// on the side already read (right for vertical-rl, left for vertical-lr) when it fits there.
+function positionTooltipBesideColumn(rect, tooltip, direction) {
+  const tooltipWidth = 320;
+  const tooltipHeight = 380;
+  const padding = 10;
+  const viewportWidth = window.innerWidth;
+  const viewportHeight = window.innerHeight;
+
+  const rightLeft = rect.right + padding;
+  const leftLeft = rect.left - padding - tooltipWidth;
+  const fitsRight = rightLeft + tooltipWidth <= viewportWidth - padding;
+  const fitsLeft = leftLeft >= padding;
+  const useRight = direction === 'rl' ? fitsRight || !fitsLeft : fitsRight && !fitsLeft;
+  const left = Math.max(padding, Math.min(useRight ? rightLeft : leftLeft, viewportWidth - tooltipWidth - padding));
+  const top = Math.max(padding, Math.min(rect.top, viewportHeight - tooltipHeight - padding));
+
+  tooltip.style.left = `${left + window.scrollX}px`;
+  tooltip.style.top = `${top + window.scrollY}px`;
+  tooltip.style.transform = 'none';
+}
+
 // ── Tooltip interaction handlers ──────────────────────────────────────────────
 
 function addTooltipInteractionHandlers() {
@@ -259,7 +307,7 @@ function addTooltipInteractionHandlers() {
         tatoebaEn: tatoebaEnEl ? tatoebaEnEl.textContent.replace(/^- /, '').trim() : null,
         jlpt,
         pos,
-        url: window.location.href,
+        url: getPageUrl(),
         timestamp: Date.now()
       };
       try {
@@ -268,6 +316,7 @@ function addTooltipInteractionHandlers() {
         saveBtn.classList.add('saved');
         saveBtn.title = t('content_saved', undefined, 'Saved!');
         showVocabSavedToast(word);
+        pushToAnki(entry);
       } catch (err) {
         console.error('Tsukeru: save from tooltip failed', err);
       }
@@ -278,8 +327,8 @@ function addTooltipInteractionHandlers() {
       try {
         const word = tooltip.dataset.word;
         if (!word) return;
-        const { vocabulary = [] } = await chrome.storage.local.get(['vocabulary']);
-        if (vocabulary.some(v => v.word === word)) {
+        const response = await chrome.runtime.sendMessage({ action: 'isVocabularyWordSaved', word });
+        if (response?.success && response.saved) {
           saveBtn.classList.add('saved');
           saveBtn.title = t('content_already_saved', undefined, 'Already saved');
         }
@@ -287,6 +336,31 @@ function addTooltipInteractionHandlers() {
     })();
   }
 
+  const knownBtn = tooltip.querySelector('.tsukeru-tooltip-known');
+  if (knownBtn && tooltip._activeRuby) {
+    const ruby = tooltip._activeRuby;
+    const key = getKnownWordKey(ruby);
+    const syncKnownBtn = () => {
+      const isKnown = knownWordKeys.has(key);
+      knownBtn.classList.toggle('known', isKnown);
+      knownBtn.title = isKnown
+        ? t('content_unmark_known', undefined, 'Show furigana again')
+        : t('content_mark_known', undefined, 'Mark as known');
+    };
+    syncKnownBtn();
+
+    knownBtn.onclick = async (e) => {
+      e.stopPropagation();
+      if (!key) return;
+      try {
+        await setWordKnown(key, extractWordInfo(ruby), !knownWordKeys.has(key));
+        syncKnownBtn();
+      } catch (err) {
+        console.error('Tsukeru: known-word toggle failed', err);
+      }
+    };
+  }
+
   const reportBtn = tooltip.querySelector('.tsukeru-tooltip-report-btn');
   if (reportBtn) {
     reportBtn.onclick = (e) => {
@@ -297,14 +371,18 @@ function addTooltipInteractionHandlers() {
       if (sentence) sentence = sentence.replace(/<[^>]*>/gm, '').substring(0, 200);
 
       const modal = ensureContentReportModal();
+      // Overrides match what the page shows, which may be an inflected form of the dictionary word.
+      modal.dataset.surface = tooltip._activeRuby ? extractWordInfo(tooltip._activeRuby).surface : word;
       document.getElementById('tsukeru-crm-word').value = word;
       document.getElementById('tsukeru-crm-reading').value = reading;
       document.getElementById('tsukeru-crm-context').value = sentence;
       document.getElementById('tsukeru-crm-correct').value = '';
       document.getElementById('tsukeru-crm-error').classList.add('hidden');
       document.getElementById('tsukeru-crm-success').classList.add('hidden');
+      document.getElementById('tsukeru-crm-site-only').checked = false;
       document.getElementById('tsukeru-crm-submit').disabled = false;
       document.getElementById('tsukeru-crm-submit').textContent = t('content_report_submit', undefined, 'Submit Report');
+      document.getElementById('tsukeru-crm-fix').disabled = false;
       modal.classList.remove('hidden');
     };
   }
@@ -327,6 +405,40 @@ function addTooltipInteractionHandlers() {
       }
     };
   }
+
+  tooltip.querySelectorAll('.tsukeru-alt-reading-option').forEach((option) => {
+    option.onclick = async (e) => {
+      e.stopPropagation();
+      const ruby = tooltip._activeRuby;
+      if (!ruby?.isConnected) return;
+      const everywhere = tooltip.querySelector('.tsukeru-alt-everywhere')?.checked;
+      const remember = tooltip.querySelector('.tsukeru-alt-remember')?.checked;
+      const altReading = option.dataset.reading;
+      const changed = applyAltReading(ruby, altReading, { everywhere, remember });
+
+      if (remember) {
+        // One site-scoped override per distinct surface, so inflected forms keep their endings.
+        const overrides = new Map();
+        changed.forEach((target) => {
+          const surface = target.dataset.surface || getRubyBaseText(target);
+          overrides.set(surface, { surface, reading: target.dataset.reading, dictReading: altReading, site: getPageOrigin() });
+        });
+        try {
+          await saveReadingOverrides([...overrides.values()]);
+        } catch (err) {
+          console.error('Tsukeru: saving reading override failed', err);
+          // The reading is already applied on this page; only remembering it failed.
+          showPageBanner(t('content_alt_reading_remember_failed', [err.message], `Could not remember this reading: ${err.message}`));
+          showDefinitionTooltip(ruby, extractWordInfo(ruby));
+          return;
+        }
+      }
+
+      const count = String(changed.length);
+      showToast(t('content_alt_reading_applied', [altReading, count], `Now reading ${altReading} (${count} on this page)`));
+      showDefinitionTooltip(ruby, extractWordInfo(ruby));
+    };
+  });
 }
 
 // ── Tooltip HTML builders ─────────────────────────────────────────────────────
@@ -360,16 +472,35 @@ function generateAltReadingsDropdown(alternativeReadings, uniqueId) {
       </button>
       <div id="${altId}" class="tsukeru-alt-readings-content" style="display: none; margin-top: 4px; flex-direction: column; gap: 4px;">
         ${alternativeReadings.map(alt => `
-          <div style="font-size: 11px; padding-left: 8px; border-left: 2px solid #3b82f6;">
+          <button type="button" class="tsukeru-alt-reading-option" data-reading="${escapeHtml(alt)}" title="${escapeHtml(t('content_alt_reading_use', undefined, 'Use this reading'))}" style="font-size: 11px; text-align: left; padding: 2px 0 2px 8px; border: none; border-left: 2px solid #3b82f6; background: none; cursor: pointer;">
             <span style="font-weight: 500; color: var(--text, #18181b);">${escapeHtml(alt)}</span>
-          </div>
+          </button>
         `).join('')}
+        <label style="display: flex; align-items: center; gap: 4px; font-size: 11px; color: var(--text-muted, #71717a); cursor: pointer;">
+          <input type="checkbox" class="tsukeru-alt-everywhere" style="margin: 0;">
+          ${escapeHtml(t('content_alt_reading_everywhere', undefined, 'Every occurrence on this page'))}
+        </label>
+        <label style="display: flex; align-items: center; gap: 4px; font-size: 11px; color: var(--text-muted, #71717a); cursor: pointer;">
+          <input type="checkbox" class="tsukeru-alt-remember" style="margin: 0;">
+          ${escapeHtml(t('content_alt_reading_remember', undefined, 'Remember for this site'))}
+        </label>
       </div>
     </div>`;
 }
 
 // ── Definition rendering ──────────────────────────────────────────────────────
 
+// Small badge naming which dictionary answered (bundled subset vs. EZFurigana server).
+function getSourceBadgeHtml(source) {
+  if (source === 'local') {
+    return `<span class="tsukeru-badge-source tsukeru-source-local" title="${escapeHtml(t('content_source_local_title', undefined, 'Answered by the bundled offline dictionary'))}">${escapeHtml(t('content_source_local', undefined, 'Offline'))}</span>`;
+  }
+  if (source === 'network') {
+    return `<span class="tsukeru-badge-source tsukeru-source-network" title="${escapeHtml(t('content_source_network_title', undefined, 'Answered by the EZFurigana server'))}">${escapeHtml(t('content_source_network', undefined, 'Online'))}</span>`;
+  }
+  return '';
+}
+
 function normalizeDefinitionData(data) {
   if (!data || !Array.isArray(data.entries) || data.entries.length === 0) {
     return null;
@@ -424,9 +555,16 @@ function renderDefinitionTooltip(tooltip, wordInfo, data) {
       <div class="tooltip-word tsukeru-header-row">
           <div class="tsukeru-header-left">
               <span>${escapeHtml(displayWord)}</span>
-              ${jlptBadge}${posBadge}
+              ${jlptBadge}${posBadge}${getSourceBadgeHtml(data?.source)}
           </div>
           <div class="tsukeru-header-right">
+              <button class="tooltip-known tsukeru-tooltip-known" title="${escapeHtml(t('content_mark_known', undefined, 'Mark as known'))}">
+                  <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                      <path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94"></path>
+                      <path d="M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19"></path>
+                      <line x1="1" y1="1" x2="23" y2="23"></line>
+                  </svg>
+              </button>
               <button class="tooltip-save tsukeru-tooltip-save" title="${escapeHtml(t('content_save_word', undefined, 'Save word'))}">
                   <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                       <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"></path>
@@ -629,7 +767,7 @@ async function loadKanjiBreakdown(word) {
       let html = `
         <div class="tsukeru-dropdown-header">
           <button type="button" class="tsukeru-kanji-toggle tsukeru-dropdown-toggle">
-            <span>${escapeHtml(t('content_kanji_count', [String(data.characters.length)], `→ Kanji (${data.characters.length})`))}</span>
+            <span>${escapeHtml(t('content_kanji_count', [String(data.characters.length)], `→ Kanji (${data.characters.length})`))} ${getSourceBadgeHtml(data.source)}</span>
             <svg class="tsukeru-dropdown-arrow" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path>
             </svg>
@@ -706,7 +844,14 @@ function ensureContentReportModal() {
         <textarea id="tsukeru-crm-context" class="tsukeru-crm-textarea" rows="2" readonly></textarea>
         <label class="tsukeru-crm-label">${escapeHtml(t('content_report_label_correction_optional', undefined, 'Correction (Optional):'))}</label>
         <input type="text" id="tsukeru-crm-correct" class="tsukeru-crm-input">
-        <button id="tsukeru-crm-submit" class="tsukeru-crm-submit">${escapeHtml(t('content_report_submit', undefined, 'Submit Report'))}</button>
+        <label class="tsukeru-crm-check">
+          <input type="checkbox" id="tsukeru-crm-site-only">
+          <span>${escapeHtml(t('content_report_fix_site_only', undefined, 'Only fix on this site'))}</span>
+        </label>
+        <div class="tsukeru-crm-actions">
+          <button id="tsukeru-crm-fix" class="tsukeru-crm-fix" title="${escapeHtml(t('content_report_fix_locally_title', undefined, 'Use the correction on this device instead of reporting it'))}">${escapeHtml(t('content_report_fix_locally', undefined, 'Fix locally'))}</button>
+          <button id="tsukeru-crm-submit" class="tsukeru-crm-submit">${escapeHtml(t('content_report_submit', undefined, 'Submit Report'))}</button>
+        </div>
       </div>
     </div>
   `;
@@ -717,6 +862,37 @@ function ensureContentReportModal() {
     modal.classList.add('hidden');
   };
 
+  document.getElementById('tsukeru-crm-fix').onclick = async () => {
+    const correction = kata2hira(document.getElementById('tsukeru-crm-correct').value.trim());
+    const errorDiv = document.getElementById('tsukeru-crm-error');
+    const successDiv = document.getElementById('tsukeru-crm-success');
+    const fixBtn = document.getElementById('tsukeru-crm-fix');
+
+    errorDiv.classList.add('hidden');
+    successDiv.classList.add('hidden');
+    if (!correction) {
+      errorDiv.textContent = t('content_report_fix_needs_correction', undefined, 'Enter the correct reading first.');
+      errorDiv.classList.remove('hidden');
+      return;
+    }
+
+    const override = { surface: modal.dataset.surface, reading: correction };
+    if (document.getElementById('tsukeru-crm-site-only').checked) override.site = getPageOrigin();
+    fixBtn.disabled = true;
+    try {
+      await saveReadingOverrides([override]);
+      successDiv.textContent = t('content_report_fix_saved', undefined, 'Reading fixed on this device.');
+      successDiv.classList.remove('hidden');
+      setTimeout(() => modal.classList.add('hidden'), 2000);
+    } catch (err) {
+      console.error('Tsukeru: saving reading override failed', err);
+      errorDiv.textContent = err.message;
+      errorDiv.classList.remove('hidden');
+    } finally {
+      fixBtn.disabled = false;
+    }
+  };
+
   document.getElementById('tsukeru-crm-submit').onclick = () => {
     const word = document.getElementById('tsukeru-crm-word').value;
     const reading = document.getElementById('tsukeru-crm-reading').value;
@@ -809,7 +985,7 @@ async function handleRubyDoubleClick(event) {
     return;
   }
 
-  const targetEl = event.target.closest('ruby, span[data-jlpt]');
+  const targetEl = getEventTarget(event)?.closest?.('ruby, span[data-jlpt]');
   if (!targetEl) return;
 
   event.preventDefault();
@@ -831,7 +1007,7 @@ async function handleRubyDoubleClick(event) {
     sentence: sentenceContext,
     jlpt: wordInfo.jlpt,
     pos: wordInfo.pos,
-    url: window.location.href,
+    url: getPageUrl(),
     timestamp: Date.now()
   };
 
@@ -839,6 +1015,7 @@ async function handleRubyDoubleClick(event) {
     await attachDefinitionToEntry(entry);
     await saveToVocabulary(entry);
     showVocabSavedToast(wordInfo.surface || wordInfo.word);
+    pushToAnki(entry);
     targetEl.classList.add('vocab-saved');
     setTimeout(() => targetEl.classList.remove('vocab-saved'), 2000);
   } catch (err) {
@@ -864,51 +1041,129 @@ async function attachDefinitionToEntry(entry) {
   }
 }
 
+// The vocabulary store lives in extension-origin IndexedDB; the background merges by word + reading.
 async function saveToVocabulary(entry) {
+  if (!entry.id) {
+    entry.id = generateEntryId();
+  }
+  const response = await chrome.runtime.sendMessage({ action: 'saveVocabularyEntry', entry });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to save vocabulary');
+  }
+  return response.entry;
+}
+
+// Mirrors a fresh save into Anki when AnkiConnect is enabled; failures never block the local save.
+async function pushToAnki(entry) {
   try {
-    if (!entry.id) {
-      entry.id = generateEntryId();
+    const response = await chrome.runtime.sendMessage({ action: 'ankiAddEntry', entry });
+    if (!response?.success) {
+      if (response?.error) showToast(t('content_anki_failed', [response.error], `Anki: ${response.error}`));
+      return;
     }
-    const result = await chrome.storage.local.get(['vocabulary']);
-    const vocabulary = result.vocabulary || [];
+    if (response.status === 'added') {
+      showToast(t('content_anki_added', undefined, 'Added to Anki'));
+    } else if (response.status === 'duplicate') {
+      showToast(t('content_anki_duplicate', undefined, 'Already in your Anki deck'));
+    } else if (response.status === 'queued') {
+      showToast(t('content_anki_queued', undefined, 'Anki is not running — will retry later'));
+    }
+  } catch (err) {
+    console.warn('Tsukeru: Anki push failed', err);
+  }
+}
+
+async function removeFromVocabulary(wordToRemove) {
+  const response = await chrome.runtime.sendMessage({ action: 'removeVocabularyWord', word: wordToRemove });
+  if (!response?.success) {
+    console.error('Tsukeru: Failed to remove vocabulary:', response?.error);
+    throw new Error(response?.error || 'Failed to remove vocabulary');
+  }
+}
 
-    const existingIndex = vocabulary.findIndex(v => v.word === entry.word && v.reading === entry.reading);
+// ── Known words storage ───────────────────────────────────────────────────────
+// Stored in chrome.storage.local as { [dictForm|dictReading]: { word, reading, timestamp } }.
 
-    if (existingIndex >= 0) {
-      vocabulary[existingIndex] = {
-        ...vocabulary[existingIndex],
-        ...entry,
-        timestamp: Date.now()
-      };
-    } else {
-      vocabulary.unshift(entry);
-    }
+async function loadKnownWordKeys() {
+  try {
+    const { knownWords = {} } = await chrome.storage.local.get(['knownWords']);
+    // knownWordKeys is a var global from content-main.js
+    knownWordKeys = new Set(Object.keys(knownWords));
+  } catch (err) {
+    console.warn('Tsukeru: could not load known words', err);
+  }
+}
 
-    if (vocabulary.length > 50) {
-      vocabulary.length = 50;
-    }
+async function setWordKnown(key, wordInfo, known) {
+  const { knownWords = {} } = await chrome.storage.local.get(['knownWords']);
+  if (known) {
+    knownWords[key] = { word: wordInfo.word, reading: wordInfo.reading, timestamp: Date.now() };
+    knownWordKeys.add(key);
+  } else {
+    delete knownWords[key];
+    knownWordKeys.delete(key);
+  }
+  // Apply to this page right away; other tabs pick it up via storage.onChanged.
+  markKnownWords();
+  await chrome.storage.local.set({ knownWords });
+}
+
+// ── Needed-help log ───────────────────────────────────────────────────────────
+// Quiz-mode reveals, stored in chrome.storage.local as
+// { [dictForm|dictReading]: { word, reading, count, timestamp } } for Vocab Mode and the Saved list.
 
-    await chrome.storage.local.set({ vocabulary });
+function toHelpCounts(helpLog) {
+  return new Map(Object.entries(helpLog || {}).map(([key, entry]) => [key, entry?.count || 0]));
+}
+
+async function loadHelpCounts() {
+  try {
+    const { helpLog = {} } = await chrome.storage.local.get(['helpLog']);
+    // helpCounts is a var global from content-main.js
+    helpCounts = toHelpCounts(helpLog);
   } catch (err) {
-    console.error('Failed to save vocabulary:', err);
+    console.warn('Tsukeru: could not load the needed-help log', err);
   }
 }
 
-async function removeFromVocabulary(wordToRemove) {
+async function recordNeededHelp(key, wordInfo) {
+  if (!key) return;
+  const { helpLog = {} } = await chrome.storage.local.get(['helpLog']);
+  const count = (helpLog[key]?.count || 0) + 1;
+  helpLog[key] = { word: wordInfo.word, reading: wordInfo.reading, count, timestamp: Date.now() };
+  helpCounts.set(key, count);
+  await chrome.storage.local.set({ helpLog });
+}
+
+// ── Reading overrides storage ─────────────────────────────────────────────────
+// Stored in chrome.storage.sync as [{ surface, reading, dictReading?, context?, site? }]; surface +
+// context + site identify an entry, so fixing the same word again replaces it. The list is split
+// across shards by getStoredReadingOverrides / setStoredReadingOverrides (reading-overrides-store.js).
+
+async function loadReadingOverrides() {
   try {
-    const result = await chrome.storage.local.get(['vocabulary']);
-    let vocabulary = result.vocabulary || [];
-    const initialLength = vocabulary.length;
-    vocabulary = vocabulary.filter(v => v.word !== wordToRemove);
-    if (vocabulary.length !== initialLength) {
-      await chrome.storage.local.set({ vocabulary });
-    }
+    const entries = await getStoredReadingOverrides();
+    // readingOverrides is a var global from content-main.js
+    readingOverrides = compileReadingOverrides(entries);
   } catch (err) {
-    console.error('Tsukeru: Failed to remove vocabulary:', err);
-    throw err;
+    console.warn('Tsukeru: could not load reading overrides', err);
   }
 }
 
+function getReadingOverrideKey(entry) {
+  return `${entry.surface}|${entry.context || ''}|${entry.site || ''}`;
+}
+
+async function saveReadingOverrides(overrides) {
+  const entries = await getStoredReadingOverrides();
+  const keys = new Set(overrides.map(getReadingOverrideKey));
+  const next = [...entries.filter((entry) => !keys.has(getReadingOverrideKey(entry))), ...overrides];
+  await setStoredReadingOverrides(next);
+  // Apply to this page right away; other tabs pick it up via storage.onChanged.
+  readingOverrides = compileReadingOverrides(next);
+  [document, ...styledRoots].forEach((root) => applyReadingOverrides(root));
+}
+
 // ── Toast notifications ───────────────────────────────────────────────────────
 
 function showVocabSavedToast(word) {
@@ -937,6 +1192,57 @@ function showVocabSavedToast(word) {
   }, 1500);
 }
 
+// Non-modal stand-in for alert(): one banner at a time, closed by its × or after a few seconds.
+function showPageBanner(message, type = 'error') {
+  document.getElementById('tsukeru-page-banner')?.remove();
+
+  const banner = document.createElement('div');
+  banner.id = 'tsukeru-page-banner';
+  banner.setAttribute('role', type === 'error' ? 'alert' : 'status');
+  banner.style.cssText = `
+    position: fixed;
+    top: 16px;
+    left: 50%;
+    transform: translateX(-50%);
+    display: flex;
+    align-items: center;
+    gap: 12px;
+    max-width: min(560px, calc(100vw - 32px));
+    background: ${type === 'error' ? '#b91c1c' : '#1e293b'};
+    color: white;
+    padding: 10px 12px 10px 16px;
+    border-radius: 6px;
+    font-family: system-ui, -apple-system, sans-serif;
+    font-size: 13px;
+    font-weight: 500;
+    line-height: 1.4;
+    z-index: 2147483647;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2);
+  `;
+
+  const text = document.createElement('span');
+  text.textContent = message;
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.textContent = '×';
+  closeBtn.title = t('content_banner_dismiss', undefined, 'Dismiss');
+  closeBtn.setAttribute('aria-label', closeBtn.title);
+  closeBtn.style.cssText = `
+    background: none;
+    border: none;
+    color: inherit;
+    font-size: 18px;
+    line-height: 1;
+    cursor: pointer;
+    padding: 0 4px;
+  `;
+  closeBtn.addEventListener('click', () => banner.remove());
+
+  banner.append(text, closeBtn);
+  document.body.appendChild(banner);
+  setTimeout(() => banner.remove(), PAGE_BANNER_TIMEOUT_MS);
+}
+
 function showToast(message) {
   const toast = document.createElement('div');
   toast.textContent = message;
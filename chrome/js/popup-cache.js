@@ -0,0 +1,194 @@
+/*
+Module: popup-cache
+Purpose: Show furigana cache statistics and let the user cap, clear, export, import and prewarm the cache from the popup.
+
+Inputs:
+- Cache statistics from the background, the active tab URL, popup UI events, and gzip cache files.
+
+Outputs:
+- Rendered entry count, size and hit rate; per-site and full clear actions; downloaded `.json.gz` cache exports.
+
+Side Effects:
+- Writes `chrome.storage.sync.cacheMaxMB` (the background trims the cache when it changes).
+- Sends `getCacheStats`/`clearFuriganaCache`/`exportFuriganaCache`/`importFuriganaCache`/`prewarmFuriganaCache` messages.
+
+Failure Modes:
+- An unreachable background leaves the stats line on its "unavailable" text.
+- Non-http(s) tabs cannot clear "this site".
+- Files that are not a Tsukeru cache export are rejected with an error status.
+
+Security Notes:
+- Clearing only deletes locally cached readings; nothing is sent over the network.
+- Imported HTML is stored as-is and sanitized by the content script like any backend response.
+*/
+// Settings section for the IndexedDB furigana cache.
+import { getSiteOrigin } from './bg-sites.js';
+import { DEFAULT_SETTINGS, getActiveTab, setStatus, t } from './popup-settings.js';
+
+const CACHE_EXPORT_FORMAT = 'tsukeru-furigana-cache';
+
+let currentOrigin = null;
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+async function renderCacheStats() {
+  const stats = document.getElementById('cacheStats');
+  const response = await chrome.runtime.sendMessage({ action: 'getCacheStats' }).catch(() => null);
+  if (!response?.success) {
+    stats.textContent = t('settings_cache_stats_unavailable', undefined, 'Cache statistics are unavailable');
+    return;
+  }
+  const { entries, bytes, hitRate } = response.stats;
+  const size = formatBytes(bytes);
+  const rate = hitRate === null ? '–' : `${Math.round(hitRate * 100)}%`;
+  stats.textContent = t('settings_cache_stats', [String(entries), size, rate], `${entries} entries, ${size}, ${rate} hit rate`);
+}
+
+async function clearFuriganaCache(origin) {
+  const response = await chrome.runtime.sendMessage({ action: 'clearFuriganaCache', origin })
+    .catch((err) => ({ success: false, error: err.message }));
+  if (!response?.success) {
+    const reason = response?.error || t('status_could_not_reach_page', undefined, 'Could not reach page');
+    setStatus(t('status_failed_with_reason', [reason], `Failed: ${reason}`), 'error');
+    return;
+  }
+  const removed = String(response.removed || 0);
+  setStatus(origin
+    ? t('settings_cache_cleared_site', [removed, origin], `Removed ${removed} cached entries for ${origin}`)
+    : t('settings_cache_cleared_all', [removed], `Removed ${removed} cached entries`), 'success');
+  await renderCacheStats();
+}
+
+// ── Export / import ───────────────────────────────────────────────────────────
+
+async function gzipText(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+  return new Response(stream).blob();
+}
+
+// Accepts the gzip export or an uncompressed JSON copy of it.
+async function readCacheFile(file) {
+  const header = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+  if (header[0] !== 0x1f || header[1] !== 0x8b) return file.text();
+  return new Response(file.stream().pipeThrough(new DecompressionStream('gzip'))).text();
+}
+
+async function exportCache() {
+  const response = await chrome.runtime.sendMessage({ action: 'exportFuriganaCache' })
+    .catch((err) => ({ success: false, error: err.message }));
+  if (!response?.success) {
+    const reason = response?.error || t('status_could_not_reach_page', undefined, 'Could not reach page');
+    setStatus(t('status_failed_with_reason', [reason], `Failed: ${reason}`), 'error');
+    return;
+  }
+  const payload = JSON.stringify({
+    format: CACHE_EXPORT_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    entries: response.entries,
+  });
+  const url = URL.createObjectURL(await gzipText(payload));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `tsukeru-cache-${Date.now()}.json.gz`;
+  link.click();
+  URL.revokeObjectURL(url);
+  const count = String(response.entries.length);
+  setStatus(t('settings_cache_exported', [count], `Exported ${count} cached entries`), 'success');
+}
+
+async function importCache(file) {
+  try {
+    const data = JSON.parse(await readCacheFile(file));
+    if (data?.format !== CACHE_EXPORT_FORMAT || !Array.isArray(data.entries)) {
+      throw new Error(t('settings_cache_import_invalid', undefined, 'Not a Tsukeru cache export'));
+    }
+    const response = await chrome.runtime.sendMessage({ action: 'importFuriganaCache', entries: data.entries });
+    if (!response?.success) throw new Error(response?.error || t('status_could_not_reach_page', undefined, 'Could not reach page'));
+    const added = String(response.added);
+    const skipped = String(response.skipped);
+    setStatus(t('settings_cache_imported', [added, skipped], `Imported ${added} cached entries (${skipped} skipped)`), 'success');
+    await renderCacheStats();
+  } catch (err) {
+    console.error(err);
+    setStatus(t('settings_cache_import_failed', [err.message], `Import failed: ${err.message}`), 'error');
+  }
+}
+
+// ── Prewarming ────────────────────────────────────────────────────────────────
+
+// A list made only of http(s) URLs is loaded page by page; anything else is treated as text.
+async function prewarmCache(input, button) {
+  const lines = input.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  if (!lines.length) return;
+  const urls = lines.every((line) => /^https?:\/\/\S+$/i.test(line)) ? lines : null;
+
+  button.disabled = true;
+  setStatus(t('settings_cache_prewarming', undefined, 'Prewarming... you can close the popup.'), 'success');
+  try {
+    const response = await chrome.runtime.sendMessage(urls
+      ? { action: 'prewarmFuriganaCache', urls }
+      : { action: 'prewarmFuriganaCache', text: input });
+    if (!response?.success) throw new Error(response?.error || t('status_could_not_reach_page', undefined, 'Could not reach page'));
+    if (urls) {
+      const done = String(response.results.filter((result) => result.ok).length);
+      const total = String(response.results.length);
+      const failed = response.results.find((result) => !result.ok);
+      if (failed) console.warn('Tsukeru: prewarm failed for', failed.url, failed.error);
+      setStatus(t('settings_cache_prewarmed_pages', [done, total], `Prewarmed ${done} of ${total} page(s)`), failed ? 'error' : 'success');
+    } else {
+      const cached = String(response.cached);
+      const already = String(response.alreadyCached);
+      setStatus(t('settings_cache_prewarmed_text', [cached, already], `Cached ${cached} passage(s), ${already} already cached`), 'success');
+    }
+    await renderCacheStats();
+  } catch (err) {
+    console.error(err);
+    setStatus(t('status_failed_with_reason', [err.message], `Failed: ${err.message}`), 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+export async function initCacheSettings() {
+  const maxSelect = document.getElementById('cacheMaxMB');
+  const clearSiteBtn = document.getElementById('cacheClearSiteBtn');
+  const clearAllBtn = document.getElementById('cacheClearAllBtn');
+  if (!maxSelect) return;
+
+  const { cacheMaxMB } = await chrome.storage.sync.get({ cacheMaxMB: DEFAULT_SETTINGS.cacheMaxMB });
+  maxSelect.value = String(cacheMaxMB);
+  currentOrigin = getSiteOrigin((await getActiveTab())?.url || '');
+  clearSiteBtn.disabled = !currentOrigin;
+  if (currentOrigin) clearSiteBtn.title = currentOrigin;
+  await renderCacheStats();
+
+  maxSelect.addEventListener('change', async () => {
+    await chrome.storage.sync.set({ cacheMaxMB: Number(maxSelect.value) });
+    // The background trims on the storage change; give it a moment before re-reading the size.
+    setTimeout(renderCacheStats, 500);
+  });
+  clearSiteBtn.addEventListener('click', () => {
+    if (currentOrigin) clearFuriganaCache(currentOrigin);
+  });
+  clearAllBtn.addEventListener('click', () => {
+    if (confirm(t('settings_cache_clear_all_confirm', undefined, 'Clear all cached readings?'))) clearFuriganaCache();
+  });
+
+  const importInput = document.getElementById('cacheImportInput');
+  document.getElementById('cacheExportBtn').addEventListener('click', exportCache);
+  document.getElementById('cacheImportBtn').addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', () => {
+    const file = importInput.files?.[0];
+    importInput.value = '';
+    if (file) importCache(file);
+  });
+
+  const prewarmInput = document.getElementById('cachePrewarmInput');
+  const prewarmBtn = document.getElementById('cachePrewarmBtn');
+  prewarmBtn.addEventListener('click', () => prewarmCache(prewarmInput.value, prewarmBtn));
+}
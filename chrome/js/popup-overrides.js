@@ -0,0 +1,199 @@
+/*
+Module: popup-overrides
+Purpose: Manage the user's reading override dictionary (surface → reading, optional context pattern and site scope).
+
+Inputs:
+- The reading override list in `chrome.storage.sync`, the active tab URL, popup UI events, and JSON override files.
+
+Outputs:
+- Rendered override list, add/remove actions, and downloaded `.json` exports.
+
+Side Effects:
+- Writes the list to `chrome.storage.sync` as `readingOverrides_<n>` shards; open pages re-apply it through `storage.onChanged`.
+
+Failure Modes:
+- Invalid context patterns and malformed imported rows are rejected with an error status or skipped.
+- Writes fail once the list outgrows the total `chrome.storage.sync` quota.
+
+Security Notes:
+- Overrides only change readings rendered locally; nothing is sent to the furigana server.
+*/
+// Settings section and shared helpers for the reading override dictionary.
+import { getSiteOrigin } from './bg-sites.js';
+import { getActiveTab, setStatus, t } from './popup-settings.js';
+import { kata2hira } from './utils.js';
+
+// getStoredReadingOverrides, setStoredReadingOverrides and isReadingOverridesStorageKey come from
+// reading-overrides-store.js, loaded as a plain script before this module (same as the content scripts).
+
+const OVERRIDE_EXPORT_FORMAT = 'tsukeru-reading-overrides';
+const MAX_OVERRIDE_FIELD_LENGTH = 200;
+
+let currentOrigin = null;
+
+function getOverrideKey(entry) {
+  return `${entry.surface}|${entry.context || ''}|${entry.site || ''}`;
+}
+
+// Trims fields and drops empty optional ones; returns null for rows that cannot be used.
+function normalizeOverride(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  const text = (value) => (typeof value === 'string' ? value.trim().slice(0, MAX_OVERRIDE_FIELD_LENGTH) : '');
+  const override = { surface: text(entry.surface), reading: kata2hira(text(entry.reading)) };
+  if (!override.surface || !override.reading) return null;
+  // Set by the tooltip's alternative readings so Vocab Mode groups the word under its new reading.
+  const dictReading = kata2hira(text(entry.dictReading));
+  if (dictReading) override.dictReading = dictReading;
+  const context = text(entry.context);
+  if (context) {
+    try {
+      new RegExp(context);
+    } catch (_) {
+      return null;
+    }
+    override.context = context;
+  }
+  const site = getSiteOrigin(text(entry.site));
+  if (site) override.site = site;
+  return override;
+}
+
+// Entries with the same surface, context and site replace each other.
+async function mergeReadingOverrides(additions) {
+  const merged = new Map((await getStoredReadingOverrides()).map((entry) => [getOverrideKey(entry), entry]));
+  additions.forEach((entry) => merged.set(getOverrideKey(entry), entry));
+  await setStoredReadingOverrides([...merged.values()]);
+}
+
+export async function addReadingOverride(entry) {
+  const override = normalizeOverride(entry);
+  if (!override) throw new Error(t('settings_overrides_invalid', undefined, 'Enter a word, its reading and a valid pattern'));
+  await mergeReadingOverrides([override]);
+  return override;
+}
+
+async function removeReadingOverride(key) {
+  const remaining = (await getStoredReadingOverrides()).filter((entry) => getOverrideKey(entry) !== key);
+  await setStoredReadingOverrides(remaining);
+}
+
+async function renderOverrideList() {
+  const list = document.getElementById('overrideList');
+  const entries = await getStoredReadingOverrides();
+
+  list.innerHTML = '';
+  if (!entries.length) {
+    const empty = document.createElement('div');
+    empty.className = 'override-empty';
+    empty.textContent = t('settings_overrides_empty', undefined, 'No overrides yet');
+    list.appendChild(empty);
+  }
+  entries.forEach((entry) => {
+    const row = document.createElement('div');
+    row.className = 'override-row';
+    const text = document.createElement('span');
+    text.className = 'override-text';
+    text.textContent = `${entry.surface} → ${entry.reading}`;
+    const scope = [entry.site, entry.context && `/${entry.context}/`].filter(Boolean).join(' ');
+    text.title = scope ? `${text.textContent} (${scope})` : text.textContent;
+    if (scope) {
+      const scopeEl = document.createElement('span');
+      scopeEl.className = 'override-scope';
+      scopeEl.textContent = ` ${scope}`;
+      text.appendChild(scopeEl);
+    }
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'override-remove';
+    removeBtn.textContent = '×';
+    removeBtn.title = t('settings_overrides_remove', undefined, 'Remove');
+    removeBtn.addEventListener('click', () => {
+      removeReadingOverride(getOverrideKey(entry)).catch((err) => {
+        setStatus(t('status_failed_with_reason', [err.message], `Failed: ${err.message}`), 'error');
+      });
+    });
+    row.append(text, removeBtn);
+    list.appendChild(row);
+  });
+}
+
+// ── Export / import ───────────────────────────────────────────────────────────
+
+async function exportOverrides() {
+  const entries = await getStoredReadingOverrides();
+  const payload = JSON.stringify({
+    format: OVERRIDE_EXPORT_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    overrides: entries,
+  }, null, 2);
+  const url = URL.createObjectURL(new Blob([payload], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `tsukeru-reading-overrides-${Date.now()}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+  const count = String(entries.length);
+  setStatus(t('settings_overrides_exported', [count], `Exported ${count} override(s)`), 'success');
+}
+
+async function importOverrides(file) {
+  try {
+    const data = JSON.parse(await file.text());
+    if (data?.format !== OVERRIDE_EXPORT_FORMAT || !Array.isArray(data.overrides)) {
+      throw new Error(t('settings_overrides_import_invalid', undefined, 'Not a Tsukeru reading override export'));
+    }
+    const valid = data.overrides.map(normalizeOverride).filter(Boolean);
+    await mergeReadingOverrides(valid);
+    const added = String(valid.length);
+    const skipped = String(data.overrides.length - valid.length);
+    setStatus(t('settings_overrides_imported', [added, skipped], `Imported ${added} override(s) (${skipped} skipped)`), 'success');
+  } catch (err) {
+    console.error(err);
+    setStatus(t('settings_overrides_import_failed', [err.message], `Import failed: ${err.message}`), 'error');
+  }
+}
+
+export async function initReadingOverrides() {
+  const addBtn = document.getElementById('overrideAddBtn');
+  if (!addBtn) return;
+
+  const surfaceInput = document.getElementById('overrideSurface');
+  const readingInput = document.getElementById('overrideReading');
+  const contextInput = document.getElementById('overrideContext');
+  const siteOnlyCheckbox = document.getElementById('overrideSiteOnly');
+
+  currentOrigin = getSiteOrigin((await getActiveTab())?.url || '');
+  siteOnlyCheckbox.disabled = !currentOrigin;
+  if (currentOrigin) siteOnlyCheckbox.title = currentOrigin;
+  await renderOverrideList();
+
+  addBtn.addEventListener('click', async () => {
+    try {
+      const override = await addReadingOverride({
+        surface: surfaceInput.value,
+        reading: readingInput.value,
+        context: contextInput.value,
+        site: siteOnlyCheckbox.checked ? currentOrigin : '',
+      });
+      surfaceInput.value = '';
+      readingInput.value = '';
+      contextInput.value = '';
+      setStatus(t('settings_overrides_added', [override.surface, override.reading], `${override.surface} will be read as ${override.reading}`), 'success');
+    } catch (err) {
+      setStatus(t('status_failed_with_reason', [err.message], `Failed: ${err.message}`), 'error');
+    }
+  });
+
+  const importInput = document.getElementById('overrideImportInput');
+  document.getElementById('overrideExportBtn').addEventListener('click', exportOverrides);
+  document.getElementById('overrideImportBtn').addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', () => {
+    const file = importInput.files?.[0];
+    importInput.value = '';
+    if (file) importOverrides(file);
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && Object.keys(changes).some(isReadingOverridesStorageKey)) renderOverrideList();
+  });
+}
@@ -0,0 +1,275 @@
+/*
+Module: popup-review
+Purpose: Run spaced-repetition review sessions over saved vocabulary using an SM-2 scheduler.
+
+Inputs:
+- Stored vocabulary entries (with optional `srs` scheduling state) and popup UI/keyboard events.
+
+Outputs:
+- Rendered review cards, due/new counters, and updated per-entry scheduling state.
+
+Side Effects:
+- Reads/writes vocabulary entries in the IndexedDB vocabulary store.
+- Sends `playAudio`/`lookupDefinition` runtime messages through popup-vocab helpers.
+
+Failure Modes:
+- Storage write failures leave the card in the queue so it can be graded again.
+- Missing definitions or audio degrade to reading-only cards and speech synthesis.
+
+Security Notes:
+- Sentence HTML is sanitized via `highlightSavedWordInSentence` before rendering.
+- Scheduling data stays in the extension-origin vocabulary store.
+*/
+// Review tab: SM-2 scheduling and flashcard session for saved words.
+import { t } from './popup-settings.js';
+import {
+  attachDefinitionToEntry,
+  escapeHtml,
+  getDefinitionText,
+  getEntryId,
+  highlightSavedWordInSentence,
+  playVocabAudio,
+} from './popup-vocab.js';
+import { getAllVocabulary, getVocabularyEntryById, updateVocabularyEntry } from './vocab-store.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RELEARN_DELAY_MS = 10 * 60 * 1000; // "Again" cards come back within the session
+const NEW_CARDS_PER_SESSION = 20;
+const MAX_HISTORY = 50;
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+const EASY_BONUS = 1.3;
+const EASY_FIRST_INTERVAL = 4; // days
+
+// SM-2 quality score for each answer button.
+export const REVIEW_GRADES = {
+  again: 1,
+  hard: 3,
+  good: 4,
+  easy: 5,
+};
+
+let reviewQueue = [];
+let reviewNewCount = 0;
+let reviewDueCount = 0;
+let reviewFlipped = false;
+
+// ── Scheduler ─────────────────────────────────────────────────────────────────
+
+export function getInitialSrs() {
+  return { due: 0, ease: INITIAL_EASE, interval: 0, reps: 0, lapses: 0, history: [] };
+}
+
+// Returns a new srs state; the input is never mutated.
+export function scheduleReview(srs, grade, now = Date.now()) {
+  const previous = { ...getInitialSrs(), ...(srs || {}) };
+  const quality = REVIEW_GRADES[grade];
+  if (!quality) throw new Error(`Unknown review grade: ${grade}`);
+
+  const ease = Math.max(MIN_EASE, previous.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+  let { reps, lapses, interval } = previous;
+  let due;
+
+  if (quality < 3) {
+    reps = 0;
+    lapses += previous.reps > 0 ? 1 : 0;
+    interval = 0;
+    due = now + RELEARN_DELAY_MS;
+  } else {
+    if (reps === 0) interval = grade === 'easy' ? EASY_FIRST_INTERVAL : 1;
+    else if (reps === 1) interval = 6;
+    else interval = Math.round(interval * ease);
+    if (grade === 'easy' && reps > 0) interval = Math.round(interval * EASY_BONUS);
+    if (grade === 'hard') interval = Math.max(1, Math.round(interval * 0.8));
+    reps += 1;
+    due = now + interval * DAY_MS;
+  }
+
+  const history = [...(previous.history || []), { time: now, grade, interval }].slice(-MAX_HISTORY);
+  return { due, ease, interval, reps, lapses, history };
+}
+
+function formatInterval(srs) {
+  if (!srs.interval) return t('review_interval_minutes', [String(RELEARN_DELAY_MS / 60000)], `${RELEARN_DELAY_MS / 60000}m`);
+  return t('review_interval_days', [String(srs.interval)], `${srs.interval}d`);
+}
+
+// ── Queue ─────────────────────────────────────────────────────────────────────
+
+function buildReviewQueue(vocabulary, now = Date.now()) {
+  const due = vocabulary
+    .filter(item => item.srs && item.srs.due <= now)
+    .sort((a, b) => a.srs.due - b.srs.due);
+  const fresh = vocabulary
+    .filter(item => !item.srs)
+    .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+    .slice(0, NEW_CARDS_PER_SESSION);
+  reviewDueCount = due.length;
+  reviewNewCount = fresh.length;
+  return [...due, ...fresh];
+}
+
+export async function loadReviewQueue() {
+  try {
+    reviewQueue = buildReviewQueue(await getAllVocabulary());
+  } catch (err) {
+    console.error('Failed to load review queue:', err);
+    reviewQueue = [];
+  }
+  reviewFlipped = false;
+  renderReviewCard();
+}
+
+async function gradeCurrentCard(grade) {
+  const item = reviewQueue[0];
+  if (!item) return;
+
+  try {
+    const stored = await getVocabularyEntryById(getEntryId(item));
+    if (!stored) {
+      reviewQueue.shift();
+    } else {
+      const wasNew = !stored.srs;
+      stored.srs = scheduleReview(stored.srs, grade);
+      await updateVocabularyEntry(stored.id, { srs: stored.srs });
+
+      reviewQueue.shift();
+      if (wasNew) reviewNewCount = Math.max(0, reviewNewCount - 1);
+      else reviewDueCount = Math.max(0, reviewDueCount - 1);
+      // Lapsed cards are re-queued at the end so they come back in this session.
+      if (stored.srs.interval === 0) {
+        reviewQueue.push(stored);
+        reviewDueCount += 1;
+      }
+    }
+  } catch (err) {
+    console.error('Failed to save review result:', err);
+    alert(t('review_save_failed', undefined, 'Failed to save review result'));
+    return;
+  }
+
+  reviewFlipped = false;
+  renderReviewCard();
+}
+
+// ── Rendering ─────────────────────────────────────────────────────────────────
+
+function updateReviewStats() {
+  const stats = document.getElementById('reviewStats');
+  if (!stats) return;
+  stats.textContent = t(
+    'review_stats',
+    [String(reviewDueCount), String(reviewNewCount)],
+    `${reviewDueCount} due · ${reviewNewCount} new`
+  );
+}
+
+export function renderReviewCard() {
+  const card = document.getElementById('reviewCard');
+  const empty = document.getElementById('reviewEmpty');
+  if (!card || !empty) return;
+  updateReviewStats();
+
+  const item = reviewQueue[0];
+  if (!item) {
+    card.classList.add('hidden');
+    empty.classList.remove('hidden');
+    return;
+  }
+  empty.classList.add('hidden');
+  card.classList.remove('hidden');
+  card.classList.toggle('flipped', reviewFlipped);
+
+  const sentenceHtml = item.sentence ? highlightSavedWordInSentence(item.sentence, item) : '';
+  const definitionText = getDefinitionText(item);
+  const jlptBadge = item.jlpt ? `<span class="vocab-badge jlpt jlpt-${escapeHtml(String(item.jlpt))}">N${escapeHtml(String(item.jlpt))}</span>` : '';
+
+  let answerHtml = '';
+  if (reviewFlipped) {
+    const gradeLabels = {
+      again: t('review_grade_again', undefined, 'Again'),
+      hard: t('review_grade_hard', undefined, 'Hard'),
+      good: t('review_grade_good', undefined, 'Good'),
+      easy: t('review_grade_easy', undefined, 'Easy'),
+    };
+    const gradeButtons = Object.keys(REVIEW_GRADES).map((grade, index) => {
+      const next = scheduleReview(item.srs, grade);
+      return `
+        <button class="review-grade-btn ${grade}" data-grade="${grade}" title="${index + 1}">
+          <span>${escapeHtml(gradeLabels[grade])}</span>
+          <span class="review-grade-interval">${escapeHtml(formatInterval(next))}</span>
+        </button>`;
+    }).join('');
+    answerHtml = `
+      <div class="review-answer">
+        <div class="review-reading">${escapeHtml(item.reading || '')}</div>
+        ${definitionText ? `<div class="vocab-definition">${escapeHtml(definitionText)}</div>` : ''}
+      </div>
+      <div class="review-grades">${gradeButtons}</div>`;
+  } else {
+    answerHtml = `<button id="reviewShowBtn" class="review-show-btn">${escapeHtml(t('review_show_answer', undefined, 'Show answer'))}</button>`;
+  }
+
+  card.innerHTML = `
+    <div class="review-card-header">
+      <div class="review-word">${escapeHtml(item.word)}</div>
+      <div class="review-card-meta">
+        ${jlptBadge}
+        <button class="vocab-speaker-btn review-speaker-btn" title="${escapeHtml(t('vocab_listen', undefined, 'Listen'))}">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"></polygon>
+            <path d="M15.54 8.46a5 5 0 0 1 0 7.07"></path>
+          </svg>
+        </button>
+      </div>
+    </div>
+    ${sentenceHtml ? `<div class="vocab-sentence review-sentence">${sentenceHtml}</div>` : ''}
+    ${answerHtml}
+  `;
+
+  card.querySelector('.review-speaker-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    playVocabAudio(item.word, item.reading, e.currentTarget);
+  });
+  card.querySelector('#reviewShowBtn')?.addEventListener('click', flipReviewCard);
+  card.querySelectorAll('.review-grade-btn').forEach(btn => {
+    btn.addEventListener('click', () => gradeCurrentCard(btn.dataset.grade));
+  });
+}
+
+async function flipReviewCard() {
+  const item = reviewQueue[0];
+  if (!item || reviewFlipped) return;
+  reviewFlipped = true;
+
+  // Older entries may predate definition enrichment; fill in lazily for display only.
+  if (!getDefinitionText(item)) {
+    await attachDefinitionToEntry(item);
+  }
+  renderReviewCard();
+  playVocabAudio(item.word, item.reading, document.querySelector('#reviewCard .review-speaker-btn'));
+}
+
+// ── Tab wiring ────────────────────────────────────────────────────────────────
+
+function isReviewTabActive() {
+  return document.getElementById('review-tab')?.classList.contains('active');
+}
+
+export function initReviewTab() {
+  document.addEventListener('keydown', (e) => {
+    if (!isReviewTabActive() || !reviewQueue.length) return;
+    if (e.target instanceof HTMLElement && e.target.closest('input, textarea, select')) return;
+
+    if (!reviewFlipped && (e.key === ' ' || e.key === 'Enter')) {
+      e.preventDefault();
+      flipReviewCard();
+      return;
+    }
+    const grade = Object.keys(REVIEW_GRADES)[Number(e.key) - 1];
+    if (reviewFlipped && grade) {
+      e.preventDefault();
+      gradeCurrentCard(grade);
+    }
+  });
+}
@@ -0,0 +1,109 @@
+/*
+Module: popup-sites
+Purpose: Manage the allow list of sites that get furigana automatically on page load.
+
+Inputs:
+- The active tab URL, the `autoApplySites` list in `chrome.storage.sync`, and popup UI events.
+
+Outputs:
+- Rendered allow list and per-site add/remove actions.
+
+Side Effects:
+- Requests/removes optional host permissions per site and writes `chrome.storage.sync.autoApplySites`.
+- Sends `enableAutoApplySite` so the background applies furigana to the current tab right away.
+
+Failure Modes:
+- A denied permission prompt leaves the list unchanged and shows an error status.
+- Non-http(s) tabs cannot be added.
+
+Security Notes:
+- Host access is requested one site at a time and only on an explicit click.
+*/
+// Settings section for the auto-apply allow list.
+import { AUTO_APPLY_SITES_KEY, getAutoApplySites, getOriginPattern, getSiteOrigin } from './bg-sites.js';
+import { getActiveTab, isHttpTab, setStatus, t } from './popup-settings.js';
+
+let currentTab = null;
+
+async function removeSite(origin) {
+  const sites = await getAutoApplySites();
+  const remaining = sites.filter((site) => site !== origin);
+  await chrome.storage.sync.set({ [AUTO_APPLY_SITES_KEY]: remaining });
+  // Keep the grant while another listed origin (a different port) still relies on it.
+  const pattern = getOriginPattern(origin);
+  if (!remaining.some((site) => getOriginPattern(site) === pattern)) {
+    await chrome.permissions.remove({ origins: [pattern] }).catch(() => false);
+  }
+  await renderSiteList();
+}
+
+async function renderSiteList() {
+  const list = document.getElementById('autoApplySiteList');
+  const addBtn = document.getElementById('autoApplyAddBtn');
+  const sites = await getAutoApplySites();
+  const currentOrigin = getSiteOrigin(currentTab?.url || '');
+
+  list.innerHTML = '';
+  if (!sites.length) {
+    const empty = document.createElement('div');
+    empty.className = 'auto-apply-empty';
+    empty.textContent = t('settings_auto_apply_empty', undefined, 'No sites yet');
+    list.appendChild(empty);
+  }
+  sites.forEach((origin) => {
+    const row = document.createElement('div');
+    row.className = 'auto-apply-row';
+    const name = document.createElement('span');
+    name.className = 'auto-apply-origin';
+    name.textContent = origin;
+    name.title = origin;
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'auto-apply-remove';
+    removeBtn.textContent = '×';
+    removeBtn.title = t('settings_auto_apply_remove', undefined, 'Remove');
+    removeBtn.addEventListener('click', () => removeSite(origin));
+    row.append(name, removeBtn);
+    list.appendChild(row);
+  });
+
+  addBtn.disabled = !currentOrigin || sites.includes(currentOrigin);
+  addBtn.textContent = currentOrigin && sites.includes(currentOrigin)
+    ? t('settings_auto_apply_added', undefined, 'Applied automatically on this site')
+    : t('settings_auto_apply_add', undefined, 'Always apply on this site');
+}
+
+export async function initAutoApplySites() {
+  const addBtn = document.getElementById('autoApplyAddBtn');
+  if (!addBtn) return;
+
+  currentTab = await getActiveTab();
+  await renderSiteList();
+
+  addBtn.addEventListener('click', () => {
+    const origin = getSiteOrigin(currentTab?.url || '');
+    if (!origin || !isHttpTab(currentTab.url)) {
+      setStatus(t('status_open_normal_page', undefined, 'Open a normal http/https page and try again.'), 'error');
+      return;
+    }
+    // Request synchronously inside the click so the browser accepts it as a user gesture.
+    chrome.permissions.request({ origins: [getOriginPattern(origin)] })
+      .then(async (granted) => {
+        if (!granted) {
+          setStatus(t('settings_auto_apply_permission_denied', undefined, 'Permission for this site was not granted'), 'error');
+          return;
+        }
+        const response = await chrome.runtime.sendMessage({ action: 'enableAutoApplySite', tabId: currentTab.id, origin });
+        if (!response?.success) throw new Error(response?.error || t('status_could_not_reach_page', undefined, 'Could not reach page'));
+        setStatus(t('settings_auto_apply_enabled', [origin], `Furigana will be applied automatically on ${origin}`), 'success');
+        await renderSiteList();
+      })
+      .catch((err) => {
+        console.error(err);
+        setStatus(t('status_failed_with_reason', [err.message], `Failed: ${err.message}`), 'error');
+      });
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes[AUTO_APPLY_SITES_KEY]) renderSiteList();
+  });
+}
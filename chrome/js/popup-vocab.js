@@ -6,11 +6,11 @@ Inputs:
 - Stored vocabulary data, popup UI events, active-tab word/context responses, and background API responses.
 
 Outputs:
-- Rendered vocab lists, saved vocabulary entries, and CSV/ZIP export downloads.
+- Rendered vocab lists, saved vocabulary entries, and CSV/`.apkg` export downloads.
 
 Side Effects:
-- Reads/writes `chrome.storage.local` vocabulary.
-- Sends runtime/tab messages and triggers browser downloads.
+- Reads/writes the IndexedDB vocabulary store and `chrome.storage.local` known words; reads the quiz-mode `helpLog`.
+- Sends runtime/tab messages (including `ankiAddEntry` pushes) and triggers browser downloads.
 
 Failure Modes:
 - Storage/message/network failures can block lookup, save, or export operations.
@@ -30,6 +30,18 @@ import {
   openReportModal,
   t,
 } from './popup-settings.js';
+import { buildAnkiPackage, sha1Hex } from './anki-package.js';
+import { pushEntryToAnki } from './popup-anki.js';
+import {
+  clearVocabulary,
+  countVocabulary,
+  deleteVocabularyEntry,
+  getAllVocabulary,
+  getVocabularyEntry,
+  getVocabularyKeys,
+  getVocabularyPage,
+  saveVocabularyEntry,
+} from './vocab-store.js';
 
 // ── Shared utilities ──────────────────────────────────────────────────────────
 
@@ -99,6 +111,20 @@ export function convertRubyToParentheses(html) {
   return temp.textContent;
 }
 
+// Anki's `{{furigana:}}` syntax: " 漢字[かんじ]" — the leading space marks where the base text starts.
+export function convertRubyToAnkiFurigana(html) {
+  const temp = document.createElement('div');
+  temp.innerHTML = sanitizeExtensionHtml(html);
+  temp.querySelectorAll('rp').forEach(rp => rp.remove());
+  temp.querySelectorAll('ruby').forEach(ruby => {
+    const reading = Array.from(ruby.querySelectorAll('rt')).map(rt => rt.textContent).join('').trim();
+    ruby.querySelectorAll('rt').forEach(rt => rt.remove());
+    const base = ruby.textContent.trim();
+    ruby.replaceWith(document.createTextNode(base && reading ? ` ${base}[${reading}]` : base));
+  });
+  return escapeHtml(temp.textContent.trim());
+}
+
 export function highlightSavedWordInSentence(sentenceHtml, item) {
   const temp = document.createElement('div');
   temp.innerHTML = sanitizeExtensionHtml(sentenceHtml);
@@ -242,25 +268,78 @@ export async function playVocabAudio(word, reading, buttonElement) {
 
 // ── Vocabulary tab ────────────────────────────────────────────────────────────
 
+const VOCAB_PAGE_SIZE = 50;
+
+// Loaded pages of the (possibly search-filtered) list; the full set stays in IndexedDB.
 export let currentVocabulary = [];
-export let filteredVocabulary = [];
+let vocabularyTotal = 0;
+let vocabularyQuery = '';
+let vocabularyHasMore = false;
+
+function matchesVocabularyQuery(item) {
+  return (item.word || '').toLowerCase().includes(vocabularyQuery) ||
+    (item.reading || '').toLowerCase().includes(vocabularyQuery) ||
+    (item.sentence || '').toLowerCase().includes(vocabularyQuery) ||
+    getDefinitionText(item).toLowerCase().includes(vocabularyQuery);
+}
+
+function fetchVocabularyPage(offset) {
+  return getVocabularyPage({
+    offset,
+    limit: VOCAB_PAGE_SIZE,
+    filter: vocabularyQuery ? matchesVocabularyQuery : null,
+  });
+}
 
 export async function loadVocabulary() {
   try {
-    const result = await chrome.storage.local.get(['vocabulary']);
-    currentVocabulary = result.vocabulary || [];
-    filteredVocabulary = currentVocabulary;
+    const [total, page] = await Promise.all([countVocabulary(), fetchVocabularyPage(0), loadHelpLog()]);
+    vocabularyTotal = total;
+    currentVocabulary = page.entries;
+    vocabularyHasMore = page.hasMore;
     renderVocabulary();
   } catch (err) {
     console.error('Failed to load vocabulary:', err);
   }
 }
 
+async function loadMoreVocabulary() {
+  try {
+    const page = await fetchVocabularyPage(currentVocabulary.length);
+    const startIndex = currentVocabulary.length;
+    currentVocabulary = currentVocabulary.concat(page.entries);
+    vocabularyHasMore = page.hasMore;
+    appendVocabularyItems(startIndex);
+  } catch (err) {
+    console.error('Failed to load more vocabulary:', err);
+  }
+}
+
+function appendVocabularyItems(startIndex) {
+  const vocabList = document.getElementById('vocabList');
+  vocabList.querySelector('.vocab-load-more')?.remove();
+
+  currentVocabulary.slice(startIndex).forEach((item, offset) => {
+    vocabList.appendChild(createVocabItem(item, startIndex + offset));
+  });
+
+  if (vocabularyHasMore) {
+    const loadMoreBtn = document.createElement('button');
+    loadMoreBtn.className = 'vocab-load-more';
+    loadMoreBtn.textContent = t('vocab_load_more', undefined, 'Load more');
+    loadMoreBtn.addEventListener('click', () => {
+      loadMoreBtn.disabled = true;
+      loadMoreVocabulary();
+    });
+    vocabList.appendChild(loadMoreBtn);
+  }
+}
+
 export function renderVocabulary() {
   const vocabList = document.getElementById('vocabList');
   const vocabCount = document.getElementById('vocabCount');
   vocabCount.textContent = formatCountWithNoun(
-    currentVocabulary.length,
+    vocabularyTotal,
     'word_singular',
     'word_plural',
     'vocab_count_saved',
@@ -268,8 +347,8 @@ export function renderVocabulary() {
   );
   vocabList.innerHTML = '';
 
-  if (filteredVocabulary.length === 0) {
-    if (currentVocabulary.length === 0) {
+  if (currentVocabulary.length === 0) {
+    if (vocabularyTotal === 0) {
       vocabList.innerHTML = `
         <div class="vocab-empty">
           <div class="vocab-empty-text">${escapeHtml(t('vocab_empty_text', undefined, 'No vocabulary saved yet'))}</div>
@@ -286,9 +365,7 @@ export function renderVocabulary() {
     return;
   }
 
-  filteredVocabulary.forEach((item, index) => {
-    vocabList.appendChild(createVocabItem(item, index));
-  });
+  appendVocabularyItems(0);
 }
 
 export function createVocabItem(item, index) {
@@ -299,6 +376,9 @@ export function createVocabItem(item, index) {
   const jlptText = item.jlpt ? `N${item.jlpt}` : '';
   const jlptClass = item.jlpt ? ` jlpt-${item.jlpt}` : '';
   const posText = item.pos || '';
+  const helpCount = helpLog[getKnownWordKey(item)]?.count || 0;
+  const helpText = helpCount
+    ? t('vocab_needed_help', [String(helpCount)], `Needed help ${helpCount}×`) : '';
   const dateStr = new Date(item.timestamp).toLocaleDateString();
 
   let urlDisplay = '';
@@ -326,10 +406,11 @@ export function createVocabItem(item, index) {
         </svg>
       </button>
     </div>
-    ${(jlptText || posText) ? `
+    ${(jlptText || posText || helpText) ? `
       <div class="vocab-meta">
         ${jlptText ? `<span class="vocab-badge jlpt${jlptClass}">${jlptText}</span>` : ''}
         ${posText ? `<span class="vocab-badge pos">${escapeHtml(posText)}</span>` : ''}
+        ${helpText ? `<span class="vocab-badge help">${escapeHtml(helpText)}</span>` : ''}
       </div>
     ` : ''}
     ${definitionHtml}
@@ -382,9 +463,9 @@ export async function deleteVocabItem(entryId) {
   try {
     const index = currentVocabulary.findIndex(item => getEntryId(item) === entryId);
     if (index < 0) return;
+    await deleteVocabularyEntry(entryId);
     currentVocabulary.splice(index, 1);
-    await chrome.storage.local.set({ vocabulary: currentVocabulary });
-    filteredVocabulary = currentVocabulary;
+    vocabularyTotal = Math.max(0, vocabularyTotal - 1);
     renderVocabulary();
   } catch (err) {
     console.error('Failed to delete vocabulary item:', err);
@@ -392,8 +473,15 @@ export async function deleteVocabItem(entryId) {
   }
 }
 
-export function exportVocabulary() {
-  if (currentVocabulary.length === 0) {
+export async function exportVocabulary() {
+  let vocabulary;
+  try {
+    vocabulary = await getAllVocabulary();
+  } catch (err) {
+    console.error('Failed to read vocabulary for export:', err);
+    vocabulary = [];
+  }
+  if (vocabulary.length === 0) {
     alert(t('vocab_no_items_to_export', undefined, 'No vocabulary to export'));
     return;
   }
@@ -414,7 +502,7 @@ export function exportVocabulary() {
   ];
   const rows = [headers];
 
-  currentVocabulary.forEach(item => {
+  vocabulary.forEach(item => {
     const temp = document.createElement('div');
     temp.innerHTML = item.sentence;
     const sentenceWithParens = convertRubyToParentheses(item.sentence);
@@ -463,36 +551,109 @@ export function exportVocabulary() {
   URL.revokeObjectURL(url);
 }
 
-export async function exportAnkiAudio() {
-  if (currentVocabulary.length === 0) {
+const ANKI_AUDIO_CONCURRENCY = 4;
+const AUDIO_EXTENSIONS = {
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/ogg': 'ogg',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/webm': 'webm',
+};
+
+function dataUrlToBytes(dataUrl) {
+  const match = /^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s.exec(dataUrl || '');
+  if (!match) return null;
+  const binary = match[2].includes(';base64') ? atob(match[3]) : decodeURIComponent(match[3]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return { mime: match[1] || 'audio/mpeg', bytes };
+}
+
+// Audio goes through the same background `playAudio` proxy as the speaker buttons; misses export without audio.
+async function fetchAnkiAudio(item) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'playAudio', word: item.word, reading: item.reading });
+    const audio = response?.success ? dataUrlToBytes(response.dataUrl) : null;
+    if (!audio) return null;
+    const hash = await sha1Hex(`${item.word}|${item.reading}`);
+    return { name: `tsukeru_${hash.slice(0, 12)}.${AUDIO_EXTENSIONS[audio.mime] || 'mp3'}`, data: audio.bytes };
+  } catch (err) {
+    console.warn('Could not fetch audio for Anki export:', err);
+    return null;
+  }
+}
+
+function buildAnkiNote(item, audio) {
+  return {
+    guidSeed: `${item.word}|${item.reading}`,
+    tags: ['tsukeru', item.jlpt ? `JLPT_N${item.jlpt}` : ''],
+    fields: {
+      Word: escapeHtml(item.word || ''),
+      Reading: escapeHtml(item.reading || ''),
+      Sentence: item.sentence ? convertRubyToAnkiFurigana(item.sentence) : '',
+      Definition: escapeHtml(getDefinitionText(item)),
+      Audio: audio ? `[sound:${audio.name}]` : '',
+      JLPT: item.jlpt ? `N${item.jlpt}` : '',
+      Source: escapeHtml(item.url || ''),
+    },
+  };
+}
+
+// Builds the `.apkg` in the popup; only the per-word audio lookups leave the browser.
+export async function exportAnkiDeck() {
+  const btn = document.getElementById('exportAudioBtn');
+  const vocabulary = await getAllVocabulary().catch((err) => {
+    console.error('Failed to read vocabulary for export:', err);
+    return [];
+  });
+  if (vocabulary.length === 0) {
     alert(t('vocab_no_items_to_export', undefined, 'No vocabulary to export'));
     return;
   }
-  const btn = document.getElementById('exportAudioBtn');
   btn.textContent = t('vocab_exporting', undefined, 'Exporting...');
   btn.disabled = true;
   try {
-    const payload = currentVocabulary.map(w => ({
-      word: w.word,
-      reading: kata2hira(w.reading || w.word),
-      jlptLevel: w.jlpt || 0,
-      pos: w.pos || '',
-      definition: getDefinitionText(w),
-      context: w.sentence ? convertRubyToParentheses(w.sentence) : '',
-      savedAt: new Date(w.timestamp).toLocaleDateString(),
-      altReadings: ''
-    }));
-    const result = await chrome.runtime.sendMessage({ action: 'exportAnkiAudio', payload });
-    if (!result.success) throw new Error(result.error || t('vocab_export_failed_short', undefined, 'Export failed'));
+    const audioFiles = new Array(vocabulary.length).fill(null);
+    let nextIndex = 0;
+    let completed = 0;
+    const fetchNext = async () => {
+      while (nextIndex < vocabulary.length) {
+        const index = nextIndex++;
+        audioFiles[index] = await fetchAnkiAudio(vocabulary[index]);
+        completed++;
+        btn.textContent = t(
+          'vocab_exporting_progress',
+          [String(completed), String(vocabulary.length)],
+          `Exporting... ${completed}/${vocabulary.length}`
+        );
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(ANKI_AUDIO_CONCURRENCY, vocabulary.length) }, fetchNext));
+
+    const media = new Map();
+    audioFiles.forEach(audio => {
+      if (audio) media.set(audio.name, audio);
+    });
+    const apkg = await buildAnkiPackage({
+      notes: vocabulary.map((item, index) => buildAnkiNote(item, audioFiles[index])),
+      media: [...media.values()],
+    });
+
+    const url = URL.createObjectURL(new Blob([apkg], { type: 'application/octet-stream' }));
     const link = document.createElement('a');
-    link.href = result.dataUrl;
-    link.download = `tsukeru_anki_${Date.now()}.zip`;
+    link.href = url;
+    link.download = `tsukeru-${Date.now()}.apkg`;
     link.click();
+    URL.revokeObjectURL(url);
   } catch (err) {
+    console.error('Anki deck export failed:', err);
     const fallback = t('vocab_export_failed_short', undefined, 'Export failed');
     alert(t('vocab_export_failed_with_reason', [err.message || fallback], `Export failed: ${err.message || fallback}`));
   } finally {
-    btn.textContent = t('vocab_export_audio', undefined, '+ Audio');
+    btn.textContent = t('vocab_export_audio', undefined, 'Anki .apkg');
     btn.disabled = false;
   }
 }
@@ -506,27 +667,17 @@ export async function initVocabularyTab() {
   await loadVocabulary();
 
   vocabSearch.addEventListener('input', (e) => {
-    const query = e.target.value.toLowerCase().trim();
-    if (!query) {
-      filteredVocabulary = currentVocabulary;
-    } else {
-      filteredVocabulary = currentVocabulary.filter(item =>
-        item.word.toLowerCase().includes(query) ||
-        item.reading.toLowerCase().includes(query) ||
-        item.sentence.toLowerCase().includes(query) ||
-        getDefinitionText(item).toLowerCase().includes(query)
-      );
-    }
-    renderVocabulary();
+    vocabularyQuery = e.target.value.toLowerCase().trim();
+    loadVocabulary();
   });
 
   exportBtn.addEventListener('click', exportVocabulary);
-  exportAudioBtn.addEventListener('click', exportAnkiAudio);
+  exportAudioBtn.addEventListener('click', exportAnkiDeck);
 
   clearBtn.addEventListener('click', async () => {
-    if (currentVocabulary.length === 0) return;
-    if (confirm(t('vocab_clear_confirm', [String(currentVocabulary.length)], `Clear all ${currentVocabulary.length} vocabulary items?`))) {
-      await chrome.storage.local.set({ vocabulary: [] });
+    if (vocabularyTotal === 0) return;
+    if (confirm(t('vocab_clear_confirm', [String(vocabularyTotal)], `Clear all ${vocabularyTotal} vocabulary items?`))) {
+      await clearVocabulary();
       await loadVocabulary();
     }
   });
@@ -538,12 +689,14 @@ export let vocabModeWords = [];
 export let filteredVocabModeWords = [];
 export let vocabModeSortMode = 'occurrence';
 export let vocabModeJlptFilter = 'all';
+export let knownWords = {};
 
 export const VM_SORT_MODES = [
   { key: 'occurrence', labelKey: 'vm_sort_occurrence', fallbackLabel: '⏱ Appearance' },
   { key: 'frequency', labelKey: 'vm_sort_frequency', fallbackLabel: '📊 Frequency' },
   { key: 'word', labelKey: 'vm_sort_word', fallbackLabel: '🔤 A-Z' },
   { key: 'jlpt', labelKey: 'vm_sort_jlpt', fallbackLabel: '🎓 Difficulty' },
+  { key: 'help', labelKey: 'vm_sort_help', fallbackLabel: '❓ Needed help' },
 ];
 
 export async function initVocabModeTab() {
@@ -553,6 +706,7 @@ export async function initVocabModeTab() {
 
   refreshBtn.addEventListener('click', loadVocabMode);
   searchInput.addEventListener('input', filterVocabMode);
+  document.getElementById('vmKnownAllBtn').addEventListener('click', toggleAllKnownInVocabMode);
 
   document.querySelectorAll('.vm-jlpt-pill').forEach(pill => {
     pill.addEventListener('click', () => {
@@ -625,6 +779,8 @@ export function sortVocabMode() {
         if (!isNumA && isNumB) return -1;
         return wordA.localeCompare(wordB, 'ja');
       }
+      case 'help':
+        return (b.helpCount || 0) - (a.helpCount || 0);
       case 'jlpt': {
         const aJ = a.jlpt ? parseInt(a.jlpt) : 99;
         const bJ = b.jlpt ? parseInt(b.jlpt) : 99;
@@ -660,6 +816,7 @@ export async function renderVocabMode() {
   if (filteredVocabModeWords.length === 0) {
     list.innerHTML = '';
     emptyEl.classList.add('show');
+    updateKnownAllButton();
     return;
   }
 
@@ -667,23 +824,27 @@ export async function renderVocabMode() {
 
   let savedSet = new Set();
   try {
-    const { vocabulary = [] } = await chrome.storage.local.get(['vocabulary']);
-    savedSet = new Set(vocabulary.map(v => `${v.word}|${v.reading}`));
+    savedSet = await getVocabularyKeys();
   } catch (e) { /* ignore */ }
+  await loadKnownWords();
+  updateKnownAllButton();
 
   list.innerHTML = '';
 
   filteredVocabModeWords.forEach((word, index) => {
     const isSaved = savedSet.has(`${word.word}|${word.reading}`);
+    const isKnown = Boolean(knownWords[getKnownWordKey(word)]);
     const freqBadge = (word.frequency > 1)
       ? `<span class="vm-freq-badge">${word.frequency}×</span>` : '';
+    const helpBadge = word.helpCount
+      ? `<span class="vm-help-badge" title="${escapeHtml(t('vm_needed_help_title', [String(word.helpCount)], `Revealed in quiz mode ${word.helpCount}×`))}">?${word.helpCount}</span>` : '';
     const jlptTag = word.jlpt
       ? `<span class="vm-jlpt-tag jlpt-${word.jlpt}">N${word.jlpt}</span>` : '';
     const snippetHtml = word.snippet
       ? `<span class="vm-snippet">${escapeHtml(word.snippet)}</span>` : '';
 
     const row = document.createElement('div');
-    row.className = 'vm-row';
+    row.className = `vm-row${isKnown ? ' known' : ''}`;
     row.dataset.index = index;
     row.innerHTML = `
       <div class="vm-row-left">
@@ -695,12 +856,16 @@ export async function renderVocabMode() {
       </div>
       <div class="vm-row-right">
         ${freqBadge}
+        ${helpBadge}
         ${jlptTag}
         <div class="vm-actions">
           <button class="vm-action-btn save-btn${isSaved ? ' saved' : ''}" title="${escapeHtml(isSaved ? t('vm_saved', undefined, 'Saved') : t('vm_save_word', undefined, 'Save word'))}">${isSaved ? '✓' : '+'}</button>
           <button class="vm-action-btn play-btn" title="${escapeHtml(t('vm_play_pronunciation', undefined, 'Play pronunciation'))}">
             <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor"><path d="M3 9v6h4l5 5V4L7 9H3zm13.5 3c0-1.77-1.02-3.29-2.5-4.03v8.05c1.48-.73 2.5-2.25 2.5-4.02z"/></svg>
           </button>
+          <button class="vm-action-btn known-btn${isKnown ? ' known' : ''}" title="${escapeHtml(isKnown ? t('vm_unmark_known', undefined, 'Show furigana again') : t('vm_mark_known', undefined, 'Mark as known'))}">
+            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94"></path><path d="M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19"></path><line x1="1" y1="1" x2="23" y2="23"></line></svg>
+          </button>
           <button class="vm-action-btn jump-btn" title="${escapeHtml(t('vm_jump_to_word', undefined, 'Jump to word on page'))}">↗</button>
           <button class="vm-action-btn report-btn" title="${escapeHtml(t('report_button_title', undefined, 'Report Wrong Reading'))}">
             <svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="#ef4444" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1z"></path><line x1="4" y1="22" x2="4" y2="15"></line></svg>
@@ -724,6 +889,12 @@ export async function renderVocabMode() {
       playVocabAudio(word.word, word.reading, e.currentTarget);
     });
 
+    row.querySelector('.known-btn').addEventListener('click', async (e) => {
+      e.stopPropagation();
+      await setWordsKnown([word], !knownWords[getKnownWordKey(word)]);
+      renderVocabMode();
+    });
+
     row.querySelector('.jump-btn').addEventListener('click', async (e) => {
       e.stopPropagation();
       await scrollToWordOnPage(word);
@@ -738,6 +909,76 @@ export async function renderVocabMode() {
   });
 }
 
+// ── Needed-help log ───────────────────────────────────────────────────────────
+// Written by the content script when a word is revealed in quiz mode, same keys as known words.
+
+export let helpLog = {};
+
+export async function loadHelpLog() {
+  try {
+    const result = await chrome.storage.local.get(['helpLog']);
+    helpLog = result.helpLog || {};
+  } catch (err) {
+    console.error('Failed to load needed-help log:', err);
+    helpLog = {};
+  }
+  return helpLog;
+}
+
+// ── Known words ───────────────────────────────────────────────────────────────
+// Same dictForm|dictReading keys as the content script; the page listens to
+// storage.onChanged, so toggles here hide/show furigana without a re-fetch.
+
+export function getKnownWordKey(word) {
+  return `${word.word}|${word.reading || ''}`;
+}
+
+export async function loadKnownWords() {
+  try {
+    const result = await chrome.storage.local.get(['knownWords']);
+    knownWords = result.knownWords || {};
+  } catch (err) {
+    console.error('Failed to load known words:', err);
+    knownWords = {};
+  }
+  return knownWords;
+}
+
+export async function setWordsKnown(words, known) {
+  await loadKnownWords();
+  const now = Date.now();
+  words.forEach((word) => {
+    const key = getKnownWordKey(word);
+    if (known) {
+      knownWords[key] = { word: word.word, reading: word.reading || '', timestamp: now };
+    } else {
+      delete knownWords[key];
+    }
+  });
+  await chrome.storage.local.set({ knownWords });
+}
+
+function areAllFilteredWordsKnown() {
+  return filteredVocabModeWords.length > 0 &&
+    filteredVocabModeWords.every(word => knownWords[getKnownWordKey(word)]);
+}
+
+function updateKnownAllButton() {
+  const btn = document.getElementById('vmKnownAllBtn');
+  if (!btn) return;
+  btn.disabled = filteredVocabModeWords.length === 0;
+  btn.textContent = areAllFilteredWordsKnown()
+    ? t('vm_unmark_all_known', undefined, 'Unmark all')
+    : t('vm_mark_all_known', undefined, 'Mark all known');
+}
+
+// Bulk toggle acts on the current search/JLPT filter, not the whole page.
+export async function toggleAllKnownInVocabMode() {
+  if (filteredVocabModeWords.length === 0) return;
+  await setWordsKnown(filteredVocabModeWords, !areAllFilteredWordsKnown());
+  renderVocabMode();
+}
+
 export async function scrollToWordOnPage(word) {
   try {
     const tab = await getActiveTab();
@@ -783,10 +1024,7 @@ export async function addToVocabularyFromVocabMode(word, btn) {
       timestamp: Date.now()
     };
 
-    const result = await chrome.storage.local.get(['vocabulary']);
-    const vocabulary = result.vocabulary || [];
-    const existingIndex = vocabulary.findIndex(v => v.word === entry.word && v.reading === entry.reading);
-    if (existingIndex >= 0) {
+    if (await getVocabularyEntry(entry.word, entry.reading)) {
       btn.textContent = '✓';
       btn.classList.add('saved');
       btn.title = t('vm_already_saved', undefined, 'Already saved');
@@ -794,9 +1032,8 @@ export async function addToVocabularyFromVocabMode(word, btn) {
     }
 
     await attachDefinitionToEntry(entry);
-    vocabulary.unshift(entry);
-    if (vocabulary.length > 1000) vocabulary.length = 1000;
-    await chrome.storage.local.set({ vocabulary });
+    await saveVocabularyEntry(entry);
+    pushEntryToAnki(entry);
 
     btn.textContent = '✓';
     btn.classList.add('saved');
@@ -0,0 +1,248 @@
+/*
+Module: reader
+Purpose: Reader view page — show the main article of a tab as clean text with furigana, the dictionary tooltip and per-paragraph translations or word meanings.
+
+Inputs:
+- `?tabId=` of the source tab, whose content script answers `extractArticle`.
+- Settings merged with the article origin's site profile, and the reader font size / line height, from `chrome.storage.sync`.
+
+Outputs:
+- The rendered article, annotated by the regular content scripts that reader.html loads (buildBatches, background cache, tooltip, vocabulary saving).
+- Paragraph translations from the browser's on-device Translator API, or where there is none (Firefox, older Chrome) the paragraph's words with short glosses from the bundled dictionary (background `lookupGlosses`).
+
+Side Effects:
+- Writes `chrome.storage.sync.readerFontSize` and `readerLineHeight`.
+- Furigana requests, vocabulary entries and reports carry the article URL rather than this page's.
+
+Failure Modes:
+- A closed or navigated source tab, or a page without article text, leaves the article empty with an error status.
+- A paragraph whose furigana has not been applied yet has no words to gloss and says so.
+
+Security Notes:
+- Article text is inserted as text nodes only (lines separated by `<br>`); no page markup is copied.
+- Translation and gloss lookups run on-device; paragraphs are not sent to another service.
+*/
+// Reader view page script; runs after content-dom/-tooltip/-main, whose globals it calls.
+import { getSettingsForUrl } from './bg-sites.js';
+import { DEFAULT_SETTINGS, applyI18nToPopupDom, t } from './popup-settings.js';
+
+const READER_DEFAULTS = { readerFontSize: 20, readerLineHeight: 2.2 };
+const READER_SOURCE_LANGUAGE = 'ja';
+
+const sourceTabId = Number(new URLSearchParams(window.location.search).get('tabId'));
+let translatorPromise = null;
+
+function setReaderStatus(message, type = 'info') {
+  const status = document.getElementById('readerStatus');
+  status.textContent = message;
+  status.className = `reader-status${type === 'error' ? ' error' : ''}`;
+}
+
+// ── Appearance ────────────────────────────────────────────────────────────────
+
+function applyReaderAppearance({ readerFontSize, readerLineHeight }) {
+  const article = document.getElementById('readerArticle');
+  article.style.setProperty('--reader-font-size', `${readerFontSize}px`);
+  article.style.setProperty('--reader-line-height', String(readerLineHeight));
+}
+
+async function initReaderControls() {
+  const fontSizeInput = document.getElementById('readerFontSize');
+  const lineHeightInput = document.getElementById('readerLineHeight');
+  const stored = await chrome.storage.sync.get(READER_DEFAULTS);
+  fontSizeInput.value = String(stored.readerFontSize);
+  lineHeightInput.value = String(stored.readerLineHeight);
+  applyReaderAppearance(stored);
+
+  const save = () => {
+    const values = {
+      readerFontSize: Number(fontSizeInput.value) || READER_DEFAULTS.readerFontSize,
+      readerLineHeight: Number(lineHeightInput.value) || READER_DEFAULTS.readerLineHeight,
+    };
+    applyReaderAppearance(values);
+    chrome.storage.sync.set(values).catch(() => {});
+  };
+  fontSizeInput.addEventListener('input', save);
+  lineHeightInput.addEventListener('input', save);
+
+  document.getElementById('readerBackBtn').addEventListener('click', async () => {
+    await chrome.tabs.update(sourceTabId, { active: true }).catch(() => {});
+    const readerTab = await chrome.tabs.getCurrent();
+    if (readerTab?.id) chrome.tabs.remove(readerTab.id);
+  });
+}
+
+// ── Translation ───────────────────────────────────────────────────────────────
+// Chrome's built-in Translator (on-device). The first translation may download the language
+// model, which the browser only allows from a click, so the translator is created lazily.
+// Without it the button lists the paragraph's words with their short glosses instead.
+
+function canTranslate() {
+  return typeof self.Translator?.create === 'function';
+}
+
+function getTranslator() {
+  if (!translatorPromise) {
+    const uiLanguage = chrome.i18n.getUILanguage().split('-')[0];
+    translatorPromise = self.Translator.create({
+      sourceLanguage: READER_SOURCE_LANGUAGE,
+      targetLanguage: uiLanguage === READER_SOURCE_LANGUAGE ? 'en' : uiLanguage,
+    }).catch((err) => {
+      translatorPromise = null;
+      throw err;
+    });
+  }
+  return translatorPromise;
+}
+
+// One "word（reading）: gloss" line per distinct word the content scripts annotated in `block`.
+async function getWordGlossLines(block) {
+  const words = new Map();
+  block.querySelectorAll('[data-tsukeru-wrapper="1"] ruby').forEach((ruby) => {
+    // extractWordInfo is defined in content-tooltip.js
+    const { word, reading } = extractWordInfo(ruby);
+    if (word && !words.has(`${word}|${reading}`)) words.set(`${word}|${reading}`, { word, reading });
+  });
+  if (!words.size) return [];
+  // GLOSS_BATCH_SIZE is a const from content-dom.js
+  const requested = [...words].slice(0, GLOSS_BATCH_SIZE);
+  const response = await chrome.runtime.sendMessage({
+    action: 'lookupGlosses',
+    words: requested.map(([, word]) => word),
+  });
+  if (!response?.success) throw new Error(response?.error || 'Gloss lookup failed');
+  return requested
+    .filter(([key]) => response.glosses?.[key])
+    .map(([key, { word, reading }]) => `${word}（${reading}）: ${response.glosses[key]}`);
+}
+
+async function toggleTranslation(button, target, paragraph, block) {
+  const translatable = canTranslate();
+  const showLabel = translatable
+    ? t('reader_translate', undefined, 'Translate')
+    : t('reader_word_glosses', undefined, 'Word meanings');
+  if (!target.hidden) {
+    target.hidden = true;
+    button.textContent = showLabel;
+    return;
+  }
+  if (!target.textContent) {
+    button.disabled = true;
+    button.textContent = translatable
+      ? t('reader_translating', undefined, 'Translating...')
+      : t('content_loading', undefined, 'Loading...');
+    try {
+      if (translatable) {
+        target.textContent = await (await getTranslator()).translate(paragraph.text);
+      } else {
+        const lines = await getWordGlossLines(block);
+        if (lines.length) appendLines(target, lines);
+        else setReaderStatus(t('reader_word_glosses_empty', undefined, 'No dictionary meanings were found for this paragraph'));
+      }
+    } catch (err) {
+      console.warn('Tsukeru: translation failed', err);
+      setReaderStatus(t('reader_translate_failed', [err.message], `Translation failed: ${err.message}`), 'error');
+      button.textContent = showLabel;
+      return;
+    } finally {
+      button.disabled = false;
+    }
+    if (!target.textContent) {
+      button.textContent = showLabel;
+      return;
+    }
+  }
+  target.hidden = false;
+  button.textContent = translatable
+    ? t('reader_hide_translation', undefined, 'Hide translation')
+    : t('reader_hide_word_glosses', undefined, 'Hide meanings');
+}
+
+// ── Article ───────────────────────────────────────────────────────────────────
+
+// The page's own lines, split where it had <br>, so the content scripts build the same
+// analysis units (and cache keys) as on the page; the browser collapses their whitespace.
+function appendLines(element, lines) {
+  lines.forEach((line, i) => {
+    if (i) element.append(document.createElement('br'));
+    element.append(line);
+  });
+}
+
+function renderParagraph(paragraph, translatable) {
+  if (paragraph.type === 'heading') {
+    const heading = document.createElement('h2');
+    heading.className = 'reader-heading';
+    appendLines(heading, paragraph.lines);
+    return [heading];
+  }
+
+  const block = document.createElement('p');
+  block.className = 'reader-paragraph';
+  appendLines(block, paragraph.lines);
+
+  const translation = document.createElement('p');
+  translation.className = 'reader-translation';
+  translation.setAttribute('data-no-furigana', '');
+  translation.hidden = true;
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'secondary reader-translate-btn';
+  button.setAttribute('data-no-furigana', '');
+  button.textContent = translatable
+    ? t('reader_translate', undefined, 'Translate')
+    : t('reader_word_glosses', undefined, 'Word meanings');
+  button.title = translatable
+    ? ''
+    : t('reader_word_glosses_title', undefined, 'This browser has no built-in translator, so the paragraph\'s words are listed with their dictionary meanings');
+  button.addEventListener('click', () => toggleTranslation(button, translation, paragraph, block));
+
+  return [block, translation, button];
+}
+
+function renderArticle(article) {
+  // readerArticleUrl is a var declared in content-main.js (loaded on this page as a plain script)
+  readerArticleUrl = article.url;
+  document.title = article.title || article.siteName || document.title;
+
+  const source = document.getElementById('readerSource');
+  source.href = article.url;
+  source.textContent = article.siteName || article.url;
+  document.getElementById('readerTitle').textContent = article.title;
+
+  const translatable = canTranslate();
+  const body = document.getElementById('readerBody');
+  body.replaceChildren(...article.paragraphs.flatMap((paragraph) => renderParagraph(paragraph, translatable)));
+}
+
+async function loadArticle() {
+  if (!sourceTabId) throw new Error(t('reader_error_no_tab', undefined, 'The original page is no longer open'));
+  const response = await chrome.tabs.sendMessage(sourceTabId, { action: 'extractArticle' }).catch(() => null);
+  if (!response) throw new Error(t('reader_error_no_tab', undefined, 'The original page is no longer open'));
+  if (!response.article?.paragraphs?.length) {
+    throw new Error(t('reader_error_no_article', undefined, 'No article text was found on this page'));
+  }
+  return response.article;
+}
+
+async function initReader() {
+  applyI18nToPopupDom();
+  await initReaderControls();
+
+  try {
+    setReaderStatus(t('status_processing', undefined, 'Processing...'));
+    const article = await loadArticle();
+    renderArticle(article);
+    // Same pipeline, cache and site profile as the page itself; the article is static, so no observers.
+    const settings = await getSettingsForUrl(DEFAULT_SETTINGS, article.url);
+    const result = await applyFurigana({ ...settings, watchDynamic: false }, { quiet: true });
+    if (result?.error) throw new Error(result.error);
+    setReaderStatus(t('reader_ready', undefined, 'Furigana applied'));
+  } catch (err) {
+    console.error(err);
+    setReaderStatus(err.message, 'error');
+  }
+}
+
+initReader();
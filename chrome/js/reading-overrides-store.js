@@ -0,0 +1,79 @@
+/*
+Module: reading-overrides-store
+Purpose: Read and write the user's reading override list in its sharded `chrome.storage.sync` layout.
+
+Inputs:
+- Override entries `{ surface, reading, dictReading?, context?, site? }` and `chrome.storage.sync` contents.
+
+Outputs:
+- The stored override list, and whether a storage key belongs to it.
+
+Side Effects:
+- Writes `readingOverrides_<n>` shards plus their count and removes shards and the legacy key the list no longer uses.
+
+Failure Modes:
+- Writes fail once the list outgrows the total `chrome.storage.sync` quota.
+
+Security Notes:
+- Entries are stored as given; callers validate them (popup) or build them from the page's own ruby (content scripts).
+*/
+// ============================================================================
+// reading-overrides-store.js — storage layout shared by the content scripts and the popup
+// Loaded as a plain script (no import/export) before content-dom.js and before popup-main.js,
+// so both read the functions below from the shared global scope.
+// ============================================================================
+
+// The list is split across readingOverrides_0..n-1 (count in readingOverridesShards) so no single
+// item hits QUOTA_BYTES_PER_ITEM; lists saved before sharding live in the legacy single key.
+const READING_OVERRIDES_LEGACY_KEY = 'readingOverrides';
+const READING_OVERRIDES_SHARDS_KEY = 'readingOverridesShards';
+const READING_OVERRIDES_SHARD_PREFIX = 'readingOverrides_';
+const READING_OVERRIDES_SHARD_BYTES = 7000; // QUOTA_BYTES_PER_ITEM is 8192, key included
+
+function isReadingOverridesStorageKey(key) {
+  return key === READING_OVERRIDES_LEGACY_KEY || key === READING_OVERRIDES_SHARDS_KEY
+    || key.startsWith(READING_OVERRIDES_SHARD_PREFIX);
+}
+
+async function getStoredReadingOverrides() {
+  const stored = await chrome.storage.sync.get(null);
+  const count = stored[READING_OVERRIDES_SHARDS_KEY];
+  // Lists saved before sharding still sit in the single legacy key.
+  if (!Number.isInteger(count)) {
+    const legacy = stored[READING_OVERRIDES_LEGACY_KEY];
+    return Array.isArray(legacy) ? legacy : [];
+  }
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const shard = stored[READING_OVERRIDES_SHARD_PREFIX + i];
+    if (Array.isArray(shard)) entries.push(...shard);
+  }
+  return entries;
+}
+
+// Packs entries into shards below the per-item quota, then drops shards the list no longer needs.
+async function setStoredReadingOverrides(entries) {
+  const encoder = new TextEncoder();
+  const shards = [];
+  let shard = [];
+  let shardBytes = 2;
+  entries.forEach((entry) => {
+    const entryBytes = encoder.encode(JSON.stringify(entry)).length + 1;
+    if (shard.length && shardBytes + entryBytes > READING_OVERRIDES_SHARD_BYTES) {
+      shards.push(shard);
+      shard = [];
+      shardBytes = 2;
+    }
+    shard.push(entry);
+    shardBytes += entryBytes;
+  });
+  if (shard.length) shards.push(shard);
+
+  const items = { [READING_OVERRIDES_SHARDS_KEY]: shards.length };
+  shards.forEach((entriesInShard, i) => { items[READING_OVERRIDES_SHARD_PREFIX + i] = entriesInShard; });
+  await chrome.storage.sync.set(items);
+
+  const stale = Object.keys(await chrome.storage.sync.get(null)).filter((key) => key === READING_OVERRIDES_LEGACY_KEY
+    || (key.startsWith(READING_OVERRIDES_SHARD_PREFIX) && !(key in items)));
+  if (stale.length) await chrome.storage.sync.remove(stale);
+}
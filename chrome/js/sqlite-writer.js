@@ -0,0 +1,342 @@
+/*
+Module: sqlite-writer
+Purpose: Serialize small in-memory tables into a valid SQLite 3 database file without a SQLite runtime.
+
+Inputs:
+- Table definitions: name, CREATE TABLE SQL, rows (`{ rowid, values }`), and optional index definitions.
+
+Outputs:
+- A `Uint8Array` containing a complete, read-only-ready SQLite database image.
+
+Side Effects:
+- None.
+
+Failure Modes:
+- Throws when the schema rows do not fit on page 1 or a value type cannot be encoded.
+- Only supports writing a fresh database; there is no update or free-list handling.
+
+Security Notes:
+- Values are encoded as typed SQLite records; SQL text is only stored in `sqlite_master`, never executed.
+*/
+// Minimal SQLite file writer — table and index b-trees built bottom-up, 4 KiB pages, UTF-8 text.
+
+const PAGE_SIZE = 4096;
+const DATABASE_HEADER_SIZE = 100;
+const SQLITE_VERSION_NUMBER = 3045000;
+
+const TABLE_LEAF = 0x0d;
+const TABLE_INTERIOR = 0x05;
+const INDEX_LEAF = 0x0a;
+const INDEX_INTERIOR = 0x02;
+
+// Payload spill thresholds from the file-format spec (usable size = PAGE_SIZE, no reserved bytes).
+const TABLE_MAX_LOCAL = PAGE_SIZE - 35;
+const INDEX_MAX_LOCAL = Math.floor(((PAGE_SIZE - 12) * 64) / 255) - 23;
+const MIN_LOCAL = Math.floor(((PAGE_SIZE - 12) * 32) / 255) - 23;
+
+const textEncoder = new TextEncoder();
+
+// ── Encoding helpers ──────────────────────────────────────────────────────────
+
+function concatBytes(parts) {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+// SQLite varints are big-endian base-128; non-negative values below 2^56 never need the 9-byte form.
+function encodeVarint(value) {
+  const bytes = [];
+  let remaining = value;
+  do {
+    bytes.unshift(remaining % 128);
+    remaining = Math.floor(remaining / 128);
+  } while (remaining > 0);
+  for (let i = 0; i < bytes.length - 1; i++) bytes[i] |= 0x80;
+  return Uint8Array.from(bytes);
+}
+
+function uint32(value) {
+  const out = new Uint8Array(4);
+  new DataView(out.buffer).setUint32(0, value);
+  return out;
+}
+
+function encodeInteger(value) {
+  if (value === 0) return { type: 8, body: new Uint8Array(0) };
+  if (value === 1) return { type: 9, body: new Uint8Array(0) };
+  const widths = [[1, 1], [2, 2], [3, 3], [4, 4], [5, 6], [6, 8]];
+  for (const [type, width] of widths) {
+    const limit = 2 ** (width * 8 - 1);
+    if (value >= -limit && value < limit) {
+      const body = new Uint8Array(width);
+      let big = BigInt.asUintN(width * 8, BigInt(value));
+      for (let i = width - 1; i >= 0; i--) {
+        body[i] = Number(big & 0xffn);
+        big >>= 8n;
+      }
+      return { type, body };
+    }
+  }
+  throw new Error(`Integer out of range: ${value}`);
+}
+
+function encodeValue(value) {
+  if (value === null || value === undefined) return { type: 0, body: new Uint8Array(0) };
+  if (typeof value === 'number') {
+    if (Number.isSafeInteger(value)) return encodeInteger(value);
+    const body = new Uint8Array(8);
+    new DataView(body.buffer).setFloat64(0, value);
+    return { type: 7, body };
+  }
+  if (typeof value === 'string') {
+    const body = textEncoder.encode(value);
+    return { type: body.length * 2 + 13, body };
+  }
+  if (value instanceof Uint8Array) return { type: value.length * 2 + 12, body: value };
+  throw new Error(`Unsupported SQLite value type: ${typeof value}`);
+}
+
+function encodeRecord(values) {
+  const encoded = values.map(encodeValue);
+  const typeBytes = concatBytes(encoded.map(({ type }) => encodeVarint(type)));
+  // The header length includes its own varint, which can grow by a byte at the boundary.
+  let headerSize = typeBytes.length + 1;
+  if (encodeVarint(headerSize).length > 1) headerSize = typeBytes.length + encodeVarint(typeBytes.length + 2).length;
+  return concatBytes([encodeVarint(headerSize), typeBytes, ...encoded.map(({ body }) => body)]);
+}
+
+// Record sort order for index keys: NULL < numbers < text < blob, text by byte comparison (BINARY).
+function compareValues(a, b) {
+  const rank = (value) => {
+    if (value === null || value === undefined) return 0;
+    if (typeof value === 'number') return 1;
+    if (typeof value === 'string') return 2;
+    return 3;
+  };
+  const rankDiff = rank(a) - rank(b);
+  if (rankDiff !== 0) return rankDiff;
+  if (rank(a) === 0) return 0;
+  if (rank(a) === 1) return a - b;
+  const left = typeof a === 'string' ? textEncoder.encode(a) : a;
+  const right = typeof b === 'string' ? textEncoder.encode(b) : b;
+  for (let i = 0; i < Math.min(left.length, right.length); i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return left.length - right.length;
+}
+
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    const diff = compareValues(a[i], b[i]);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+// ── Page building ─────────────────────────────────────────────────────────────
+
+function allocatePage(ctx, bytes = null) {
+  ctx.pages.push(bytes);
+  return ctx.pages.length;
+}
+
+function writeOverflowChain(ctx, bytes) {
+  const chunkSize = PAGE_SIZE - 4;
+  const pageNumbers = [];
+  for (let offset = 0; offset < bytes.length; offset += chunkSize) pageNumbers.push(allocatePage(ctx));
+  pageNumbers.forEach((pageNumber, i) => {
+    const page = new Uint8Array(PAGE_SIZE);
+    new DataView(page.buffer).setUint32(0, pageNumbers[i + 1] || 0);
+    page.set(bytes.subarray(i * chunkSize, (i + 1) * chunkSize), 4);
+    ctx.pages[pageNumber - 1] = page;
+  });
+  return pageNumbers[0];
+}
+
+// Payload bytes as stored in a cell: size varint, local portion, and an overflow pointer when it spills.
+function buildPayloadBody(ctx, payload, maxLocal) {
+  let local = payload.length;
+  if (payload.length > maxLocal) {
+    const candidate = MIN_LOCAL + ((payload.length - MIN_LOCAL) % (PAGE_SIZE - 4));
+    local = candidate <= maxLocal ? candidate : MIN_LOCAL;
+  }
+  const parts = [encodeVarint(payload.length), payload.subarray(0, local)];
+  if (local < payload.length) parts.push(uint32(writeOverflowChain(ctx, payload.subarray(local))));
+  return concatBytes(parts);
+}
+
+function buildTableLeafCell(ctx, rowid, payload) {
+  const body = buildPayloadBody(ctx, payload, TABLE_MAX_LOCAL);
+  const sizeLength = encodeVarint(payload.length).length;
+  // Table leaf cells put the rowid between the payload size and the payload itself.
+  return concatBytes([body.subarray(0, sizeLength), encodeVarint(rowid), body.subarray(sizeLength)]);
+}
+
+function cellsFit(cells, headerSize, headerOffset = 0) {
+  return headerOffset + headerSize + cells.reduce((sum, cell) => sum + 2 + cell.length, 0) <= PAGE_SIZE;
+}
+
+function renderBtreePage(type, cells, rightChild = 0, headerOffset = 0) {
+  const interior = type === TABLE_INTERIOR || type === INDEX_INTERIOR;
+  const headerSize = interior ? 12 : 8;
+  if (!cellsFit(cells, headerSize, headerOffset)) throw new Error('SQLite page overflow');
+
+  const page = new Uint8Array(PAGE_SIZE);
+  const view = new DataView(page.buffer);
+  let contentStart = PAGE_SIZE;
+  cells.forEach((cell, i) => {
+    contentStart -= cell.length;
+    page.set(cell, contentStart);
+    view.setUint16(headerOffset + headerSize + i * 2, contentStart);
+  });
+  page[headerOffset] = type;
+  view.setUint16(headerOffset + 3, cells.length);
+  view.setUint16(headerOffset + 5, contentStart);
+  if (interior) view.setUint32(headerOffset + 8, rightChild);
+  return page;
+}
+
+// Collapse one level of child pages into interior pages until a single root remains.
+// `separators[i]` is the cell body that sits between child i and child i + 1; bodies at
+// group boundaries move up to the next level (index trees) or are re-used as keys (table trees).
+function buildInteriorLevels(ctx, childPages, separators, type) {
+  let pages = childPages;
+  let seps = separators;
+  while (pages.length > 1) {
+    const groups = [];
+    let start = 0;
+    while (start < pages.length) {
+      let end = start;
+      let used = 12;
+      while (end + 1 < pages.length && used + 2 + 4 + seps[end].length <= PAGE_SIZE) {
+        used += 2 + 4 + seps[end].length;
+        end++;
+      }
+      groups.push([start, end]);
+      start = end + 1;
+    }
+    // An interior page needs at least one cell; borrow the previous group's last child.
+    const last = groups[groups.length - 1];
+    if (groups.length > 1 && last[0] === last[1]) {
+      groups[groups.length - 2][1]--;
+      last[0]--;
+    }
+
+    const nextPages = [];
+    const nextSeps = [];
+    groups.forEach(([groupStart, groupEnd], groupIndex) => {
+      const cells = [];
+      for (let i = groupStart; i < groupEnd; i++) cells.push(concatBytes([uint32(pages[i]), seps[i]]));
+      nextPages.push(allocatePage(ctx, renderBtreePage(type, cells, pages[groupEnd])));
+      if (groupIndex < groups.length - 1) nextSeps.push(seps[groupEnd]);
+    });
+    pages = nextPages;
+    seps = nextSeps;
+  }
+  return pages[0];
+}
+
+function buildTableBtree(ctx, rows) {
+  const sorted = [...rows].sort((a, b) => a.rowid - b.rowid);
+  const leaves = [];
+  let cells = [];
+  let maxRowid = 0;
+  const flush = () => {
+    leaves.push({ page: allocatePage(ctx, renderBtreePage(TABLE_LEAF, cells)), maxRowid });
+    cells = [];
+  };
+  for (const row of sorted) {
+    const cell = buildTableLeafCell(ctx, row.rowid, encodeRecord(row.values));
+    if (cells.length && !cellsFit([...cells, cell], 8)) flush();
+    cells.push(cell);
+    maxRowid = row.rowid;
+  }
+  if (cells.length || !leaves.length) flush();
+
+  const separators = leaves.slice(0, -1).map((leaf) => encodeVarint(leaf.maxRowid));
+  return buildInteriorLevels(ctx, leaves.map((leaf) => leaf.page), separators, TABLE_INTERIOR);
+}
+
+function buildIndexBtree(ctx, entries) {
+  const sorted = [...entries].sort((a, b) => compareKeys(a.key, b.key));
+  const bodies = sorted.map((entry) => buildPayloadBody(ctx, encodeRecord(entry.key), INDEX_MAX_LOCAL));
+  const leaves = [[]];
+  const separators = [];
+
+  for (const body of bodies) {
+    const current = leaves[leaves.length - 1];
+    if (current.length && !cellsFit([...current, body], 8)) {
+      // The entry that did not fit becomes the divider between this leaf and the next.
+      separators.push(body);
+      leaves.push([]);
+      continue;
+    }
+    current.push(body);
+  }
+  // A divider taken from the very end leaves the last leaf empty; shift one cell across it.
+  if (leaves.length > 1 && !leaves[leaves.length - 1].length) {
+    leaves[leaves.length - 1].push(separators.pop());
+    separators.push(leaves[leaves.length - 2].pop());
+  }
+
+  const leafPages = leaves.map((cells) => allocatePage(ctx, renderBtreePage(INDEX_LEAF, cells)));
+  return buildInteriorLevels(ctx, leafPages, separators, INDEX_INTERIOR);
+}
+
+function buildDatabaseHeader(pageCount) {
+  const header = new Uint8Array(DATABASE_HEADER_SIZE);
+  const view = new DataView(header.buffer);
+  header.set(textEncoder.encode('SQLite format 3\0'), 0);
+  view.setUint16(16, PAGE_SIZE);
+  header[18] = 1; // legacy (rollback journal) write version
+  header[19] = 1; // legacy read version
+  header[20] = 0; // reserved bytes per page
+  header[21] = 64;
+  header[22] = 32;
+  header[23] = 32;
+  view.setUint32(24, 1); // file change counter
+  view.setUint32(28, pageCount);
+  view.setUint32(40, 1); // schema cookie
+  view.setUint32(44, 4); // schema format
+  view.setUint32(56, 1); // UTF-8
+  view.setUint32(92, 1); // version-valid-for (matches the change counter)
+  view.setUint32(96, SQLITE_VERSION_NUMBER);
+  return header;
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Build a SQLite database image.
+ * tables: [{ name, sql, rows: [{ rowid, values }], indexes: [{ name, sql, columns: [columnIndex] }] }]
+ * An INTEGER PRIMARY KEY column must be passed as `null` in `values`; its value lives in `rowid`.
+ */
+export function buildSqliteDatabase(tables) {
+  const ctx = { pages: [null] }; // page 1 holds the header and sqlite_master, rendered last
+  const schemaRows = [];
+
+  for (const table of tables) {
+    const rows = table.rows.map((row, i) => ({ rowid: row.rowid ?? i + 1, values: row.values }));
+    const rootPage = buildTableBtree(ctx, rows);
+    schemaRows.push(['table', table.name, table.name, rootPage, table.sql]);
+
+    for (const index of table.indexes || []) {
+      const entries = rows.map((row) => ({ key: [...index.columns.map((column) => row.values[column]), row.rowid] }));
+      schemaRows.push(['index', index.name, table.name, buildIndexBtree(ctx, entries), index.sql]);
+    }
+  }
+
+  const schemaCells = schemaRows.map((values, i) => buildTableLeafCell(ctx, i + 1, encodeRecord(values)));
+  if (!cellsFit(schemaCells, 8, DATABASE_HEADER_SIZE)) throw new Error('SQLite schema does not fit on page 1');
+  const firstPage = renderBtreePage(TABLE_LEAF, schemaCells, 0, DATABASE_HEADER_SIZE);
+  firstPage.set(buildDatabaseHeader(ctx.pages.length), 0);
+  ctx.pages[0] = firstPage;
+
+  return concatBytes(ctx.pages);
+}
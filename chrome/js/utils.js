@@ -1,12 +1,12 @@
 /*
 Module: utils
-Purpose: Provide shared helpers for kana normalization, escaping, timing, IDs, and safe furigana HTML sanitization.
+Purpose: Provide shared helpers for kana normalization and reading-script conversion, escaping, timing, IDs, and safe furigana HTML sanitization.
 
 Inputs:
 - Raw strings, HTML fragments, and timing values.
 
 Outputs:
-- Normalized text, escaped/sanitized HTML, generated IDs, and sleep promises.
+- Normalized text, katakana/romaji readings, escaped/sanitized HTML, generated IDs, and sleep promises.
 
 Side Effects:
 - None.
@@ -17,14 +17,147 @@ Failure Modes:
 Security Notes:
 - Sanitizer enforces a strict allowlist to reduce HTML injection risk.
 */
-// Shared utility functions for all extension contexts.
+// Shared utility functions for all extension contexts. Content scripts load this module with
+// import() for the reading-script converter, so it must stay free of imports and chrome.* calls.
 // NOTE: escapeHtml and sanitizeSafeFuriganaHtml are DOM-dependent;
-//       they must not be called from the service worker (bg-api.js imports kata2hira only).
+//       they must not be called from the service worker (background modules import the kana helpers only).
 
 export function kata2hira(str) {
   return (str || '').replace(/[\u30a1-\u30f6]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60));
 }
 
+export function hira2kata(str) {
+  return (str || '').replace(/[\u3041-\u3096]/g, ch => String.fromCharCode(ch.charCodeAt(0) + 0x60));
+}
+
+// ── Reading scripts ───────────────────────────────────────────────────────────
+// Readings are fetched and cached in hiragana and converted for display.
+
+const ROMAJI_BASE = {
+  あ: 'a', い: 'i', う: 'u', え: 'e', お: 'o',
+  か: 'ka', き: 'ki', く: 'ku', け: 'ke', こ: 'ko',
+  さ: 'sa', し: 'si', す: 'su', せ: 'se', そ: 'so',
+  た: 'ta', ち: 'ti', つ: 'tu', て: 'te', と: 'to',
+  な: 'na', に: 'ni', ぬ: 'nu', ね: 'ne', の: 'no',
+  は: 'ha', ひ: 'hi', ふ: 'hu', へ: 'he', ほ: 'ho',
+  ま: 'ma', み: 'mi', む: 'mu', め: 'me', も: 'mo',
+  や: 'ya', ゆ: 'yu', よ: 'yo',
+  ら: 'ra', り: 'ri', る: 'ru', れ: 're', ろ: 'ro',
+  わ: 'wa', ゐ: 'wi', ゑ: 'we', を: 'wo',
+  が: 'ga', ぎ: 'gi', ぐ: 'gu', げ: 'ge', ご: 'go',
+  ざ: 'za', じ: 'zi', ず: 'zu', ぜ: 'ze', ぞ: 'zo',
+  だ: 'da', ぢ: 'di', づ: 'du', で: 'de', ど: 'do',
+  ば: 'ba', び: 'bi', ぶ: 'bu', べ: 'be', ぼ: 'bo',
+  ぱ: 'pa', ぴ: 'pi', ぷ: 'pu', ぺ: 'pe', ぽ: 'po',
+  ゔ: 'vu', ゕ: 'ka', ゖ: 'ke', ゎ: 'wa',
+  ぁ: 'a', ぃ: 'i', ぅ: 'u', ぇ: 'e', ぉ: 'o', ゃ: 'ya', ゅ: 'yu', ょ: 'yo',
+};
+
+// The table above is Nihon-shiki; Kunrei and Hepburn differ only in these syllables.
+const ROMAJI_SYSTEM_OVERRIDES = {
+  nihonshiki: {},
+  kunrei: { ぢ: 'zi', づ: 'zu', ゐ: 'i', ゑ: 'e', を: 'o' },
+  hepburn: { し: 'shi', ち: 'chi', つ: 'tsu', ふ: 'fu', じ: 'ji', ぢ: 'ji', づ: 'zu', ゐ: 'i', ゑ: 'e', を: 'o' },
+};
+
+const ROMAJI_LONG_VOWELS = {
+  nihonshiki: { a: 'â', i: 'î', u: 'û', e: 'ê', o: 'ô' },
+  kunrei: { a: 'â', i: 'î', u: 'û', e: 'ê', o: 'ô' },
+  hepburn: { a: 'ā', i: 'ī', u: 'ū', e: 'ē', o: 'ō' },
+};
+
+// Kana followed by a small vowel (mostly loanword sounds such as ティ, ファ, ヴォ) are spelled
+// from this list, never by swapping the vowel of the first kana: ふぁ is fa even where ふ is hu.
+const ROMAJI_COMBINATIONS = {
+  てぃ: 'ti', でぃ: 'di', とぅ: 'tu', どぅ: 'du', てゅ: 'tyu', でゅ: 'dyu',
+  ふぁ: 'fa', ふぃ: 'fi', ふぇ: 'fe', ふぉ: 'fo', ふゅ: 'fyu',
+  うぃ: 'wi', うぇ: 'we', うぉ: 'wo', いぇ: 'ye',
+  ゔぁ: 'va', ゔぃ: 'vi', ゔぇ: 've', ゔぉ: 'vo', ゔゅ: 'vyu',
+  つぁ: 'tsa', つぃ: 'tsi', つぇ: 'tse', つぉ: 'tso',
+  くぁ: 'kwa', くぃ: 'kwi', くぇ: 'kwe', くぉ: 'kwo', ぐぁ: 'gwa',
+};
+
+// Combinations whose spelling follows the system's own し/じ/ち row.
+const ROMAJI_SYSTEM_COMBINATIONS = {
+  nihonshiki: { しぇ: 'sye', じぇ: 'zye', ちぇ: 'tye', ぢぇ: 'dye' },
+  kunrei: { しぇ: 'sye', じぇ: 'zye', ちぇ: 'tye', ぢぇ: 'zye' },
+  hepburn: { しぇ: 'she', じぇ: 'je', ちぇ: 'che', ぢぇ: 'je' },
+};
+
+// Vowel kana that lengthen the vowel before them. いい and えい stay spelled out.
+const ROMAJI_LENGTHENERS = { a: ['あ'], u: ['う'], e: ['え'], o: ['う', 'お'] };
+
+// Hepburn (modified), Kunrei-shiki or Nihon-shiki romaji for a kana reading: ゃゅょ join the
+// い-row syllable before them, a small vowel spells a ROMAJI_COMBINATIONS syllable with the kana
+// before it, っ doubles the next consonant (っち → tchi in Hepburn), ん takes an apostrophe before a vowel or y, and long vowels (ー, おう, うう…) get a macron or circumflex.
+// A vowel kana at `stemLength` starts a verb ending and never lengthens the stem's last vowel.
+export function kanaToRomaji(kana, system = 'hepburn', stemLength = -1) {
+  const table = { ...ROMAJI_BASE, ...(ROMAJI_SYSTEM_OVERRIDES[system] || ROMAJI_SYSTEM_OVERRIDES.hepburn) };
+  const longVowels = ROMAJI_LONG_VOWELS[system] || ROMAJI_LONG_VOWELS.hepburn;
+  const combinations = {
+    ...ROMAJI_COMBINATIONS,
+    ...(ROMAJI_SYSTEM_COMBINATIONS[system] || ROMAJI_SYSTEM_COMBINATIONS.hepburn),
+  };
+  const chars = Array.from(kata2hira(kana));
+
+  const syllables = [];
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i];
+    const next = chars[i + 1];
+    if (ch === 'っ' || ch === 'ん' || ch === 'ー') {
+      syllables.push({ mark: ch, romaji: '' });
+      continue;
+    }
+    const start = i;
+    let romaji = table[ch];
+    if (romaji === undefined) {
+      syllables.push({ romaji: ch });
+      continue;
+    }
+    if (next && combinations[ch + next]) {
+      romaji = combinations[ch + next];
+      i++;
+    } else if (next && 'ゃゅょ'.includes(next) && romaji.length > 1 && romaji.endsWith('i')) {
+      const stem = romaji.slice(0, -1);
+      const vowel = table[next].slice(1);
+      romaji = /(sh|ch|j)$/.test(stem) ? stem + vowel : `${stem}y${vowel}`;
+      i++;
+    }
+    syllables.push({ kana: ch, romaji, start });
+  }
+
+  let result = '';
+  syllables.forEach(({ mark, kana: source, romaji, start }, index) => {
+    const following = syllables[index + 1]?.romaji || '';
+    const lastVowel = result.slice(-1);
+    const lengthened = longVowels[lastVowel];
+    if (mark === 'っ') {
+      if (/^[bcdfghjklmpqrstvwxz]/.test(following)) result += following.startsWith('ch') ? 't' : following[0];
+    } else if (mark === 'ん') {
+      result += /^[aiueoy]/.test(following) ? "n'" : 'n';
+    } else if (mark === 'ー') {
+      if (lengthened) result = result.slice(0, -1) + lengthened;
+    } else if (lengthened && ROMAJI_LENGTHENERS[lastVowel]?.includes(source) && index > 0 && !syllables[index - 1].mark
+      && start !== stemLength) {
+      result = result.slice(0, -1) + lengthened;
+    } else {
+      result += romaji;
+    }
+  });
+  return result;
+}
+
+// `script` is the furiganaType setting: hiragana (as stored), katakana, romaji (Hepburn), kunrei or nihonshiki.
+export function convertReading(reading, script = 'hiragana', stemLength = -1) {
+  switch (script) {
+    case 'katakana': return hira2kata(reading);
+    case 'romaji': return kanaToRomaji(reading, 'hepburn', stemLength);
+    case 'kunrei': return kanaToRomaji(reading, 'kunrei', stemLength);
+    case 'nihonshiki': return kanaToRomaji(reading, 'nihonshiki', stemLength);
+    default: return reading || '';
+  }
+}
+
 export function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text || '';
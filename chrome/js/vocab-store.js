@@ -0,0 +1,264 @@
+/*
+Module: vocab-store
+Purpose: Persist saved vocabulary in an indexed IndexedDB store shared by the background and popup contexts.
+
+Inputs:
+- Vocabulary entries, lookup keys (id, word/reading), paging options, and filter predicates.
+- Legacy `chrome.storage.local.vocabulary` arrays for one-time migration.
+
+Outputs:
+- Stored/merged entries, paged entry lists, counts, and saved-word key sets.
+
+Side Effects:
+- Opens the `tsukeru-vocab` IndexedDB database and reads/writes entries.
+- Moves legacy `chrome.storage.local.vocabulary` into IndexedDB and removes the old key.
+
+Failure Modes:
+- IndexedDB open/transaction failures reject so callers can surface save/delete errors.
+- Migration failures leave the legacy array in place and are retried on the next open.
+
+Security Notes:
+- Must only be imported from extension-origin contexts; content scripts go through background messages
+  (their IndexedDB belongs to the page origin).
+*/
+// IndexedDB vocabulary store — one record per (word, reading), newest-first paging.
+import { generateEntryId } from './utils.js';
+
+const VOCAB_DB_NAME = 'tsukeru-vocab';
+const VOCAB_STORE = 'entries';
+
+let dbPromise = null;
+let migrationPromise = null;
+
+function openVocabDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(VOCAB_DB_NAME, 1);
+      req.onupgradeneeded = (e) => {
+        const store = e.target.result.createObjectStore(VOCAB_STORE, { keyPath: 'id' });
+        store.createIndex('wordReading', ['word', 'reading'], { unique: true });
+        store.createIndex('word', 'word');
+        store.createIndex('reading', 'reading');
+        store.createIndex('jlpt', 'jlpt');
+        store.createIndex('url', 'url');
+        store.createIndex('timestamp', 'timestamp');
+      };
+      req.onsuccess = (e) => resolve(e.target.result);
+      req.onerror = (e) => {
+        dbPromise = null;
+        reject(e.target.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Coerce the unique-key fields to strings so every record is indexable.
+function normalizeEntry(entry) {
+  return {
+    ...entry,
+    id: entry.id || generateEntryId(),
+    word: String(entry.word || '').trim(),
+    reading: String(entry.reading || '').trim(),
+    timestamp: entry.timestamp || Date.now(),
+  };
+}
+
+async function migrateLegacyVocabulary(db) {
+  const { vocabulary } = await chrome.storage.local.get(['vocabulary']);
+  if (!Array.isArray(vocabulary)) return;
+
+  // Legacy arrays are newest-first; fold oldest first so newer duplicates win.
+  const merged = new Map();
+  [...vocabulary].reverse().forEach((legacy) => {
+    const entry = normalizeEntry(legacy);
+    if (!entry.word) return;
+    const key = `${entry.word}|${entry.reading}`;
+    const existing = merged.get(key);
+    merged.set(key, existing ? { ...existing, ...entry, id: legacy.id || existing.id } : entry);
+  });
+
+  const tx = db.transaction(VOCAB_STORE, 'readwrite');
+  const store = tx.objectStore(VOCAB_STORE);
+  const index = store.index('wordReading');
+  merged.forEach((entry) => {
+    index.get([entry.word, entry.reading]).onsuccess = (e) => {
+      const existing = e.target.result;
+      store.put(existing ? { ...existing, ...entry, id: existing.id } : entry);
+    };
+  });
+  await transactionDone(tx);
+  await chrome.storage.local.remove('vocabulary');
+}
+
+async function getVocabDB() {
+  const db = await openVocabDB();
+  if (!migrationPromise) {
+    migrationPromise = migrateLegacyVocabulary(db).catch((err) => {
+      migrationPromise = null;
+      console.error('Tsukeru: vocabulary migration failed', err);
+    });
+  }
+  await migrationPromise;
+  return db;
+}
+
+// ── Reads ─────────────────────────────────────────────────────────────────────
+
+export async function getVocabularyEntry(word, reading) {
+  const db = await getVocabDB();
+  const index = db.transaction(VOCAB_STORE, 'readonly').objectStore(VOCAB_STORE).index('wordReading');
+  return (await requestToPromise(index.get([String(word || '').trim(), String(reading || '').trim()]))) || null;
+}
+
+export async function getVocabularyEntryById(id) {
+  const db = await getVocabDB();
+  const store = db.transaction(VOCAB_STORE, 'readonly').objectStore(VOCAB_STORE);
+  return (await requestToPromise(store.get(id))) || null;
+}
+
+export async function hasVocabularyWord(word) {
+  const db = await getVocabDB();
+  const index = db.transaction(VOCAB_STORE, 'readonly').objectStore(VOCAB_STORE).index('word');
+  return (await requestToPromise(index.count(String(word || '').trim()))) > 0;
+}
+
+export async function countVocabulary() {
+  const db = await getVocabDB();
+  return requestToPromise(db.transaction(VOCAB_STORE, 'readonly').objectStore(VOCAB_STORE).count());
+}
+
+// Newest-first entries; returns everything when no limit is given.
+export async function getAllVocabulary() {
+  const { entries } = await getVocabularyPage({ offset: 0, limit: Infinity });
+  return entries;
+}
+
+// Newest-first page of entries. `filter` is applied before offset/limit so search results page correctly.
+export async function getVocabularyPage({ offset = 0, limit = 50, filter = null } = {}) {
+  const db = await getVocabDB();
+  const index = db.transaction(VOCAB_STORE, 'readonly').objectStore(VOCAB_STORE).index('timestamp');
+
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    let skipped = 0;
+    let advanced = filter || offset === 0;
+    const req = index.openCursor(null, 'prev');
+    req.onerror = () => reject(req.error);
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve({ entries, hasMore: false });
+      // Unfiltered pages can jump straight to the offset.
+      if (!advanced) {
+        advanced = true;
+        cursor.advance(offset);
+        return;
+      }
+      const entry = cursor.value;
+      if (!filter || filter(entry)) {
+        if (filter && skipped < offset) {
+          skipped++;
+        } else if (entries.length >= limit) {
+          return resolve({ entries, hasMore: true });
+        } else {
+          entries.push(entry);
+        }
+      }
+      cursor.continue();
+    };
+  });
+}
+
+// `${word}|${reading}` keys for every saved entry, read from the unique index without loading records.
+export async function getVocabularyKeys() {
+  const db = await getVocabDB();
+  const index = db.transaction(VOCAB_STORE, 'readonly').objectStore(VOCAB_STORE).index('wordReading');
+  return new Promise((resolve, reject) => {
+    const keys = new Set();
+    const req = index.openKeyCursor();
+    req.onerror = () => reject(req.error);
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve(keys);
+      keys.add(`${cursor.key[0]}|${cursor.key[1]}`);
+      cursor.continue();
+    };
+  });
+}
+
+// ── Writes ────────────────────────────────────────────────────────────────────
+
+// Insert or merge by (word, reading). Existing fields such as `srs` survive a re-save.
+export async function saveVocabularyEntry(entry) {
+  const db = await getVocabDB();
+  const incoming = normalizeEntry(entry);
+  const tx = db.transaction(VOCAB_STORE, 'readwrite');
+  const store = tx.objectStore(VOCAB_STORE);
+  let saved = incoming;
+  store.index('wordReading').get([incoming.word, incoming.reading]).onsuccess = (e) => {
+    const existing = e.target.result;
+    saved = existing
+      ? { ...existing, ...incoming, id: existing.id, timestamp: Date.now() }
+      : incoming;
+    store.put(saved);
+  };
+  await transactionDone(tx);
+  return saved;
+}
+
+export async function updateVocabularyEntry(id, changes) {
+  const db = await getVocabDB();
+  const tx = db.transaction(VOCAB_STORE, 'readwrite');
+  const store = tx.objectStore(VOCAB_STORE);
+  let updated = null;
+  store.get(id).onsuccess = (e) => {
+    if (!e.target.result) return;
+    updated = { ...e.target.result, ...changes, id };
+    store.put(updated);
+  };
+  await transactionDone(tx);
+  return updated;
+}
+
+export async function deleteVocabularyEntry(id) {
+  const db = await getVocabDB();
+  const tx = db.transaction(VOCAB_STORE, 'readwrite');
+  tx.objectStore(VOCAB_STORE).delete(id);
+  await transactionDone(tx);
+}
+
+// Removes every reading saved under a word; returns how many entries were deleted.
+export async function removeVocabularyWord(word) {
+  const db = await getVocabDB();
+  const tx = db.transaction(VOCAB_STORE, 'readwrite');
+  const store = tx.objectStore(VOCAB_STORE);
+  let removed = 0;
+  store.index('word').getAllKeys(String(word || '').trim()).onsuccess = (e) => {
+    e.target.result.forEach((id) => store.delete(id));
+    removed = e.target.result.length;
+  };
+  await transactionDone(tx);
+  return removed;
+}
+
+export async function clearVocabulary() {
+  const db = await getVocabDB();
+  const tx = db.transaction(VOCAB_STORE, 'readwrite');
+  tx.objectStore(VOCAB_STORE).clear();
+  await transactionDone(tx);
+}
@@ -0,0 +1,117 @@
+/*
+Module: zip-writer
+Purpose: Package in-memory files into an uncompressed (stored) ZIP archive.
+
+Inputs:
+- File entries: `{ name, data }` where `data` is a `Uint8Array` or string.
+
+Outputs:
+- A `Uint8Array` containing the ZIP archive.
+
+Side Effects:
+- None.
+
+Failure Modes:
+- Throws when the archive would exceed classic ZIP limits (4 GiB / 65535 entries); ZIP64 is not written.
+
+Security Notes:
+- Entry names are written as given; callers must not pass user-controlled paths.
+*/
+// Minimal ZIP writer — stored entries, CRC-32, UTF-8 names.
+
+const ZIP_MAX_ENTRIES = 0xffff;
+const ZIP_MAX_SIZE = 0xffffffff;
+
+const textEncoder = new TextEncoder();
+let crcTable = null;
+
+function getCrcTable() {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  return crcTable;
+}
+
+export function crc32(bytes) {
+  const table = getCrcTable();
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function toDosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+export function createZip(files, date = new Date()) {
+  if (files.length > ZIP_MAX_ENTRIES) throw new Error('Too many files for a ZIP archive');
+  const { time, day } = toDosDateTime(date);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = textEncoder.encode(file.name);
+    const data = typeof file.data === 'string' ? textEncoder.encode(file.data) : file.data;
+    const crc = crc32(data);
+
+    const local = new Uint8Array(30 + name.length);
+    const localView = new DataView(local.buffer);
+    localView.setUint32(0, 0x04034b50, true);
+    localView.setUint16(4, 20, true); // version needed
+    localView.setUint16(6, 0x0800, true); // UTF-8 names
+    localView.setUint16(8, 0, true); // stored
+    localView.setUint16(10, time, true);
+    localView.setUint16(12, day, true);
+    localView.setUint32(14, crc, true);
+    localView.setUint32(18, data.length, true);
+    localView.setUint32(22, data.length, true);
+    localView.setUint16(26, name.length, true);
+    local.set(name, 30);
+
+    const central = new Uint8Array(46 + name.length);
+    const centralView = new DataView(central.buffer);
+    centralView.setUint32(0, 0x02014b50, true);
+    centralView.setUint16(4, 20, true); // version made by
+    centralView.setUint16(6, 20, true);
+    centralView.setUint16(8, 0x0800, true);
+    centralView.setUint16(10, 0, true);
+    centralView.setUint16(12, time, true);
+    centralView.setUint16(14, day, true);
+    centralView.setUint32(16, crc, true);
+    centralView.setUint32(20, data.length, true);
+    centralView.setUint32(24, data.length, true);
+    centralView.setUint16(28, name.length, true);
+    centralView.setUint32(42, offset, true);
+    central.set(name, 46);
+
+    localParts.push(local, data);
+    centralParts.push(central);
+    offset += local.length + data.length;
+    if (offset > ZIP_MAX_SIZE) throw new Error('ZIP archive too large');
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054b50, true);
+  endView.setUint16(8, files.length, true);
+  endView.setUint16(10, files.length, true);
+  endView.setUint32(12, centralSize, true);
+  endView.setUint32(16, offset, true);
+
+  const out = new Uint8Array(offset + centralSize + end.length);
+  let position = 0;
+  for (const part of [...localParts, ...centralParts, end]) {
+    out.set(part, position);
+    position += part.length;
+  }
+  return out;
+}
@@ -1,21 +1,24 @@
 /*
 Module: content-main
-Purpose: Coordinate furigana apply/clear lifecycle and route content-script message actions.
+Purpose: Coordinate furigana apply/clear lifecycle (whole page or current selection) and route content-script message actions.
 
 Inputs:
 - Popup/background message actions and persisted settings payloads.
+- The `autoApplySites` allow list, checked once on page load before asking the background for the site's settings.
+- The synced `readingOverrides` dictionary, re-applied to page ruby whenever it changes.
 - DOM helper functions and runtime state flags.
 
 Outputs:
 - Action responses and page furigana state transitions.
 
 Side Effects:
-- Toggles page classes/attributes/styles and shared runtime globals.
+- Toggles page classes/attributes/styles and shared runtime globals (including the hover/quiz display mode).
 - Starts/stops observers, dictionary popup behavior, and live appearance updates.
+- Broadcasts `furiganaProgress` (batches, characters, cache hits, viewport blocks) while an apply runs.
 
 Failure Modes:
-- Concurrent apply requests are ignored while processing.
-- Runtime messaging/API failures surface as logged errors and user alerts.
+- Concurrent apply requests are ignored while processing; `cancelFurigana` stops the running one between batches.
+- Runtime messaging/API failures surface as logged errors and an in-page banner (logged only for auto-apply).
 
 Security Notes:
 - Sends only required text payloads to background processing.
@@ -25,6 +28,7 @@ Security Notes:
 // content-main.js — Core furigana logic, state initialization, message router
 //
 // This file is loaded LAST in the content_scripts chain, after:
+//   js/reading-overrides-store.js  (reading override storage layout)
 //   js/content-dom.js      (utilities, observers, HTML processing)
 //   js/content-tooltip.js  (dictionary tooltip, vocab saving)
 //
@@ -40,21 +44,24 @@ function t(key, substitutions, fallback = '') {
   return message || fallback;
 }
 
-async function applyFurigana(settings) {
+// `quiet` skips the failure banner for applies the user didn't trigger (auto-apply on page load).
+// `wholePage` ignores viewport-first so cache prewarming annotates everything in one pass.
+async function applyFurigana(settings, { quiet = false, wholePage = false } = {}) {
   if (isProcessing) {
     return;
   }
 
   isProcessing = true;
+  if (wholePage) settings = { ...settings, viewportFirst: false };
 
   // Soft-hide bypass: if DOM is intact but hidden, and reprocess-critical settings
-  // (furiganaType, firstOccurrenceOnly) haven't changed, just reveal the DOM.
+  // (firstOccurrenceOnly, offlineEngine) haven't changed, just reveal the DOM.
   const softHidden = document.body.classList.contains('tsukeru-furigana-disabled');
-  const hasRubyDom = softHidden && document.querySelectorAll('[data-tsukeru-wrapper="1"]').length > 0;
+  const hasRubyDom = softHidden && querySelectorAllDeep('[data-tsukeru-wrapper="1"]').length > 0;
   if (hasRubyDom && lastAppliedSettings) {
     const needsReprocess =
-      settings.furiganaType !== lastAppliedSettings.furiganaType ||
-      settings.firstOccurrenceOnly !== lastAppliedSettings.firstOccurrenceOnly;
+      settings.firstOccurrenceOnly !== lastAppliedSettings.firstOccurrenceOnly ||
+      settings.offlineEngine !== lastAppliedSettings.offlineEngine;
     if (!needsReprocess) {
       document.body.classList.remove('tsukeru-furigana-disabled');
       isFuriganaActive = true;
@@ -64,55 +71,40 @@ async function applyFurigana(settings) {
         settings?.removeCustomStyling ? 'off' : 'on'
       );
       document.documentElement.setAttribute('data-tsukeru-jlpt', String(settings?.jlptLevel ?? 5));
+      setReadingScript(settings?.furiganaType);
+      setRubyAlignment(settings?.rubyAlignment);
+      setDisplayMode(settings?.furiganaDisplay);
+      setGlossMode(settings?.glossMode);
+      resumeViewportProcessing();
       isProcessing = false;
-      return;
+      return { engine: lastAppliedEngine };
     }
   }
 
   if (isFuriganaActive || softHidden) {
     hardClearFurigana();
   }
-  setHighlightMode(settings?.highlightMode || 'off');
-  document.documentElement.setAttribute(
-    'data-tsukeru-custom-style',
-    settings?.removeCustomStyling ? 'off' : 'on'
-  );
-  document.documentElement.style.setProperty('--tsukeru-ruby-size', `${settings?.rubySize ?? 0.65}em`);
-  document.documentElement.style.setProperty('--tsukeru-ruby-color', settings?.rubyColor || '#475569');
-  document.documentElement.style.setProperty('--tsukeru-ruby-weight', settings?.rubyWeight || 'normal');
-  document.documentElement.setAttribute('data-tsukeru-jlpt', String(settings?.jlptLevel ?? 5));
+  applyDisplaySettings(settings);
+  startApplyProgress();
 
   try {
+    await loadKnownWordKeys();
+    await loadHelpCounts();
+    await loadReadingOverrides();
+    await loadReadingConverter();
+
     const textNodes = collectTextNodes();
     if (!textNodes.length) {
       throw new Error(t('content_error_no_text_found', undefined, 'No text content found on page'));
     }
 
-    const batches = buildBatches(textNodes);
-    for (let i = 0; i < batches.length; i++) {
-      const batch = batches[i];
-      const response = await chrome.runtime.sendMessage({
-        action: 'processFurigana',
-        payload: {
-          textContent: batch.payload,
-          settings,
-          tabUrl: window.location.href,
-        },
-      });
-
-      if (!response || !response.success || !response.processedHTML) {
-        throw new Error(response?.error || t('content_error_backend_empty', undefined, 'Backend returned an empty response'));
-      }
-
-      applyBatchResult(batch, response.processedHTML);
-
-      if (i < batches.length - 1) {
-        await sleep(REQUEST_DELAY_MS);
-      }
-    }
+    const engine = settings.viewportFirst
+      ? await startViewportProcessing(textNodes, settings)
+      : await processBatches(buildBatches(textNodes), settings);
 
     isFuriganaActive = true;
     lastAppliedSettings = { ...settings };
+    lastAppliedEngine = engine;
 
     enableDictionaryPopups();
 
@@ -129,15 +121,311 @@ async function applyFurigana(settings) {
       startYoutubeCaptionsObserver(settings);
     }
 
+    if (!viewportPendingBlocks.size) finishApplyProgress('done');
+    return { engine, progress: { ...applyProgress } };
   } catch (error) {
+    if (error.cancelled) {
+      // Keep whatever was annotated before the cancel; Clear removes it as usual.
+      finishApplyProgress('cancelled');
+      if (applyProgress.batches.done > 0) {
+        isFuriganaActive = true;
+        lastAppliedSettings = { ...settings };
+        enableDictionaryPopups();
+      }
+      return { cancelled: true, progress: { ...applyProgress } };
+    }
     console.error('Error applying furigana:', error);
-    alert(t('content_apply_failed_with_reason', [error.message], `Failed to apply furigana: ${error.message}`));
+    finishApplyProgress('error', error.message);
+    if (!quiet) {
+      showPageBanner(t('content_apply_failed_with_reason', [error.message], `Failed to apply furigana: ${error.message}`));
+    }
     setHighlightMode('off');
+    return { error: error.message };
+  } finally {
+    isProcessing = false;
+  }
+}
+
+function applyDisplaySettings(settings) {
+  setHighlightMode(settings?.highlightMode || 'off');
+  document.documentElement.setAttribute(
+    'data-tsukeru-custom-style',
+    settings?.removeCustomStyling ? 'off' : 'on'
+  );
+  document.documentElement.style.setProperty('--tsukeru-ruby-size', `${settings?.rubySize ?? 0.65}em`);
+  document.documentElement.style.setProperty('--tsukeru-ruby-color', settings?.rubyColor || '#475569');
+  document.documentElement.style.setProperty('--tsukeru-ruby-weight', settings?.rubyWeight || 'normal');
+  document.documentElement.setAttribute('data-tsukeru-jlpt', String(settings?.jlptLevel ?? 5));
+  setReadingScript(settings?.furiganaType);
+  setRubyAlignment(settings?.rubyAlignment);
+  setDisplayMode(settings?.furiganaDisplay);
+  setGlossMode(settings?.glossMode);
+}
+
+// Sends the batches to the background (a few at a time) and injects each result as it
+// arrives. Returns the engine used. Stops starting batches once cancelFurigana aborts the apply.
+async function processBatches(batches, settings) {
+  const signal = applyController?.signal;
+  if (applyProgress) applyProgress.batches.total += batches.length;
+  let engine = 'online';
+  await forEachBatch(batches, async (batch) => {
+    throwIfCancelled(signal);
+    const response = await chrome.runtime.sendMessage({
+      action: 'processFurigana',
+      payload: {
+        textContent: batch.payload,
+        settings,
+        tabUrl: getPageUrl(),
+      },
+    });
+    // A batch that was in flight when the user cancelled is dropped, not applied.
+    throwIfCancelled(signal);
+
+    if (!response || !response.success || !response.processedHTML) {
+      throw new Error(response?.error || t('content_error_backend_empty', undefined, 'Backend returned an empty response'));
+    }
+
+    if (response.engine === 'offline') engine = 'offline';
+    applyBatchResult(batch, response.processedHTML);
+    recordBatchProgress(batch, response);
+  });
+  return engine;
+}
+
+// ── Progress and cancellation ─────────────────────────────────────────────────
+// One progress record per apply (page or selection). Every change is broadcast as
+// `furiganaProgress` for the popup status line and the toolbar badge.
+
+function startApplyProgress() {
+  applyController?.abort();
+  applyController = new AbortController();
+  applyProgress = {
+    state: 'running',
+    batches: { done: 0, total: 0 },
+    blocks: null,
+    chars: 0,
+    cacheHits: 0,
+  };
+}
+
+function recordBatchProgress(batch, response) {
+  if (!applyProgress) return;
+  applyProgress.batches.done += 1;
+  applyProgress.chars += batch.nodes.reduce((sum, node) => sum + (node.textContent || '').length, 0);
+  applyProgress.cacheHits += response.cacheHits || 0;
+  reportApplyProgress();
+}
+
+function finishApplyProgress(state, error) {
+  if (!applyProgress || applyProgress.state !== 'running') return;
+  applyProgress.state = state;
+  if (error) applyProgress.error = error;
+  reportApplyProgress();
+}
+
+// Nobody listening (popup closed) is fine.
+function reportApplyProgress() {
+  try {
+    chrome.runtime.sendMessage({ action: 'furiganaProgress', ...applyProgress }).catch(() => {});
+  } catch (_) {
+    // Extension context invalidated (reloaded) — nothing to report to.
+  }
+}
+
+function throwIfCancelled(signal) {
+  if (!signal?.aborted) return;
+  const cancelled = new Error('Cancelled');
+  cancelled.cancelled = true;
+  throw cancelled;
+}
+
+// Aborts the running apply (and any lazily pending blocks); annotated nodes stay in place.
+function cancelFurigana() {
+  const running = applyProgress?.state === 'running';
+  applyController?.abort();
+  stopViewportProcessing();
+  finishApplyProgress('cancelled');
+  return { cancelled: running };
+}
+
+// ── Viewport-first processing ─────────────────────────────────────────────────
+// Long pages: annotate the blocks on screen before returning, then the rest as
+// they approach the viewport. Runs on every site, independent of SITE_CONFIGS.
+
+async function startViewportProcessing(textNodes, settings) {
+  stopViewportProcessing();
+  const blocks = groupTextNodesByBlock(textNodes);
+  const visible = blocks.filter((block) => isInViewport(block.element));
+  blocks
+    .filter((block) => !visible.includes(block))
+    .forEach((block) => viewportPendingBlocks.set(block.element, block.nodes));
+  viewportSettings = settings;
+  applyProgress.blocks = { done: 0, total: blocks.length };
+
+  const engine = await processViewportBlocks(visible, settings);
+  resumeViewportProcessing();
+  return engine;
+}
+
+function resumeViewportProcessing() {
+  if (viewportObserver || !viewportPendingBlocks.size) return;
+  viewportObserver = new IntersectionObserver((entries) => {
+    entries.forEach((entry) => {
+      if (!entry.isIntersecting || !viewportPendingBlocks.has(entry.target)) return;
+      viewportQueue.push({ element: entry.target, nodes: viewportPendingBlocks.get(entry.target) });
+      viewportPendingBlocks.delete(entry.target);
+      viewportObserver.unobserve(entry.target);
+    });
+    drainViewportQueue();
+  }, { rootMargin: VIEWPORT_PRELOAD_MARGIN });
+  viewportPendingBlocks.forEach((nodes, element) => viewportObserver.observe(element));
+}
+
+// Soft-hide: keep the remaining blocks so re-enabling picks up where it stopped.
+function pauseViewportProcessing() {
+  if (viewportObserver) {
+    viewportObserver.disconnect();
+    viewportObserver = null;
+  }
+  viewportQueue.splice(0).forEach((block) => viewportPendingBlocks.set(block.element, block.nodes));
+}
+
+function stopViewportProcessing() {
+  pauseViewportProcessing();
+  viewportPendingBlocks.clear();
+}
+
+async function drainViewportQueue() {
+  if (viewportDraining) return;
+  viewportDraining = true;
+  try {
+    while (viewportQueue.length && viewportObserver) {
+      await processViewportBlocks(viewportQueue.splice(0), viewportSettings);
+    }
+  } catch (err) {
+    if (err.cancelled) return;
+    console.error('Tsukeru: failed to process off-screen blocks', err);
+    finishApplyProgress('error', err.message);
+  } finally {
+    viewportDraining = false;
+  }
+}
+
+// Blocks from several scroll steps share batches; nodes that changed meanwhile are skipped.
+async function processViewportBlocks(blocks, settings) {
+  const nodes = blocks
+    .flatMap((block) => block.nodes)
+    .filter((node) => node.isConnected && isProcessableTextNode(node));
+  const engine = nodes.length ? await processBatches(buildBatches(nodes), settings) : 'online';
+  // A selection apply in between replaces applyProgress and has no blocks.
+  if (applyProgress?.blocks) {
+    applyProgress.blocks.done += blocks.length;
+    if (applyProgress.blocks.done >= applyProgress.blocks.total) finishApplyProgress('done');
+    else reportApplyProgress();
+  }
+  return engine;
+}
+
+// ── Selection-only furigana ───────────────────────────────────────────────────
+
+function getSelectionRange() {
+  const selection = window.getSelection();
+  if (!selection || !selection.rangeCount) return null;
+  const range = selection.getRangeAt(0);
+  return range.collapsed ? null : range;
+}
+
+function getWrappersInRange(range) {
+  let root = range.commonAncestorContainer;
+  if (root.nodeType !== Node.ELEMENT_NODE) root = root.parentElement;
+  if (!root) return [];
+  const enclosing = root.closest('[data-tsukeru-wrapper="1"]');
+  if (enclosing) return [enclosing];
+  return Array.from(root.querySelectorAll('[data-tsukeru-wrapper="1"]'))
+    .filter((wrapper) => range.intersectsNode(wrapper));
+}
+
+// Annotates only the selected text. Page-level state (observers, isFuriganaActive) is left alone.
+async function applyFuriganaToSelection(settings) {
+  const range = getSelectionRange();
+  if (!range) {
+    const message = t('content_error_no_selection', undefined, 'Select some Japanese text first');
+    showPageBanner(message, 'info');
+    return { error: message };
+  }
+  if (isProcessing) {
+    return;
+  }
+
+  isProcessing = true;
+
+  // Soft-hidden page ruby would hide the new wrappers too, so drop it first.
+  if (document.body.classList.contains('tsukeru-furigana-disabled')) {
+    hardClearFurigana();
+  }
+  applyDisplaySettings(settings);
+  startApplyProgress();
+
+  try {
+    await loadKnownWordKeys();
+    await loadHelpCounts();
+    await loadReadingOverrides();
+    await loadReadingConverter();
+
+    const textNodes = collectTextNodesInRange(range);
+    if (!textNodes.length) {
+      throw new Error(t('content_error_no_text_in_selection', undefined, 'No Japanese text without furigana in the selection'));
+    }
+
+    const engine = await processBatches(buildBatches(textNodes), settings);
+    window.getSelection()?.removeAllRanges();
+    enableDictionaryPopups();
+    finishApplyProgress('done');
+    return { engine, progress: { ...applyProgress } };
+  } catch (error) {
+    if (error.cancelled) {
+      finishApplyProgress('cancelled');
+      enableDictionaryPopups();
+      return { cancelled: true, progress: { ...applyProgress } };
+    }
+    console.error('Error applying furigana to selection:', error);
+    finishApplyProgress('error', error.message);
+    showPageBanner(t('content_apply_failed_with_reason', [error.message], `Failed to apply furigana: ${error.message}`));
+    return { error: error.message };
   } finally {
     isProcessing = false;
   }
 }
 
+// Restores only the wrappers touched by the selection; the rest of the page keeps its furigana.
+function clearSelectionFurigana() {
+  const range = getSelectionRange();
+  if (!range) return { cleared: 0 };
+
+  const wrappers = getWrappersInRange(range);
+  const parents = new Set();
+  wrappers.forEach((wrapper) => {
+    if (wrapper.parentElement) parents.add(wrapper.parentElement);
+    restoreWrapper(wrapper);
+  });
+  parents.forEach((parent) => {
+    if (!parent.querySelector(':scope > [data-tsukeru-wrapper="1"]')) {
+      parent.removeAttribute('data-tsukeru-processed');
+    }
+  });
+  hideDefinitionTooltip();
+  return { cleared: wrappers.length };
+}
+
+// Keyboard/popup entry point: clear when the selection already has furigana, apply otherwise.
+async function toggleSelectionFurigana(settings) {
+  const range = getSelectionRange();
+  if (range && getWrappersInRange(range).length) {
+    return clearSelectionFurigana();
+  }
+  return applyFuriganaToSelection(settings);
+}
+
 // Soft-hide: preserve the ruby DOM, just visually hide via CSS class.
 // Re-enabling is instant (zero API calls) when settings haven't changed.
 function clearFurigana() {
@@ -148,42 +436,56 @@ function clearFurigana() {
   stopWatchingDynamicContent();
   stopIntersectionObserver();
   stopYoutubeCaptionsObserver();
+  pauseViewportProcessing();
   setHighlightMode('off');
 }
 
 // Full DOM teardown — used before re-applying with changed settings.
 function hardClearFurigana() {
-  const wrappers = document.querySelectorAll('[data-tsukeru-wrapper="1"]');
-  wrappers.forEach((wrapper) => {
-    const originalText = originalTextMap.get(wrapper)
-      ?? wrapper.getAttribute('data-tsukeru-original')
-      ?? wrapper.textContent
-      ?? '';
-    wrapper.replaceWith(document.createTextNode(originalText));
-  });
-  document.querySelectorAll('[data-tsukeru-processed]').forEach(el => {
+  querySelectorAllDeep('[data-tsukeru-wrapper="1"]').forEach(restoreWrapper);
+  querySelectorAllDeep('[data-tsukeru-processed]').forEach(el => {
     el.removeAttribute('data-tsukeru-processed');
   });
-  document.querySelectorAll('[data-tsukeru-caption-processed]').forEach(el => {
+  querySelectorAllDeep('[data-tsukeru-caption-processed]').forEach(el => {
     el.removeAttribute('data-tsukeru-caption-processed');
   });
-  document.querySelectorAll('[data-tsukeru-observed]').forEach(el => {
+  querySelectorAllDeep('[data-tsukeru-observed]').forEach(el => {
     el.removeAttribute('data-tsukeru-observed');
   });
   document.body.classList.remove('tsukeru-furigana-disabled');
   document.documentElement.removeAttribute('data-tsukeru-custom-style');
   originalTextMap = new WeakMap();
+  blockVerticalDirections = new WeakMap();
   hideDefinitionTooltip();
   isFuriganaActive = false;
   lastAppliedSettings = null;
   processedNodes = new WeakSet();
   processingQueue.clear();
+  stopViewportProcessing();
   stopWatchingDynamicContent();
   stopIntersectionObserver();
   stopYoutubeCaptionsObserver();
   setHighlightMode('off');
 }
 
+function restoreWrapper(wrapper) {
+  const originalText = originalTextMap.get(wrapper)
+    ?? wrapper.getAttribute('data-tsukeru-original')
+    ?? wrapper.textContent
+    ?? '';
+  wrapper.replaceWith(document.createTextNode(originalText));
+}
+
+// Allow-listed origins get furigana on page load. The list is checked here so other pages never
+// wake the background; the background merges the settings like every other apply path.
+async function autoApplyIfAllowed() {
+  const { autoApplySites: sites } = await chrome.storage.sync.get(['autoApplySites']);
+  if (!Array.isArray(sites) || !sites.includes(window.location.origin)) return;
+  const response = await chrome.runtime.sendMessage({ action: 'getAutoApplySettings' });
+  if (!response?.settings) return;
+  await applyFurigana(response.settings, { quiet: true });
+}
+
 // ── Initialization guard ──────────────────────────────────────────────────────
 // Runs only once per page context. Prevents double-init on re-injection via
 // ensureContentScript. State variables are declared as var so they hoist to
@@ -196,6 +498,7 @@ if (!window.__TSUKERU_LOADED__) {
   var isProcessing = false;
   var isFuriganaActive = false;
   var lastAppliedSettings = null;
+  var lastAppliedEngine = 'online';
   var mutationObserver = null;
   var intersectionObserver = null;
   var intersectionObserverInterval = null;
@@ -210,22 +513,103 @@ if (!window.__TSUKERU_LOADED__) {
   var dictionaryEventsBound = false;
   var definitionCache = new Map();
   var originalTextMap = new WeakMap();
+  var blockVerticalDirections = new WeakMap(); // text block -> 'rl' / 'lr' / '' (see getBlockVerticalDirection)
+  var knownWordKeys = new Set();
+  var readingOverrides = [];             // compiled user reading dictionary (see compileReadingOverrides)
+  var readingScript = 'hiragana';        // furiganaType the managed <rt> are rendered in
+  var readingConverter = null;           // utils.js convertReading once loadReadingConverter resolves
+  var readingConverterPromise = null;
+  var rubyAlignment = 'safe';            // group / safe / mono (see alignRuby)
+  var kanjiReadings = new Map();         // kanji -> KANJIDIC readings in hiragana, [] when unknown (mono ruby)
+  var pendingKanjiRubies = new Set();    // mono rubies waiting for the next lookupKanjiReadings batch
+  var kanjiReadingsFlushTimer = null;
+  var displayMode = 'show';              // show / hover / quiz (see setDisplayMode)
+  var helpCounts = new Map();            // dictForm|dictReading -> quiz reveals (helpLog)
+  var glossMode = 'off';                 // off / above / below (see setGlossMode)
+  var glossCache = new Map();            // word|reading -> short gloss ('' when none)
+  var pendingGlossRubies = new Set();    // rubies waiting for the next lookupGlosses batch
+  var glossFlushTimer = null;
+  var readerArticleUrl = null;           // set by reader.js when these scripts run in Reader view
+  var observedRoots = new WeakSet();     // shadow roots / frames already given to mutationObserver
+  var styledRoots = new Set();           // shadow roots / frame documents carrying content styles
+  var rootStateObserver = null;
+  var contentStylesText = null;
+  var contentStyleSheets = new WeakMap(); // document -> constructed content.css sheets (see getContentStyleSheet)
+  var viewportObserver = null;
+  var viewportPendingBlocks = new Map(); // block element -> text nodes not yet sent
+  var viewportQueue = [];
+  var viewportDraining = false;
+  var viewportSettings = null;
+  var applyController = null;            // AbortController of the running apply
+  var applyProgress = null;
+
+  // Known-word edits from the tooltip, the popup or another tab apply live.
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || !changes.knownWords) return;
+    knownWordKeys = new Set(Object.keys(changes.knownWords.newValue || {}));
+    [document, ...styledRoots].forEach((root) => markKnownWords(root));
+  });
+
+  // Quiz reveals from other tabs keep Vocab Mode counts current.
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || !changes.helpLog) return;
+    helpCounts = toHelpCounts(changes.helpLog.newValue);
+  });
+
+  // Reading override edits sync across devices and re-apply to the ruby already on the page.
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync' || !Object.keys(changes).some(isReadingOverridesStorageKey)) return;
+    // The list is sharded across keys (see getStoredReadingOverrides), so re-read it whole.
+    loadReadingOverrides().then(() => {
+      [document, ...styledRoots].forEach((root) => applyReadingOverrides(root));
+    });
+  });
+
+  autoApplyIfAllowed().catch(err => console.warn('Tsukeru: auto-apply failed', err));
 
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === 'applyFurigana') {
-      applyFurigana(request.settings)
-        .then(() => sendResponse({ ok: true }))
+      applyFurigana(request.settings, { quiet: request.quiet, wholePage: request.wholePage })
+        .then((result) => sendResponse({ ok: !result?.error, ...result }))
+        .catch((error) => sendResponse({ ok: false, error: error.message }));
+      return true;
+    }
+
+    if (request.action === 'applySelectionFurigana') {
+      applyFuriganaToSelection(request.settings)
+        .then((result) => sendResponse({ ok: !result?.error, ...result }))
         .catch((error) => sendResponse({ ok: false, error: error.message }));
       return true;
     }
 
+    if (request.action === 'clearSelectionFurigana') {
+      sendResponse({ ok: true, ...clearSelectionFurigana() });
+      return;
+    }
+
+    if (request.action === 'toggleSelectionFurigana') {
+      toggleSelectionFurigana(request.settings)
+        .then((result) => sendResponse({ ok: !result?.error, ...result }))
+        .catch((error) => sendResponse({ ok: false, error: error.message }));
+      return true;
+    }
+
+    if (request.action === 'cancelFurigana') {
+      sendResponse({ ok: true, ...cancelFurigana() });
+      return;
+    }
+
     if (request.action === 'clearFurigana') {
       clearFurigana();
       sendResponse({ ok: true });
     }
 
     if (request.action === 'getFuriganaState') {
-      sendResponse({ active: isFuriganaActive });
+      sendResponse({ active: isFuriganaActive, progress: applyProgress });
+    }
+
+    if (request.action === 'extractArticle') {
+      sendResponse({ ok: true, article: extractArticle() });
     }
 
     if (request.action === 'getPageWords') {
@@ -247,10 +631,18 @@ if (!window.__TSUKERU_LOADED__) {
       document.documentElement.setAttribute('data-tsukeru-jlpt', String(request.level ?? 5));
       sendResponse({ ok: true });
     }
+
+    if (request.action === 'setDisplayMode') {
+      setDisplayMode(request.mode);
+      sendResponse({ ok: true, mode: displayMode });
+    }
     if (request.action === 'updateAppearance') {
       if (request.color) document.documentElement.style.setProperty('--tsukeru-ruby-color', request.color);
       if (request.size) document.documentElement.style.setProperty('--tsukeru-ruby-size', request.size);
       if (request.weight) document.documentElement.style.setProperty('--tsukeru-ruby-weight', request.weight);
+      if (request.furiganaType) setReadingScript(request.furiganaType);
+      if (request.rubyAlignment) setRubyAlignment(request.rubyAlignment);
+      if (request.glossMode) setGlossMode(request.glossMode);
       const hasManagedRuby = document.querySelector('[data-tsukeru-wrapper="1"]');
       if (typeof request.removeCustomStyling === 'boolean' && (isFuriganaActive || hasManagedRuby)) {
         document.documentElement.setAttribute(
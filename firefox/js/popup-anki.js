@@ -0,0 +1,220 @@
+/*
+Module: popup-anki
+Purpose: Configure AnkiConnect (deck, note type, field mapping) and trigger pushes/bulk syncs from the popup.
+
+Inputs:
+- AnkiConnect settings from `chrome.storage.sync`, popup UI events, and background Anki responses.
+
+Outputs:
+- Rendered Anki settings/mapping UI, sync summaries, and saved AnkiConnect settings.
+
+Side Effects:
+- Reads/writes `chrome.storage.sync` Anki keys and requests the optional AnkiConnect host permission.
+- Sends `ankiConnectInfo`/`ankiNoteTypeFields`/`ankiAddEntry`/`ankiSyncVocabulary`/`ankiQueueStatus` messages.
+
+Failure Modes:
+- Anki not running: lists fall back to saved values and the status line explains the failure.
+- Denied host permission leaves AnkiConnect disabled.
+
+Security Notes:
+- Only the loopback AnkiConnect origin is requested; nothing is sent unless the user enables the integration.
+*/
+// AnkiConnect settings section and "Sync to Anki" button.
+import { DEFAULT_SETTINGS, t } from './popup-settings.js';
+
+const ANKI_CONNECT_ORIGINS = ['http://127.0.0.1:8765/*'];
+
+// Vocabulary values that can be mapped onto a note-type field ('' = leave empty).
+const ANKI_FIELD_SOURCES = ['', 'word', 'reading', 'sentence', 'sentenceFurigana', 'definition', 'audio', 'jlpt', 'url'];
+
+let ankiFieldMap = {};
+
+function getSourceLabel(source) {
+  switch (source) {
+    case 'word': return t('settings_anki_source_word', undefined, 'Word');
+    case 'reading': return t('settings_anki_source_reading', undefined, 'Reading');
+    case 'sentence': return t('settings_anki_source_sentence', undefined, 'Sentence');
+    case 'sentenceFurigana': return t('settings_anki_source_sentence_furigana', undefined, 'Sentence (furigana)');
+    case 'definition': return t('settings_anki_source_definition', undefined, 'Definition');
+    case 'audio': return t('settings_anki_source_audio', undefined, 'Audio');
+    case 'jlpt': return t('settings_anki_source_jlpt', undefined, 'JLPT level');
+    case 'url': return t('settings_anki_source_url', undefined, 'Source URL');
+    default: return t('settings_anki_source_none', undefined, '(empty)');
+  }
+}
+
+function setAnkiStatus(message, type = '') {
+  const status = document.getElementById('ankiConnectStatus');
+  if (!status) return;
+  status.textContent = message;
+  status.className = `anki-connect-status ${type}`.trim();
+}
+
+function fillDatalist(id, values) {
+  const list = document.getElementById(id);
+  if (!list) return;
+  list.innerHTML = '';
+  (values || []).forEach(value => {
+    const option = document.createElement('option');
+    option.value = value;
+    list.appendChild(option);
+  });
+}
+
+async function saveAnkiSettings() {
+  await chrome.storage.sync.set({
+    ankiConnectEnabled: Boolean(document.getElementById('ankiConnectEnabled').checked),
+    ankiDeck: document.getElementById('ankiDeck').value.trim() || DEFAULT_SETTINGS.ankiDeck,
+    ankiNoteType: document.getElementById('ankiNoteType').value.trim() || DEFAULT_SETTINGS.ankiNoteType,
+    ankiFieldMap,
+  });
+}
+
+function renderFieldMapping(fields) {
+  const container = document.getElementById('ankiFieldMapping');
+  container.innerHTML = '';
+  fields.forEach(field => {
+    const row = document.createElement('div');
+    row.className = 'anki-field-row';
+    const label = document.createElement('span');
+    label.className = 'anki-field-name';
+    label.textContent = field;
+    const select = document.createElement('select');
+    ANKI_FIELD_SOURCES.forEach(source => {
+      const option = document.createElement('option');
+      option.value = source;
+      option.textContent = getSourceLabel(source);
+      select.appendChild(option);
+    });
+    select.value = ankiFieldMap[field] || '';
+    select.addEventListener('change', () => {
+      if (select.value) ankiFieldMap[field] = select.value;
+      else delete ankiFieldMap[field];
+      saveAnkiSettings();
+    });
+    row.append(label, select);
+    container.appendChild(row);
+  });
+}
+
+// Rebuild the mapping from the note type's real fields, keeping choices for fields that still exist.
+async function loadNoteTypeFields(noteType) {
+  const response = await chrome.runtime.sendMessage({ action: 'ankiNoteTypeFields', noteType }).catch(() => null);
+  if (!response?.success || !Array.isArray(response.fields)) {
+    renderFieldMapping(Object.keys(ankiFieldMap));
+    return;
+  }
+  ankiFieldMap = Object.fromEntries(
+    response.fields.filter(field => ankiFieldMap[field]).map(field => [field, ankiFieldMap[field]])
+  );
+  renderFieldMapping(response.fields);
+}
+
+async function refreshQueueStatus() {
+  const response = await chrome.runtime.sendMessage({ action: 'ankiQueueStatus' }).catch(() => null);
+  if (response?.success && response.queued > 0) {
+    setAnkiStatus(t('settings_anki_status_queued', [String(response.queued)], `${response.queued} word(s) waiting for Anki`));
+  }
+}
+
+async function connectToAnki() {
+  setAnkiStatus(t('settings_anki_status_connecting', undefined, 'Connecting...'));
+  const response = await chrome.runtime.sendMessage({ action: 'ankiConnectInfo' }).catch((err) => ({ success: false, error: err.message }));
+  if (!response?.success) {
+    const reason = response?.error || 'AnkiConnect did not respond';
+    setAnkiStatus(t('settings_anki_status_unavailable', [reason], `Could not reach Anki: ${reason}`), 'error');
+    renderFieldMapping(Object.keys(ankiFieldMap));
+    await refreshQueueStatus();
+    return;
+  }
+  fillDatalist('ankiDeckList', response.decks);
+  fillDatalist('ankiNoteTypeList', response.noteTypes);
+  setAnkiStatus(t('settings_anki_status_connected', undefined, 'Connected to Anki'), 'success');
+  await loadNoteTypeFields(document.getElementById('ankiNoteType').value.trim());
+  await saveAnkiSettings();
+  await refreshQueueStatus();
+}
+
+function updateAnkiVisibility(enabled) {
+  document.getElementById('ankiConnectOptions')?.classList.toggle('hidden', !enabled);
+  document.getElementById('ankiSyncBtn')?.classList.toggle('hidden', !enabled);
+}
+
+// ── Settings section ──────────────────────────────────────────────────────────
+
+export async function initAnkiSettings() {
+  const enabledCheckbox = document.getElementById('ankiConnectEnabled');
+  const deckInput = document.getElementById('ankiDeck');
+  const noteTypeInput = document.getElementById('ankiNoteType');
+  const connectBtn = document.getElementById('ankiConnectBtn');
+  if (!enabledCheckbox) return;
+
+  const stored = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+  enabledCheckbox.checked = Boolean(stored.ankiConnectEnabled);
+  deckInput.value = stored.ankiDeck || DEFAULT_SETTINGS.ankiDeck;
+  noteTypeInput.value = stored.ankiNoteType || DEFAULT_SETTINGS.ankiNoteType;
+  ankiFieldMap = { ...(stored.ankiFieldMap || DEFAULT_SETTINGS.ankiFieldMap) };
+  renderFieldMapping(Object.keys(ankiFieldMap));
+  updateAnkiVisibility(enabledCheckbox.checked);
+  if (enabledCheckbox.checked) refreshQueueStatus();
+
+  enabledCheckbox.addEventListener('change', async () => {
+    if (enabledCheckbox.checked) {
+      // Must run inside the click gesture, before any other await.
+      const granted = await chrome.permissions.request({ origins: ANKI_CONNECT_ORIGINS }).catch(() => false);
+      if (!granted) {
+        enabledCheckbox.checked = false;
+        setAnkiStatus(t('settings_anki_permission_denied', undefined, 'Permission to reach AnkiConnect was not granted'), 'error');
+        return;
+      }
+    }
+    updateAnkiVisibility(enabledCheckbox.checked);
+    await saveAnkiSettings();
+    if (enabledCheckbox.checked) connectToAnki();
+  });
+  deckInput.addEventListener('change', saveAnkiSettings);
+  noteTypeInput.addEventListener('change', async () => {
+    await loadNoteTypeFields(noteTypeInput.value.trim());
+    await saveAnkiSettings();
+  });
+  connectBtn.addEventListener('click', connectToAnki);
+}
+
+// ── Vocabulary tab ────────────────────────────────────────────────────────────
+
+export function initAnkiSync() {
+  const syncBtn = document.getElementById('ankiSyncBtn');
+  if (!syncBtn) return;
+  chrome.storage.sync.get(DEFAULT_SETTINGS).then(stored => updateAnkiVisibility(Boolean(stored.ankiConnectEnabled)));
+
+  syncBtn.addEventListener('click', async () => {
+    syncBtn.disabled = true;
+    syncBtn.textContent = t('vocab_anki_syncing', undefined, 'Syncing...');
+    try {
+      const result = await chrome.runtime.sendMessage({ action: 'ankiSyncVocabulary' });
+      if (!result?.success) throw new Error(result?.error || 'AnkiConnect did not respond');
+      const counts = [result.added, result.duplicate, result.queued, result.failed].map(count => String(count || 0));
+      alert(t(
+        'vocab_anki_sync_result',
+        counts,
+        `Anki sync: ${counts[0]} added, ${counts[1]} already in deck, ${counts[2]} queued, ${counts[3]} failed`
+      ));
+    } catch (err) {
+      alert(t('vocab_anki_sync_failed', [err.message], `Anki sync failed: ${err.message}`));
+    } finally {
+      syncBtn.disabled = false;
+      syncBtn.textContent = t('vocab_anki_sync', undefined, 'Sync to Anki');
+    }
+  });
+}
+
+// Fire-and-forget push used after a word is saved from the popup.
+export async function pushEntryToAnki(entry) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'ankiAddEntry', entry });
+    return response?.success ? response.status : 'failed';
+  } catch (err) {
+    console.warn('Anki push failed:', err);
+    return 'failed';
+  }
+}
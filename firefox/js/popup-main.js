@@ -1,6 +1,6 @@
 /*
 Module: popup-main
-Purpose: Bootstrap popup navigation and wire report modal submission behavior.
+Purpose: Bootstrap popup navigation and wire report modal submission and "Fix locally" behavior.
 
 Inputs:
 - Popup DOM events, runtime report responses, and browser user-agent/platform hints.
@@ -10,6 +10,7 @@ Outputs:
 
 Side Effects:
 - Mutates popup DOM state and sends `reportReadingError` messages.
+- "Fix locally" writes a reading override to `chrome.storage.sync` (sharded `readingOverrides_<n>` keys).
 - Applies Firefox shortcut label defaults in popup UI.
 
 Failure Modes:
@@ -21,8 +22,16 @@ Security Notes:
 - No secret handling or persistent sensitive data storage.
 */
 // Entry point: tab navigation, report modal wiring, and bootstrap.
-import { initSettingsForm, closeReportModal, applyI18nToPopupDom, t } from './popup-settings.js';
+import {
+  initSettingsForm, closeReportModal, applyI18nToPopupDom, getActiveTab, t,
+} from './popup-settings.js';
+import { getSiteOrigin } from './bg-sites.js';
 import { initVocabularyTab, initVocabModeTab, loadVocabulary, loadVocabMode } from './popup-vocab.js';
+import { initReviewTab, loadReviewQueue } from './popup-review.js';
+import { initAnkiSettings, initAnkiSync } from './popup-anki.js';
+import { initAutoApplySites } from './popup-sites.js';
+import { initCacheSettings } from './popup-cache.js';
+import { addReadingOverride, initReadingOverrides } from './popup-overrides.js';
 
 // ── Tab navigation ────────────────────────────────────────────────────────────
 
@@ -42,6 +51,8 @@ function initTabNavigation() {
         loadVocabulary();
       } else if (targetTab === 'vocabmode') {
         loadVocabMode();
+      } else if (targetTab === 'review') {
+        loadReviewQueue();
       }
     });
   });
@@ -89,6 +100,33 @@ document.getElementById('extReportSubmit').addEventListener('click', () => {
   });
 });
 
+document.getElementById('extReportFix').addEventListener('click', async () => {
+  const word = document.getElementById('extReportWord').value;
+  const correctReading = document.getElementById('extReportCorrect').value.trim();
+  const siteOnly = document.getElementById('extReportSiteOnly').checked;
+  const errorDiv = document.getElementById('extReportError');
+  const successDiv = document.getElementById('extReportSuccess');
+  const fixBtn = document.getElementById('extReportFix');
+
+  errorDiv.classList.add('hidden');
+  successDiv.classList.add('hidden');
+  fixBtn.disabled = true;
+  try {
+    if (!correctReading) throw new Error(t('report_fix_needs_correction', undefined, 'Enter the correct reading first.'));
+    const site = siteOnly ? getSiteOrigin((await getActiveTab())?.url || '') : '';
+    if (siteOnly && !site) throw new Error(t('status_open_normal_page', undefined, 'Open a normal http/https page and try again.'));
+    await addReadingOverride({ surface: word, reading: correctReading, site });
+    successDiv.textContent = t('report_fix_saved', undefined, 'Reading fixed on this device.');
+    successDiv.classList.remove('hidden');
+    setTimeout(closeReportModal, 1500);
+  } catch (err) {
+    errorDiv.textContent = err.message;
+    errorDiv.classList.remove('hidden');
+  } finally {
+    fixBtn.disabled = false;
+  }
+});
+
 // ── Bootstrap ────────────────────────────────────────────────────────────────
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -116,5 +154,11 @@ document.addEventListener('DOMContentLoaded', () => {
   initSettingsForm();
   initVocabularyTab();
   initVocabModeTab();
+  initReviewTab();
+  initAutoApplySites();
+  initCacheSettings();
+  initReadingOverrides();
+  initAnkiSettings();
+  initAnkiSync();
   initTabNavigation();
 });
@@ -7,9 +7,10 @@ Inputs:
 
 Outputs:
 - Updated settings in storage and apply/clear command messages to content scripts.
+- Site profile JSON exports.
 
 Side Effects:
-- Reads/writes `chrome.storage.sync`.
+- Reads/writes `chrome.storage.sync`, including per-origin `siteProfiles`.
 - Injects content scripts/CSS, updates popup status UI, and sends live appearance updates.
 
 Failure Modes:
@@ -21,19 +22,36 @@ Security Notes:
 - Keeps settings/state local to extension storage APIs.
 */
 // Settings constants, shared utilities, report modal — imported by all popup modules.
+import { SITE_PROFILES_KEY, getSiteOrigin } from './bg-sites.js';
 
 export const DEFAULT_SETTINGS = {
   jlptLevel: 5,
   furiganaType: 'hiragana',
+  rubyAlignment: 'safe',
+  furiganaDisplay: 'show',
+  glossMode: 'off',
   firstOccurrenceOnly: false,
   highlightMode: 'off',
   watchDynamic: false,
   removeCustomStyling: false,
+  offlineEngine: false,
+  viewportFirst: false,
+  ankiConnectEnabled: false,
+  ankiDeck: 'Tsukeru',
+  ankiNoteType: 'Basic',
+  ankiFieldMap: { Front: 'word', Back: 'definition' },
+  cacheMaxMB: 25,
   rubySize: 0.65,
   rubyColor: '#475569',
   rubyWeight: 'normal',
 };
 
+// Settings a site profile may override; Anki and allow-list settings stay global.
+export const SITE_PROFILE_KEYS = [
+  'jlptLevel', 'furiganaType', 'rubyAlignment', 'furiganaDisplay', 'glossMode', 'firstOccurrenceOnly', 'highlightMode',
+  'watchDynamic', 'removeCustomStyling', 'offlineEngine', 'viewportFirst', 'rubySize', 'rubyColor', 'rubyWeight',
+];
+
 export const DICTIONARY_MAX_SENSES = 3;
 export const DEFINITION_CACHE_TTL = 5 * 60 * 1000;
 
@@ -80,6 +98,35 @@ export function isHttpTab(url = '') {
   return /^https?:\/\//i.test(url);
 }
 
+// Keeps only overridable keys whose type matches the global default (used for saves and imports).
+export function sanitizeSiteProfile(profile) {
+  if (!profile || typeof profile !== 'object') return null;
+  const clean = {};
+  SITE_PROFILE_KEYS.forEach((key) => {
+    if (typeof profile[key] === typeof DEFAULT_SETTINGS[key]) clean[key] = profile[key];
+  });
+  return Object.keys(clean).length ? clean : null;
+}
+
+// Status line for a `furiganaProgress` record sent by the content script.
+function getProgressText(progress) {
+  const { batches, blocks, chars, cacheHits } = progress;
+  if (progress.state === 'cancelled') {
+    return t('status_apply_cancelled', [String(batches.done)], `Cancelled. Kept ${batches.done} annotated batch(es).`);
+  }
+  if (blocks && progress.state === 'done') {
+    return t('status_blocks_done', [String(blocks.total)], `Furigana applied (${blocks.total}/${blocks.total} blocks)`);
+  }
+  if (blocks) {
+    return t('status_blocks_progress', [String(blocks.done), String(blocks.total)], `Annotating... ${blocks.done}/${blocks.total} blocks`);
+  }
+  return t(
+    'status_apply_progress',
+    [String(batches.done), String(batches.total), String(chars), String(cacheHits)],
+    `Processing... ${batches.done}/${batches.total} batches, ${chars} characters, ${cacheHits} from cache`
+  );
+}
+
 export function getSelectedHighlightMode() {
   const selected = Array.from(document.querySelectorAll('input[name="highlightMode"]'))
     .find(radio => radio.checked);
@@ -95,7 +142,7 @@ export async function ensureContentScript(tabId) {
     }
     await chrome.scripting.executeScript({
       target: { tabId },
-      files: ['js/content-dom.js', 'js/content-tooltip.js', 'js/content-main.js']
+      files: ['js/reading-overrides-store.js', 'js/content-dom.js', 'js/content-tooltip.js', 'js/content-main.js']
     });
   }
 }
@@ -111,6 +158,8 @@ export function openReportModal(word, reading, context) {
   document.getElementById('extReportSuccess').classList.add('hidden');
   document.getElementById('extReportError').textContent = '';
   document.getElementById('extReportSuccess').textContent = '';
+  document.getElementById('extReportSiteOnly').checked = false;
+  document.getElementById('extReportFix').disabled = false;
   const submitBtn = document.getElementById('extReportSubmit');
   submitBtn.disabled = false;
   submitBtn.textContent = t('report_submit_button', undefined, 'Submit Report');
@@ -130,61 +179,109 @@ export function closeReportModal() {
 export async function initSettingsForm() {
   const applyBtn = document.getElementById('applyBtn');
   const clearBtn = document.getElementById('clearBtn');
+  const selectionBtn = document.getElementById('selectionBtn');
+  const cancelBtn = document.getElementById('cancelBtn');
+  const readerBtn = document.getElementById('readerBtn');
   const jlptSelect = document.getElementById('jlptLevel');
   const furiganaTypeSelect = document.getElementById('furiganaType');
+  const rubyAlignmentSelect = document.getElementById('rubyAlignment');
+  const furiganaDisplaySelect = document.getElementById('furiganaDisplay');
+  const glossModeSelect = document.getElementById('glossMode');
   const firstOccurrenceCheckbox = document.getElementById('firstOccurrenceOnly');
   const watchDynamicCheckbox = document.getElementById('watchDynamic');
   const removeCustomStylingCheckbox = document.getElementById('removeCustomStyling');
+  const offlineEngineCheckbox = document.getElementById('offlineEngine');
+  const viewportFirstCheckbox = document.getElementById('viewportFirst');
   const highlightRadios = document.querySelectorAll('input[name="highlightMode"]');
   const rubySizeInput = document.getElementById('rubySize');
   const rubyColorPalette = document.getElementById('rubyColorPalette');
   const rubyWeightSelect = document.getElementById('rubyWeight');
   const rubySizeValue = document.getElementById('rubySizeValue');
+  const siteProfileCheckbox = document.getElementById('siteProfileEnabled');
+  const siteProfileStatus = document.getElementById('siteProfileStatus');
 
-  // Load stored settings
-  const stored = await chrome.storage.sync.get(DEFAULT_SETTINGS);
-  jlptSelect.value = String(stored.jlptLevel ?? DEFAULT_SETTINGS.jlptLevel);
-  furiganaTypeSelect.value = stored.furiganaType || DEFAULT_SETTINGS.furiganaType;
-  firstOccurrenceCheckbox.checked = stored.firstOccurrenceOnly ?? DEFAULT_SETTINGS.firstOccurrenceOnly;
-  watchDynamicCheckbox.checked = stored.watchDynamic ?? DEFAULT_SETTINGS.watchDynamic;
-  removeCustomStylingCheckbox.checked = stored.removeCustomStyling ?? DEFAULT_SETTINGS.removeCustomStyling;
-  const selectedHighlight = stored.highlightMode || DEFAULT_SETTINGS.highlightMode;
-  highlightRadios.forEach(radio => {
-    radio.checked = radio.value === selectedHighlight;
-  });
-  rubySizeInput.value = String(stored.rubySize ?? DEFAULT_SETTINGS.rubySize);
-  rubySizeValue.textContent = `${parseFloat(rubySizeInput.value).toFixed(2)}em`;
-  const initialColor = stored.rubyColor || DEFAULT_SETTINGS.rubyColor;
-  rubyColorPalette.querySelectorAll('.color-swatch').forEach(swatch => {
-    swatch.classList.toggle('selected', swatch.dataset.color === initialColor);
+  const fillForm = (values) => {
+    jlptSelect.value = String(values.jlptLevel ?? DEFAULT_SETTINGS.jlptLevel);
+    furiganaTypeSelect.value = values.furiganaType || DEFAULT_SETTINGS.furiganaType;
+    rubyAlignmentSelect.value = values.rubyAlignment || DEFAULT_SETTINGS.rubyAlignment;
+    furiganaDisplaySelect.value = values.furiganaDisplay || DEFAULT_SETTINGS.furiganaDisplay;
+    glossModeSelect.value = values.glossMode || DEFAULT_SETTINGS.glossMode;
+    firstOccurrenceCheckbox.checked = values.firstOccurrenceOnly ?? DEFAULT_SETTINGS.firstOccurrenceOnly;
+    watchDynamicCheckbox.checked = values.watchDynamic ?? DEFAULT_SETTINGS.watchDynamic;
+    removeCustomStylingCheckbox.checked = values.removeCustomStyling ?? DEFAULT_SETTINGS.removeCustomStyling;
+    offlineEngineCheckbox.checked = values.offlineEngine ?? DEFAULT_SETTINGS.offlineEngine;
+    viewportFirstCheckbox.checked = values.viewportFirst ?? DEFAULT_SETTINGS.viewportFirst;
+    const selectedHighlight = values.highlightMode || DEFAULT_SETTINGS.highlightMode;
+    highlightRadios.forEach(radio => {
+      radio.checked = radio.value === selectedHighlight;
+    });
+    rubySizeInput.value = String(values.rubySize ?? DEFAULT_SETTINGS.rubySize);
+    rubySizeValue.textContent = `${parseFloat(rubySizeInput.value).toFixed(2)}em`;
+    const initialColor = values.rubyColor || DEFAULT_SETTINGS.rubyColor;
+    rubyColorPalette.querySelectorAll('.color-swatch').forEach(swatch => {
+      swatch.classList.toggle('selected', swatch.dataset.color === initialColor);
+    });
+    rubyWeightSelect.value = values.rubyWeight || DEFAULT_SETTINGS.rubyWeight;
+  };
+
+  const readForm = () => ({
+    jlptLevel: Number(jlptSelect.value || DEFAULT_SETTINGS.jlptLevel),
+    furiganaType: furiganaTypeSelect.value || DEFAULT_SETTINGS.furiganaType,
+    rubyAlignment: rubyAlignmentSelect.value || DEFAULT_SETTINGS.rubyAlignment,
+    furiganaDisplay: furiganaDisplaySelect.value || DEFAULT_SETTINGS.furiganaDisplay,
+    glossMode: glossModeSelect.value || DEFAULT_SETTINGS.glossMode,
+    firstOccurrenceOnly: Boolean(firstOccurrenceCheckbox.checked),
+    highlightMode: getSelectedHighlightMode(),
+    watchDynamic: Boolean(watchDynamicCheckbox.checked),
+    removeCustomStyling: Boolean(removeCustomStylingCheckbox.checked),
+    offlineEngine: Boolean(offlineEngineCheckbox.checked),
+    viewportFirst: Boolean(viewportFirstCheckbox.checked),
+    rubySize: parseFloat(rubySizeInput.value) || DEFAULT_SETTINGS.rubySize,
+    rubyColor: rubyColorPalette.querySelector('.color-swatch.selected')?.dataset.color || DEFAULT_SETTINGS.rubyColor,
+    rubyWeight: rubyWeightSelect.value || DEFAULT_SETTINGS.rubyWeight,
   });
-  rubyWeightSelect.value = stored.rubyWeight || DEFAULT_SETTINGS.rubyWeight;
+
+  // Load stored settings, with the active site's profile (if any) layered on top
+  const siteOrigin = getSiteOrigin((await getActiveTab())?.url || '');
+  const stored = await chrome.storage.sync.get({ ...DEFAULT_SETTINGS, [SITE_PROFILES_KEY]: {} });
+  let siteProfiles = stored[SITE_PROFILES_KEY] || {};
+  let useSiteProfile = Boolean(siteOrigin && siteProfiles[siteOrigin]);
+  fillForm(useSiteProfile ? { ...stored, ...siteProfiles[siteOrigin] } : stored);
+
+  const renderProfileStatus = () => {
+    siteProfileCheckbox.checked = useSiteProfile;
+    siteProfileCheckbox.disabled = !siteOrigin;
+    siteProfileStatus.textContent = useSiteProfile
+      ? t('settings_site_profile_using', [new URL(siteOrigin).hostname], `Using profile for ${new URL(siteOrigin).hostname}`)
+      : t('settings_site_profile_global', undefined, 'Using global settings');
+  };
+  renderProfileStatus();
+
+  // Edits go to the site profile while one is active, otherwise to the global settings.
+  const persistSettings = async (settings) => {
+    if (useSiteProfile) {
+      siteProfiles = { ...siteProfiles, [siteOrigin]: sanitizeSiteProfile(settings) };
+      await chrome.storage.sync.set({ [SITE_PROFILES_KEY]: siteProfiles });
+    } else {
+      await chrome.storage.sync.set(settings);
+    }
+  };
 
   // Auto-save on any change
   const saveSettings = async () => {
-    const activeColor = rubyColorPalette.querySelector('.color-swatch.selected')?.dataset.color || DEFAULT_SETTINGS.rubyColor;
-    const activeSize = `${parseFloat(rubySizeInput.value).toFixed(2)}em`;
-    const activeWeight = rubyWeightSelect.value || DEFAULT_SETTINGS.rubyWeight;
-    const settings = {
-      jlptLevel: Number(jlptSelect.value || DEFAULT_SETTINGS.jlptLevel),
-      furiganaType: furiganaTypeSelect.value || DEFAULT_SETTINGS.furiganaType,
-      firstOccurrenceOnly: Boolean(firstOccurrenceCheckbox.checked),
-      highlightMode: getSelectedHighlightMode(),
-      watchDynamic: Boolean(watchDynamicCheckbox.checked),
-      removeCustomStyling: Boolean(removeCustomStylingCheckbox.checked),
-      rubySize: parseFloat(rubySizeInput.value) || DEFAULT_SETTINGS.rubySize,
-      rubyColor: activeColor,
-      rubyWeight: activeWeight,
-    };
-    await chrome.storage.sync.set(settings);
+    const settings = readForm();
+    await persistSettings(settings);
     const tab = await getActiveTab();
     if (tab?.id) {
       chrome.tabs.sendMessage(tab.id, {
         action: 'updateAppearance',
-        color: activeColor,
-        size: activeSize,
-        weight: activeWeight,
+        color: settings.rubyColor,
+        size: `${settings.rubySize.toFixed(2)}em`,
+        weight: settings.rubyWeight,
         removeCustomStyling: settings.removeCustomStyling,
+        furiganaType: settings.furiganaType,
+        rubyAlignment: settings.rubyAlignment,
+        glossMode: settings.glossMode,
       }).catch(() => {});
     }
   };
@@ -197,9 +294,20 @@ export async function initSettingsForm() {
     }
   });
   furiganaTypeSelect.addEventListener('change', saveSettings);
+  furiganaDisplaySelect.addEventListener('change', async () => {
+    await saveSettings();
+    const tab = await getActiveTab();
+    if (tab?.id) {
+      chrome.tabs.sendMessage(tab.id, { action: 'setDisplayMode', mode: furiganaDisplaySelect.value }).catch(() => {});
+    }
+  });
+  rubyAlignmentSelect.addEventListener('change', saveSettings);
+  glossModeSelect.addEventListener('change', saveSettings);
   firstOccurrenceCheckbox.addEventListener('change', saveSettings);
   watchDynamicCheckbox.addEventListener('change', saveSettings);
   removeCustomStylingCheckbox.addEventListener('change', saveSettings);
+  offlineEngineCheckbox.addEventListener('change', saveSettings);
+  viewportFirstCheckbox.addEventListener('change', saveSettings);
   highlightRadios.forEach(radio => {
     radio.addEventListener('change', saveSettings);
   });
@@ -216,26 +324,101 @@ export async function initSettingsForm() {
   });
   rubyWeightSelect.addEventListener('change', saveSettings);
 
+  siteProfileCheckbox.addEventListener('change', async () => {
+    if (siteProfileCheckbox.checked) {
+      // A new profile starts as a copy of whatever the form currently shows.
+      useSiteProfile = true;
+      await persistSettings(readForm());
+    } else {
+      useSiteProfile = false;
+      siteProfiles = { ...siteProfiles };
+      delete siteProfiles[siteOrigin];
+      await chrome.storage.sync.set({ [SITE_PROFILES_KEY]: siteProfiles });
+      fillForm(await chrome.storage.sync.get(DEFAULT_SETTINGS));
+      await saveSettings();
+    }
+    renderProfileStatus();
+  });
+
+  document.getElementById('exportProfilesBtn').addEventListener('click', () => {
+    const payload = JSON.stringify({ version: 1, profiles: siteProfiles }, null, 2);
+    const url = URL.createObjectURL(new Blob([payload], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `tsukeru-site-profiles-${Date.now()}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  });
+
+  const importInput = document.getElementById('importProfilesInput');
+  document.getElementById('importProfilesBtn').addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files?.[0];
+    importInput.value = '';
+    if (!file) return;
+    try {
+      const data = JSON.parse(await file.text());
+      const incoming = data?.profiles && typeof data.profiles === 'object' ? data.profiles : data;
+      const imported = {};
+      Object.entries(incoming || {}).forEach(([origin, profile]) => {
+        const clean = sanitizeSiteProfile(profile);
+        if (clean && getSiteOrigin(origin) === origin) imported[origin] = clean;
+      });
+      const count = Object.keys(imported).length;
+      if (!count) throw new Error(t('settings_site_profile_import_empty', undefined, 'No valid profiles in file'));
+      siteProfiles = { ...siteProfiles, ...imported };
+      await chrome.storage.sync.set({ [SITE_PROFILES_KEY]: siteProfiles });
+      if (siteOrigin && imported[siteOrigin]) {
+        useSiteProfile = true;
+        fillForm({ ...(await chrome.storage.sync.get(DEFAULT_SETTINGS)), ...imported[siteOrigin] });
+        renderProfileStatus();
+      }
+      setStatus(t('settings_site_profile_imported', [String(count)], `Imported ${count} site profile(s)`), 'success');
+    } catch (err) {
+      console.error(err);
+      setStatus(t('settings_site_profile_import_failed', [err.message], `Import failed: ${err.message}`), 'error');
+    }
+  });
+
   applyBtn.addEventListener('click', async () => {
     await applyFuriganaToPage();
   });
   clearBtn.addEventListener('click', async () => {
     await clearFuriganaFromPage();
   });
+  selectionBtn?.addEventListener('click', async () => {
+    await toggleSelectionFurigana();
+  });
+  readerBtn?.addEventListener('click', async () => {
+    const tab = await getActiveTab();
+    if (!tab?.id || !isHttpTab(tab.url)) {
+      setStatus(t('status_open_normal_page', undefined, 'Open a normal http/https page and try again.'), 'error');
+      return;
+    }
+    const response = await chrome.runtime.sendMessage({ action: 'openReaderView', tabId: tab.id }).catch(() => null);
+    if (response?.success) window.close();
+    else setStatus(t('status_failed_with_reason', [response?.error || ''], `Failed: ${response?.error || ''}`), 'error');
+  });
+  cancelBtn?.addEventListener('click', async () => {
+    const tab = await getActiveTab();
+    if (tab?.id) chrome.tabs.sendMessage(tab.id, { action: 'cancelFurigana' }).catch(() => {});
+  });
+
+  const setApplyRunning = (running) => {
+    cancelBtn?.classList.toggle('hidden', !running);
+    applyBtn.disabled = running;
+    if (selectionBtn) selectionBtn.disabled = running;
+  };
+
+  const renderApplyProgress = (progress) => {
+    setApplyRunning(progress?.state === 'running');
+    if (!progress || progress.state === 'error') return;
+    setStatus(getProgressText(progress), progress.state === 'done' ? 'success' : 'info');
+  };
 
   async function applyFuriganaToPage() {
-    const settings = {
-      jlptLevel: Number(jlptSelect.value || DEFAULT_SETTINGS.jlptLevel),
-      furiganaType: furiganaTypeSelect.value || DEFAULT_SETTINGS.furiganaType,
-      firstOccurrenceOnly: Boolean(firstOccurrenceCheckbox.checked),
-      highlightMode: getSelectedHighlightMode(),
-      watchDynamic: Boolean(watchDynamicCheckbox.checked),
-      removeCustomStyling: Boolean(removeCustomStylingCheckbox.checked),
-      rubySize: parseFloat(rubySizeInput.value) || DEFAULT_SETTINGS.rubySize,
-      rubyColor: rubyColorPalette.querySelector('.color-swatch.selected')?.dataset.color || DEFAULT_SETTINGS.rubyColor,
-      rubyWeight: rubyWeightSelect.value || DEFAULT_SETTINGS.rubyWeight,
-    };
-    await chrome.storage.sync.set(settings);
+    const settings = readForm();
+    await persistSettings(settings);
     const tab = await getActiveTab();
     if (!tab?.id || !isHttpTab(tab.url)) {
       setStatus(t('status_open_normal_page', undefined, 'Open a normal http/https page and try again.'), 'error');
@@ -244,19 +427,73 @@ export async function initSettingsForm() {
     try {
       await ensureContentScript(tab.id);
       setStatus(t('status_processing', undefined, 'Processing...'), 'info');
+      setApplyRunning(true);
       const response = await chrome.tabs.sendMessage(tab.id, { action: 'applyFurigana', settings });
-      if (response?.ok) {
+      if (!response?.ok) throw new Error(response?.error || 'Unknown error');
+      renderApplyProgress(response.progress);
+      if (response.cancelled || response.progress?.state === 'running') return;
+      if (response.engine === 'offline') {
+        setStatus(t('status_furigana_applied_offline', undefined, 'Furigana applied (offline engine)'), 'success');
+      } else {
         setStatus(t('status_furigana_applied', undefined, 'Furigana applied'), 'success');
+      }
+    } catch (err) {
+      console.error(err);
+      setApplyRunning(false);
+      const reason = err.message || t('status_could_not_reach_page', undefined, 'Could not reach page');
+      setStatus(t('status_failed_with_reason', [reason], `Failed: ${reason}`), 'error');
+    }
+  }
+
+  // Applies to the page's current selection, or clears it when the selection already has furigana.
+  async function toggleSelectionFurigana() {
+    const settings = readForm();
+    await persistSettings(settings);
+    const tab = await getActiveTab();
+    if (!tab?.id || !isHttpTab(tab.url)) {
+      setStatus(t('status_open_normal_page', undefined, 'Open a normal http/https page and try again.'), 'error');
+      return;
+    }
+    try {
+      await ensureContentScript(tab.id);
+      setStatus(t('status_processing', undefined, 'Processing...'), 'info');
+      setApplyRunning(true);
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'toggleSelectionFurigana', settings });
+      setApplyRunning(false);
+      if (!response?.ok) throw new Error(response?.error || 'Unknown error');
+      if (response.cancelled) {
+        renderApplyProgress(response.progress);
+      } else if (typeof response.cleared === 'number') {
+        setStatus(t('status_selection_cleared', undefined, 'Furigana cleared from selection'), 'success');
+      } else if (response.engine) {
+        setStatus(t('status_selection_applied', undefined, 'Furigana applied to selection'), 'success');
       } else {
-        throw new Error(response?.error || 'Unknown error');
+        setStatus(t('status_selection_unchanged', undefined, 'Nothing changed. Select Japanese text on the page first.'), 'info');
       }
     } catch (err) {
       console.error(err);
+      setApplyRunning(false);
       const reason = err.message || t('status_could_not_reach_page', undefined, 'Could not reach page');
       setStatus(t('status_failed_with_reason', [reason], `Failed: ${reason}`), 'error');
     }
   }
 
+  // Live progress from the active tab; viewport-first applies keep reporting after the apply response.
+  chrome.runtime.onMessage.addListener((message, sender) => {
+    if (message?.action !== 'furiganaProgress') return;
+    getActiveTab().then((tab) => {
+      if (tab?.id && sender.tab?.id === tab.id) renderApplyProgress(message);
+    });
+  });
+
+  // Reopening the popup mid-apply picks the progress (and the Cancel button) back up.
+  getActiveTab()
+    .then((tab) => (tab?.id && isHttpTab(tab.url) ? chrome.tabs.sendMessage(tab.id, { action: 'getFuriganaState' }) : null))
+    .then((state) => {
+      if (state?.progress?.state === 'running') renderApplyProgress(state.progress);
+    })
+    .catch(() => {});
+
   async function clearFuriganaFromPage() {
     const tab = await getActiveTab();
     if (!tab?.id || !isHttpTab(tab.url)) {
@@ -0,0 +1,161 @@
+/*
+Module: ankiconnect-stub
+Purpose: Local stand-in for the AnkiConnect add-on so the Anki integration can be exercised without Anki.
+
+Inputs:
+- Optional port as the first CLI argument or `ANKICONNECT_STUB_PORT` (default 8765).
+- AnkiConnect v6 JSON requests from the extension.
+
+Outputs:
+- AnkiConnect-shaped JSON responses and a one-line log per request on stdout.
+
+Side Effects:
+- Listens on 127.0.0.1; keeps decks, note types and notes in memory only.
+
+Failure Modes:
+- Unsupported actions answer with an AnkiConnect-style `error` string.
+- Exits when the port is already in use (for example, when real Anki is running).
+
+Security Notes:
+- Binds to loopback only and stores nothing on disk.
+*/
+const http = require('http');
+
+const DEFAULT_PORT = 8765;
+
+const decks = new Set(['Default', 'Tsukeru']);
+const noteTypes = new Map([
+  ['Basic', ['Front', 'Back']],
+  ['Japanese (recognition)', ['Expression', 'Meaning', 'Reading', 'Sentence', 'Audio']],
+]);
+const notes = [];
+let nextNoteId = Date.now();
+
+function getFieldValue(note, fieldName) {
+  const match = Object.keys(note.fields).find((name) => name.toLowerCase() === fieldName.toLowerCase());
+  return match ? note.fields[match] : undefined;
+}
+
+// Understands the subset of Anki search syntax the extension sends: deck:"…" note:"…" "Field:value".
+function parseQuery(query) {
+  const tokens = query.match(/(?:[^\s"]|"(?:[^"\\]|\\.)*")+/g) || [];
+  const unescape = (text) => text.replace(/\\(.)/g, '$1');
+  return tokens.map((token) => {
+    const term = token.replace(/(?<!\\)"/g, '');
+    const separator = term.search(/(?<!\\):/);
+    if (separator < 0) return { key: null, value: unescape(term) };
+    return { key: unescape(term.slice(0, separator)), value: unescape(term.slice(separator + 1)) };
+  });
+}
+
+function findNotes(query) {
+  const terms = parseQuery(String(query || ''));
+  return notes
+    .filter((note) => terms.every(({ key, value }) => {
+      if (key === null) return Object.values(note.fields).some((field) => field.includes(value));
+      if (key === 'deck') return note.deckName === value;
+      if (key === 'note') return note.modelName === value;
+      return getFieldValue(note, key) === value;
+    }))
+    .map((note) => note.id);
+}
+
+function addNote(note) {
+  if (!note || !decks.has(note.deckName)) throw new Error(`deck was not found: ${note?.deckName}`);
+  const fieldNames = noteTypes.get(note.modelName);
+  if (!fieldNames) throw new Error(`model was not found: ${note.modelName}`);
+
+  const fields = {};
+  fieldNames.forEach((name) => { fields[name] = note.fields?.[name] || ''; });
+  for (const media of note.audio || []) {
+    for (const field of media.fields || []) {
+      if (field in fields) fields[field] += `[sound:${media.filename}]`;
+    }
+  }
+  if (!fields[fieldNames[0]]) throw new Error('cannot create note because it is empty');
+
+  const duplicate = notes.some((existing) => existing.modelName === note.modelName
+    && existing.deckName === note.deckName
+    && existing.fields[fieldNames[0]] === fields[fieldNames[0]]);
+  if (duplicate && !note.options?.allowDuplicate) throw new Error('cannot create note because it is a duplicate');
+
+  const stored = { id: nextNoteId++, deckName: note.deckName, modelName: note.modelName, fields, tags: note.tags || [] };
+  notes.push(stored);
+  return stored.id;
+}
+
+function handleAction(action, params = {}) {
+  switch (action) {
+    case 'version': return 6;
+    case 'requestPermission': return { permission: 'granted', requireApikey: false, version: 6 };
+    case 'deckNames': return [...decks];
+    case 'createDeck': decks.add(params.deck); return Date.now();
+    case 'modelNames': return [...noteTypes.keys()];
+    case 'modelFieldNames': {
+      const fields = noteTypes.get(params.modelName);
+      if (!fields) throw new Error(`model was not found: ${params.modelName}`);
+      return fields;
+    }
+    case 'findNotes': return findNotes(params.query);
+    case 'notesInfo': return notes.filter((note) => (params.notes || []).includes(note.id));
+    case 'addNote': return addNote(params.note);
+    case 'multi': return (params.actions || []).map(({ action: inner, params: innerParams }) => {
+      try {
+        return { result: handleAction(inner, innerParams), error: null };
+      } catch (err) {
+        return { result: null, error: err.message };
+      }
+    });
+    default: throw new Error(`unsupported action: ${action}`);
+  }
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    send(res, 204);
+    return;
+  }
+  if (req.method !== 'POST') {
+    send(res, 200, { apiVersion: 'AnkiConnect v.6' });
+    return;
+  }
+
+  let raw = '';
+  req.on('data', (chunk) => { raw += chunk; });
+  req.on('end', () => {
+    let request;
+    try {
+      request = JSON.parse(raw || '{}');
+    } catch (err) {
+      send(res, 200, { result: null, error: `invalid JSON: ${err.message}` });
+      return;
+    }
+    try {
+      const result = handleAction(request.action, request.params);
+      console.log(`${request.action} -> ok`);
+      send(res, 200, { result, error: null });
+    } catch (err) {
+      console.log(`${request.action} -> ${err.message}`);
+      send(res, 200, { result: null, error: err.message });
+    }
+  });
+});
+
+const port = Number(process.argv[2] || process.env.ANKICONNECT_STUB_PORT || DEFAULT_PORT);
+server.on('error', (err) => {
+  console.error(`AnkiConnect stub could not start: ${err.message}`);
+  process.exit(1);
+});
+server.listen(port, '127.0.0.1', () => {
+  console.log(`AnkiConnect stub listening on http://127.0.0.1:${port}`);
+});
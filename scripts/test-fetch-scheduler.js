@@ -0,0 +1,46 @@
+/*
+Module: test-fetch-scheduler
+Purpose: Regression tests for the background request scheduler (character budget, queue draining).
+
+Inputs:
+- `js/bg-api.js` from both the chrome and firefox trees.
+
+Outputs:
+- node:test report on stdout and a non-zero exit code on failure.
+
+Side Effects:
+- None; timers and `Date` are mocked, so no real time passes and nothing is fetched.
+
+Failure Modes:
+- A scheduler job that rejects or never settles fails the test for that tree.
+
+Security Notes:
+- Reads local repository files only.
+*/
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { test } = require('node:test');
+const assert = require('assert');
+
+const TREES = ['chrome', 'firefox'];
+const RATE_LIMIT_WINDOW_MS = 10_000;
+
+for (const tree of TREES) {
+  test(`${tree}: a job larger than the whole budget does not block the queue`, async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1_000_000 });
+    const modulePath = path.join(__dirname, '..', tree, 'js', 'bg-api.js');
+    const { scheduleFetch } = await import(pathToFileURL(modulePath).href);
+
+    const ran = [];
+    const oversized = scheduleFetch(1, 1_000_000, async () => ran.push('oversized'));
+    const normal = scheduleFetch(2, 100, async () => ran.push('normal'));
+
+    await oversized;
+    assert.deepStrictEqual(ran, ['oversized']);
+
+    // The oversized job used up the window, so the next one waits for it to pass.
+    t.mock.timers.tick(RATE_LIMIT_WINDOW_MS + 1);
+    await normal;
+    assert.deepStrictEqual(ran, ['oversized', 'normal']);
+  });
+}
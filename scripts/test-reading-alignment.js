@@ -0,0 +1,125 @@
+/*
+Module: test-reading-alignment
+Purpose: Regression tests for ruby alignment (okurigana, jukujikun, per-kanji mono split) and reading-script conversion (romaji).
+
+Inputs:
+- `js/content-dom.js` and `js/utils.js` from both the chrome and firefox trees.
+
+Outputs:
+- node:test report on stdout and a non-zero exit code on failure.
+
+Side Effects:
+- None; content-dom.js runs in a bare vm context and no DOM or extension API is touched.
+
+Failure Modes:
+- A top-level statement in content-dom.js that needs the DOM makes loading fail for that tree.
+
+Security Notes:
+- Reads local repository files only.
+*/
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { pathToFileURL } = require('url');
+const { test } = require('node:test');
+const assert = require('assert');
+
+const TREES = ['chrome', 'firefox'];
+
+// KANJIDIC readings in hiragana, as background lookupKanjiReadings returns them.
+const KANJI_READINGS = {
+  日: ['にち', 'じつ', 'ひ', 'び', 'か'],
+  本: ['ほん', 'もと'],
+  語: ['ご', 'かた'],
+  今: ['こん', 'きん', 'いま'],
+  学: ['がく', 'まな'],
+  校: ['こう', 'きょう'],
+};
+
+// content-dom.js is a plain content script; its functions become globals of the vm context.
+// kata2hira normally comes from content-tooltip.js, which needs a DOM, so utils.js lends its copy.
+function loadContentDom(tree, utils) {
+  const context = vm.createContext({
+    kanjiReadings: new Map(Object.entries(KANJI_READINGS)),
+    kata2hira: utils.kata2hira,
+  });
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', tree, 'js', 'content-dom.js'), 'utf8'), context);
+  return context;
+}
+
+// Aligned segments as "text(reading)" so failures read like the ruby on the page.
+function describe(segments) {
+  return segments && segments.map(({ text, reading }) => `${text}(${reading})`).join(' ');
+}
+
+for (const tree of TREES) {
+  const loadUtils = () => import(pathToFileURL(path.join(__dirname, '..', tree, 'js', 'utils.js')).href);
+
+  test(`${tree}: okurigana get no reading of their own`, async () => {
+    const dom = loadContentDom(tree, await loadUtils());
+    assert.strictEqual(describe(dom.alignRubyReading('食べる', 'たべる', 'safe')), '食(た) べる()');
+    assert.strictEqual(describe(dom.alignRubyReading('取り扱い', 'とりあつかい', 'safe')), '取(と) り() 扱(あつか) い()');
+  });
+
+  test(`${tree}: jukujikun stay grouped in every alignment`, async () => {
+    const dom = loadContentDom(tree, await loadUtils());
+    // No split of きょう fits the KANJIDIC readings of 今 and 日, so the word keeps one <rt>.
+    assert.strictEqual(dom.alignRubyReading('今日', 'きょう', 'safe'), null);
+    assert.strictEqual(dom.alignRubyReading('今日', 'きょう', 'mono'), null);
+  });
+
+  test(`${tree}: mono splits a kanji run by its per-kanji readings`, async () => {
+    const dom = loadContentDom(tree, await loadUtils());
+    // 日 is に here: KANJIDIC only has にち, and a final ち may drop in compounds.
+    assert.strictEqual(describe(dom.alignRubyReading('日本語', 'にほんご', 'mono')), '日(に) 本(ほん) 語(ご)');
+    assert.strictEqual(describe(dom.alignRubyReading('学校', 'がっこう', 'mono')), '学(がっ) 校(こう)');
+    // Safe mode leaves a kanji run whole.
+    assert.strictEqual(dom.alignRubyReading('日本語', 'にほんご', 'safe'), null);
+  });
+
+  test(`${tree}: verb endings do not lengthen the stem's last vowel`, async () => {
+    const utils = await loadUtils();
+    const dom = loadContentDom(tree, utils);
+    const romaji = (kana, dataset) => utils.convertReading(kana, 'romaji', dom.getVerbStemLength({ dataset }, kana));
+    assert.strictEqual(romaji('おもう', { pos: 'Verb', dictForm: '思う', dictReading: 'おもう' }), 'omou');
+    assert.strictEqual(romaji('かよった', { dictForm: '通う', dictReading: 'かよう' }), 'kayotta');
+    assert.strictEqual(romaji('おう', { pos: 'Verb', dictForm: '追う', dictReading: 'おう' }), 'ou');
+    // Nouns keep their long vowels.
+    assert.strictEqual(romaji('おう', { pos: 'Noun', dictForm: '王', dictReading: 'おう' }), 'ō');
+  });
+
+  test(`${tree}: long vowels take a macron or circumflex`, async () => {
+    const { kanaToRomaji } = await loadUtils();
+    assert.strictEqual(kanaToRomaji('とうきょう'), 'tōkyō');
+    assert.strictEqual(kanaToRomaji('とうきょう', 'kunrei'), 'tôkyô');
+    assert.strictEqual(kanaToRomaji('とうきょう', 'nihonshiki'), 'tôkyô');
+    assert.strictEqual(kanaToRomaji('おかあさん'), 'okāsan');
+    assert.strictEqual(kanaToRomaji('コーヒー'), 'kōhī');
+    // いい and えい stay spelled out.
+    assert.strictEqual(kanaToRomaji('おおきい'), 'ōkii');
+    assert.strictEqual(kanaToRomaji('せんせい'), 'sensei');
+  });
+
+  test(`${tree}: っ doubles the next consonant and ん is marked before vowels and y`, async () => {
+    const { kanaToRomaji } = await loadUtils();
+    assert.strictEqual(kanaToRomaji('がっこう'), 'gakkō');
+    assert.strictEqual(kanaToRomaji('まっちゃ'), 'matcha');
+    assert.strictEqual(kanaToRomaji('まっちゃ', 'kunrei'), 'mattya');
+    assert.strictEqual(kanaToRomaji('しんぶん'), 'shinbun');
+    assert.strictEqual(kanaToRomaji('ほんや'), "hon'ya");
+    assert.strictEqual(kanaToRomaji('きんえん'), "kin'en");
+  });
+
+  test(`${tree}: extended katakana combinations are spelled as written`, async () => {
+    const { kanaToRomaji } = await loadUtils();
+    assert.strictEqual(kanaToRomaji('パーティー'), 'pātī');
+    assert.strictEqual(kanaToRomaji('ディスク'), 'disuku');
+    assert.strictEqual(kanaToRomaji('ウォーター'), 'wōtā');
+    assert.strictEqual(kanaToRomaji('ヴァイオリン'), 'vaiorin');
+    assert.strictEqual(kanaToRomaji('シェア'), 'shea');
+    assert.strictEqual(kanaToRomaji('シェア', 'kunrei'), 'syea');
+    for (const system of ['hepburn', 'kunrei', 'nihonshiki']) {
+      assert.strictEqual(kanaToRomaji('ファン', system), 'fan');
+    }
+  });
+}